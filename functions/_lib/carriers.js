@@ -0,0 +1,100 @@
+// functions/_lib/carriers.js
+// Carrier + tracking link for "Order shipped" emails (/api/stripe-webhook ship_check, /api/order-shipped-webhook)
+// resolveCarrier({ carrier, trackingNumber, country, locale }) → { id, name, trackingNumber, trackingUrl, source }
+//   1) explicit carrier (Orders "Carrier" field, env.AIRTABLE_CARRIER_FIELD / webhook body.carrier)
+//   2) tracking-number format (UPS 1Z…, USPS 92…/…US, Deutsche Post letters …DE, DHL JJD… / 003404…, DPD 14 digits)
+//   3) shipping zone: US / CA → DHL, Europe → DPD (env.CARRIER_USCA / env.CARRIER_EUROPE to change)
+// Unknown explicit carrier → its name without a link
+// (also imported by ship-check-worker)
+
+const CARRIERS = {
+  dpd: {
+    name: "DPD",
+    url: (n, de) => `https://tracking.dpd.de/status/${de ? "de_DE" : "en_US"}/parcel/${n}`,
+  },
+  dhl: {
+    name: "DHL",
+    url: (n, de) => `https://www.dhl.com/${de ? "de-de" : "global-en"}/home/tracking/tracking-parcel.html?submit=1&tracking-id=${n}`,
+  },
+  deutschepost: {
+    name: "Deutsche Post",
+    url: (n) => `https://www.deutschepost.de/de/s/sendungsverfolgung.html?piececode=${n}`,
+  },
+  ups: {
+    name: "UPS",
+    url: (n, de) => `https://www.ups.com/track?loc=${de ? "de_DE" : "en_US"}&tracknum=${n}`,
+  },
+  usps: {
+    name: "USPS",
+    url: (n) => `https://tools.usps.com/go/TrackConfirmAction?tLabels=${n}`,
+  },
+};
+
+// explicit names as typed in Airtable
+const ALIASES = {
+  "dpd": "dpd",
+  "dhl": "dhl",
+  "dhl express": "dhl",
+  "dhl paket": "dhl",
+  "deutsche post": "deutschepost",
+  "deutschepost": "deutschepost",
+  "post": "deutschepost",
+  "warenpost": "deutschepost",
+  "einschreiben": "deutschepost",
+  "ups": "ups",
+  "usps": "usps",
+};
+
+// order matters: the first match wins
+const FORMATS = [
+  { id: "ups", re: /^1Z[0-9A-Z]{16}$/ },
+  { id: "usps", re: /^(9[1-5]\d{18,20}|[A-Z]{2}\d{9}US)$/ },
+  { id: "deutschepost", re: /^[A-Z]{2}\d{9}DE$/ }, // UPU S10: Einschreiben, Warenpost International
+  { id: "dhl", re: /^(JJD\d{10,}|JVGL\d{10,}|00340\d{15}|\d{12}|\d{10})$/ },
+  { id: "dpd", re: /^(\d{14}|0\d{13}[A-Z]?)$/ },
+];
+
+const USCA = new Set(["US", "CA"]);
+
+export function carrierField(env) {
+  return String(env.AIRTABLE_CARRIER_FIELD || "Carrier");
+}
+
+export function normalizeTrackingNumber(v) {
+  return String(v || "").replace(/[\s-]+/g, "").toUpperCase();
+}
+
+export function resolveCarrier({ carrier, trackingNumber, country, locale, env = {} } = {}) {
+  const number = normalizeTrackingNumber(trackingNumber);
+  const de = String(locale || "").toLowerCase().startsWith("de");
+
+  const explicit = String(carrier || "").trim();
+  let id = ALIASES[explicit.toLowerCase()] || null;
+  let source = id ? "field" : null;
+
+  if (explicit && !id) {
+    return { id: null, name: explicit, trackingNumber: number, trackingUrl: null, source: "field" };
+  }
+
+  if (!id && number) {
+    id = FORMATS.find((f) => f.re.test(number))?.id || null;
+    if (id) source = "format";
+  }
+
+  if (!id) {
+    const cc = String(country || "").trim().toUpperCase();
+    id = USCA.has(cc)
+      ? ALIASES[String(env.CARRIER_USCA || "dhl").toLowerCase()] || "dhl"
+      : ALIASES[String(env.CARRIER_EUROPE || "dpd").toLowerCase()] || "dpd";
+    source = "zone";
+  }
+
+  const c = CARRIERS[id];
+  return {
+    id,
+    name: c.name,
+    trackingNumber: number,
+    trackingUrl: number ? c.url(encodeURIComponent(number), de) : null,
+    source,
+  };
+}
@@ -0,0 +1,91 @@
+// functions/_lib/cart-store.js
+// Checkout carts persisted in KV (STRIPE_EVENTS_KV) instead of Stripe metadata.
+// Stripe metadata values are limited to 500 chars, so only the cartId goes into the session;
+// the webhooks resolve the full item list from KV by that id.
+// PayPal: /api/paypal/create-order stores the cart as cart:pp_<paypalOrderId> for capture.
+// KV key: cart:<cartId>  value: { currency, shippingCountry, shippingZone, items:[{ recordId, pin, qty, unitPrice, title }], createdAt }
+
+// 30 days: Stripe retries webhooks for up to 3 days, resend/replay may come later
+const CART_TTL_SEC = 30 * 24 * 60 * 60;
+
+export function newCartId() {
+  return `cart_${crypto.randomUUID().replace(/-/g, "")}`;
+}
+
+// PayPal orders: the cart is stored at create-order under the PayPal order id
+export function paypalCartId(orderId) {
+  return `pp_${String(orderId || "").trim()}`;
+}
+
+export async function saveCart(kv, cartId, cart) {
+  if (!kv) throw new Error("STRIPE_EVENTS_KV binding is not set");
+  if (!cartId) throw new Error("cartId is required");
+
+  const record = {
+    ...cart,
+    items: normalizeCartItems(cart?.items),
+    createdAt: cart?.createdAt || new Date().toISOString(),
+  };
+
+  await kv.put(`cart:${cartId}`, JSON.stringify(record), { expirationTtl: CART_TTL_SEC });
+  return record;
+}
+
+export async function loadCart(kv, cartId) {
+  if (!kv || !cartId) return null;
+
+  const raw = await kv.get(`cart:${cartId}`);
+  if (!raw) return null;
+
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object" ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+// Resolve cart items of a Stripe Checkout Session:
+// 1) metadata.cartId -> KV record (current format)
+// 2) metadata.items JSON (legacy sessions created before carts moved to KV)
+// returns { items, source } where source = "kv" | "metadata" | null
+// throws only when metadata.items exists but is not valid JSON
+export async function resolveSessionItems(kv, session) {
+  const meta = session?.metadata || {};
+
+  const cartId = String(meta.cartId || "").trim();
+  if (cartId) {
+    const cart = await loadCart(kv, cartId);
+    if (cart) return { items: normalizeCartItems(cart.items), source: "kv", cartId, cart };
+  }
+
+  const itemsJson = String(meta.items || "").trim();
+  if (itemsJson) {
+    const parsed = JSON.parse(itemsJson);
+    return { items: normalizeCartItems(parsed), source: "metadata", cartId: cartId || null, cart: null };
+  }
+
+  return { items: [], source: null, cartId: cartId || null, cart: null };
+}
+
+function normalizeCartItems(items) {
+  const out = [];
+  for (const it of Array.isArray(items) ? items : []) {
+    const recordId = String(it?.recordId || "").trim();
+    const pin = String(it?.pin || "").trim();
+    const qty = Math.floor(Number(it?.qty || 0));
+    if (!recordId && !pin) continue;
+    if (!Number.isFinite(qty) || qty <= 0) continue;
+
+    const unitPrice = Number(it?.unitPrice);
+
+    out.push({
+      recordId,
+      pin,
+      qty,
+      unitPrice: Number.isFinite(unitPrice) ? unitPrice : null,
+      title: String(it?.title || pin || recordId),
+    });
+  }
+  return out;
+}
@@ -0,0 +1,164 @@
+// functions/_lib/coupons.js
+// Discount codes from Airtable table "Coupons" (env.AIRTABLE_COUPONS_TABLE)
+// Used by: /api/coupon/validate, /api/checkout (Stripe discounts), /api/paypal/create-order (breakdown.discount),
+//          /api/stripe-webhook + /api/paypal/capture (redemption counter)
+//
+// Airtable fields:
+// Code (text)                      case-insensitive, e.g. "SUMMER10"
+// Active (checkbox)
+// Percent (number)                 e.g. 10 → 10% off (if set, Amount_* is ignored)
+// Amount_EUR / Amount_USD (number) fixed amount off per currency
+// Min Subtotal_EUR / Min Subtotal_USD (number) optional: min items subtotal
+// Start Date / End Date (date)     optional validity window
+// Usage Limit (number)             optional: max redemptions in total
+// Times Used (number)              counted by the webhooks after payment (mirror of the counter, see redeemCoupon)
+// Pins (text)                      optional: PIN codes the coupon applies to (comma/space separated)
+
+import { nextSequence } from "./inventory.js";
+
+export function normalizeCouponCode(v) {
+  return String(v || "").trim().toUpperCase().replace(/\s+/g, "").slice(0, 40);
+}
+
+export async function findCoupon(env, code) {
+  const c = normalizeCouponCode(code);
+  if (!c) return null;
+
+  const token = String(env.AIRTABLE_TOKEN || "").trim();
+  const baseId = String(env.AIRTABLE_BASE_ID || "").trim();
+  if (!token || !baseId) throw new Error("AIRTABLE_TOKEN / AIRTABLE_BASE_ID is not set");
+
+  const table = String(env.AIRTABLE_COUPONS_TABLE || "Coupons").trim();
+  const formula = `UPPER(TRIM({Code}))="${c.replace(/"/g, '\\"')}"`;
+
+  const url = new URL(`https://api.airtable.com/v0/${baseId}/${encodeURIComponent(table)}`);
+  url.searchParams.set("filterByFormula", formula);
+  url.searchParams.set("maxRecords", "1");
+
+  const r = await fetch(url.toString(), { headers: { Authorization: `Bearer ${token}` } });
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(`Airtable coupons fetch failed: ${r.status} ${JSON.stringify(data)}`);
+
+  const rec = data?.records?.[0];
+  if (!rec) return null;
+
+  const f = rec.fields || {};
+  return {
+    recordId: rec.id,
+    code: normalizeCouponCode(f["Code"] || c),
+    active: Boolean(f["Active"]),
+    percent: numOrNull(f["Percent"]),
+    amount: { EUR: numOrNull(f["Amount_EUR"]), USD: numOrNull(f["Amount_USD"]) },
+    minSubtotal: { EUR: numOrNull(f["Min Subtotal_EUR"]), USD: numOrNull(f["Min Subtotal_USD"]) },
+    startDate: f["Start Date"] ? String(f["Start Date"]) : "",
+    endDate: f["End Date"] ? String(f["End Date"]) : "",
+    usageLimit: numOrNull(f["Usage Limit"]),
+    timesUsed: numOrNull(f["Times Used"]) || 0,
+    pins: parsePins(f["Pins"]),
+  };
+}
+
+// lines: [{ pin, unitPrice, qty }] (unitPrice in currency units, trusted server-side)
+// returns { ok:true, code, discount, discountCents, eligibleSubtotal, description }
+//      or { ok:false, error }
+export function evaluateCoupon(coupon, { currency, lines, now = new Date() }) {
+  if (!coupon || !coupon.active) return { ok: false, error: "Invalid coupon code" };
+
+  const cur = String(currency || "").toUpperCase();
+  const today = now.toISOString().slice(0, 10);
+
+  if (coupon.startDate && today < coupon.startDate.slice(0, 10)) {
+    return { ok: false, error: "Coupon is not active yet" };
+  }
+  if (coupon.endDate && today > coupon.endDate.slice(0, 10)) {
+    return { ok: false, error: "Coupon has expired" };
+  }
+  if (coupon.usageLimit != null && coupon.timesUsed >= coupon.usageLimit) {
+    return { ok: false, error: "Coupon usage limit reached" };
+  }
+
+  let subtotalCents = 0;
+  let eligibleCents = 0;
+  for (const l of Array.isArray(lines) ? lines : []) {
+    const cents = Math.round(Number(l.unitPrice) * 100) * Math.floor(Number(l.qty) || 0);
+    if (!Number.isFinite(cents) || cents <= 0) continue;
+    subtotalCents += cents;
+    if (!coupon.pins.length || coupon.pins.includes(String(l.pin || "").trim().toUpperCase())) {
+      eligibleCents += cents;
+    }
+  }
+
+  const min = coupon.minSubtotal?.[cur];
+  if (min != null && subtotalCents < Math.round(min * 100)) {
+    return { ok: false, error: `Minimum order for this coupon: ${min.toFixed(2)} ${cur}` };
+  }
+  if (!(eligibleCents > 0)) {
+    return { ok: false, error: "Coupon does not apply to the items in your cart" };
+  }
+
+  let discountCents = 0;
+  let description = "";
+
+  if (coupon.percent != null && coupon.percent > 0) {
+    const pct = Math.min(100, coupon.percent);
+    discountCents = Math.round((eligibleCents * pct) / 100);
+    description = `${pct}% off`;
+  } else {
+    const amount = coupon.amount?.[cur];
+    if (amount == null || !(amount > 0)) {
+      return { ok: false, error: `Coupon is not available in ${cur}` };
+    }
+    discountCents = Math.min(Math.round(amount * 100), eligibleCents);
+    description = `${amount.toFixed(2)} ${cur} off`;
+  }
+
+  if (!(discountCents > 0)) return { ok: false, error: "Coupon gives no discount for this cart" };
+
+  return {
+    ok: true,
+    code: coupon.code,
+    discountCents,
+    discount: discountCents / 100,
+    eligibleSubtotal: eligibleCents / 100,
+    description: coupon.pins.length ? `${description} (selected pins)` : description,
+  };
+}
+
+// +1 "Times Used": counter coupon:<recordId> in the inventory DO / KV lock (_lib/inventory.js nextSequence),
+// atomic for concurrent orders; ref (stripe:<session> / paypal:<order>) → a retried payment is counted once
+// a Times Used value raised by hand in Airtable is adopted (counter min)
+// → { code, timesUsed, overLimit? }  overLimit: paid, but the Usage Limit was reached by a parallel order meanwhile
+export async function redeemCoupon(env, code, { ref = "" } = {}) {
+  const coupon = await findCoupon(env, code);
+  if (!coupon) return null;
+
+  const next = await nextSequence(env, `coupon:${coupon.recordId}`, { min: coupon.timesUsed + 1, ref });
+  const overLimit = coupon.usageLimit != null && next > coupon.usageLimit;
+
+  const table = String(env.AIRTABLE_COUPONS_TABLE || "Coupons").trim();
+  const url = `https://api.airtable.com/v0/${env.AIRTABLE_BASE_ID}/${encodeURIComponent(table)}/${coupon.recordId}`;
+
+  const r = await fetch(url, {
+    method: "PATCH",
+    headers: {
+      Authorization: `Bearer ${env.AIRTABLE_TOKEN}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ fields: { "Times Used": next } }),
+  });
+
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(`Airtable coupon update failed: ${r.status} ${JSON.stringify(data)}`);
+  return { code: coupon.code, timesUsed: next, ...(overLimit ? { overLimit: true, usageLimit: coupon.usageLimit } : {}) };
+}
+
+function parsePins(v) {
+  const list = Array.isArray(v) ? v : String(v || "").split(/[\s,;]+/);
+  return list.map((x) => String(x || "").trim().toUpperCase()).filter(Boolean);
+}
+
+function numOrNull(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
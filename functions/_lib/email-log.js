@@ -0,0 +1,42 @@
+// functions/_lib/email-log.js
+// Airtable "EmailLog" (env.AIRTABLE_EMAIL_LOG_TABLE): one row per send attempt
+//   Order, Template, Recipient, Status (sent | error | retry | dead), Provider, Error, Attempt, Timestamp
+// Written by _lib/mail.js sendEmail({ log: { order, template } }) and by the cron workers (mail queue)
+// Table missing / Airtable down → ignored, never fails the email itself
+
+export function emailLogTable(env) {
+  return String(env.AIRTABLE_EMAIL_LOG_TABLE || "EmailLog").trim();
+}
+
+export async function logEmailAttempt(env, { order, template, recipient, status, provider = "", error = "", attempt = 1 }) {
+  if (!env?.AIRTABLE_TOKEN || !env?.AIRTABLE_BASE_ID) return null;
+  if (String(env.EMAIL_LOG || "").trim().toLowerCase() === "off") return null;
+
+  try {
+    const url = `https://api.airtable.com/v0/${env.AIRTABLE_BASE_ID}/${encodeURIComponent(emailLogTable(env))}`;
+    const r = await fetch(url, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${env.AIRTABLE_TOKEN}`, "Content-Type": "application/json" },
+      body: JSON.stringify({
+        typecast: true,
+        records: [
+          {
+            fields: {
+              "Order": String(order || ""),
+              "Template": String(template || ""),
+              "Recipient": (Array.isArray(recipient) ? recipient : [recipient]).filter(Boolean).join(", "),
+              "Status": status,
+              "Provider": String(provider || ""),
+              "Error": String(error || "").slice(0, 2000),
+              "Attempt": Number(attempt) || 1,
+              "Timestamp": new Date().toISOString(),
+            },
+          },
+        ],
+      }),
+    });
+    return r.ok;
+  } catch {
+    return null;
+  }
+}
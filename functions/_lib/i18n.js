@@ -0,0 +1,178 @@
+// functions/_lib/i18n.js
+// EN / DE strings for customer emails, Pages Functions + cron workers (storefront UI strings live in /i18n.js)
+// Locale of an order: checkout body.locale (storefront language switch / browser) → shipping country
+//   stored on the order (Stripe metadata.locale, PayPal cart.locale, Airtable Orders "Locale")
+// Owner emails (stock alerts, digest) stay in English
+
+export const LOCALES = ["en", "de"];
+export const DEFAULT_LOCALE = "en";
+
+// German-speaking destinations → "de"
+const DE_COUNTRIES = new Set(["DE", "AT", "CH", "LI"]);
+
+export function normalizeLocale(v) {
+  const l = String(v || "").trim().toLowerCase().slice(0, 2);
+  return LOCALES.includes(l) ? l : null;
+}
+
+export function localeForCountry(country) {
+  return DE_COUNTRIES.has(String(country || "").trim().toUpperCase()) ? "de" : DEFAULT_LOCALE;
+}
+
+// explicit / stored locale wins, otherwise derived from the shipping country
+export function pickLocale({ requested, country } = {}) {
+  return normalizeLocale(requested) || localeForCountry(country);
+}
+
+export function localeField(env) {
+  return String(env.AIRTABLE_LOCALE_FIELD || "Locale");
+}
+
+// Stripe Checkout / PayPal page language
+export function providerLocale(locale) {
+  return normalizeLocale(locale) === "de" ? "de-DE" : "en-US";
+}
+
+export function t(locale, key, vars = {}) {
+  const l = normalizeLocale(locale) || DEFAULT_LOCALE;
+  const s = MESSAGES[l][key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+  return s.replace(/\{(\w+)\}/g, (m, k) => (vars[k] != null ? String(vars[k]) : m));
+}
+
+const MESSAGES = {
+  en: {
+    "hello": "Hello {name}!",
+    "hello.anon": "Hello!",
+    "questions": "If you have any questions, just reply to this email.",
+    "orderId": "Order ID",
+    "items": "Items",
+    "shippingAddress": "Shipping address",
+    "subtotal": "Subtotal",
+    "discount": "Discount",
+    "discount.code": "Discount ({code})",
+    "shipping": "Shipping",
+    "shipping.free": "Free",
+    "total": "Total",
+
+    "order.subject": "{store}: Order confirmed",
+    "order.title": "Order confirmed ✅",
+    "order.lead": "Your order is confirmed.",
+    "order.leadText": "Your order is confirmed ✅",
+    "order.paymentStripe": "Payment Intent",
+    "order.paymentPayPal": "PayPal Capture",
+
+    "shipped.subject": "{store}: Your order has been shipped 🚚",
+    "shipped.title": "Order shipped 🚚",
+    "shipped.lead": "Good news — your order has been shipped.",
+    "shipped.leadText": "Good news — your order has been shipped 🚚",
+    "shipped.tracking": "Tracking Number",
+    "shipped.carrier": "Carrier",
+    "shipped.subjectPartial": "{store}: Part of your order has been shipped 🚚",
+    "shipped.leadPartial": "Part of your order has been shipped. The remaining items follow in a separate parcel.",
+    "shipped.leadTextPartial": "Part of your order has been shipped 🚚 The remaining items follow in a separate parcel.",
+    "shipped.parcelItems": "In this parcel",
+    "shipped.trackLink": "Track your parcel",
+
+    "refund.subjectFull": "{store}: Your refund has been issued",
+    "refund.subjectPartial": "{store}: Partial refund has been issued",
+    "refund.title": "Refund issued",
+    "refund.leadFull": "Your order has been refunded in full.",
+    "refund.leadPartial": "A partial refund has been issued for your order.",
+    "refund.amount": "Refunded",
+    "refund.bank": "Depending on your bank, it may take 5–10 business days until the money appears on your statement.",
+
+    "reviewRequest.subject": "{store}: How do you like your pins? ⭐",
+    "reviewRequest.title": "How do you like your pins?",
+    "reviewRequest.lead": "Your order {order} should have arrived by now. We'd love to hear what you think — it takes a minute and helps other collectors.",
+    "reviewRequest.items": "Your pins",
+    "reviewRequest.button": "Write a review",
+    "reviewRequest.verified": "Reviews sent from this link are marked as \"Verified buyer\". The link works once and is valid until {date}.",
+
+    // cron workers (paid-check-worker/, ship-check-worker/)
+    "greeting": "Hello {name},",
+    "greeting.anon": "Hello friend,",
+    "thanks.purchase": "Thank you for your purchase!",
+    "footer.thanks": "Thank you for your purchase 💚",
+    "paid.subject": "{store}: Thanks for your order 💚",
+    "paid.header": "Order confirmation",
+    "paid.thanks": "Thank you for your order {order}!",
+    "paid.thanksHtml": "Thank you for your order",
+    "paid.received": "We’ve received your payment and your order is now in processing.",
+    "paid.receivedHtml": "We’ve received your payment. Your order is being processed now.",
+    "paid.order": "Order",
+    "paid.nextEmail": "We’ll email you again as soon as your order is shipped.",
+    "shipped.header": "Shipping update",
+    "shipped.leadOrder": "Good news — your order {order} has been shipped 🚚📦",
+    "shipped.leadOrderPartial": "Good news — part of your order {order} has been shipped 🚚📦 The remaining items follow in a separate parcel.",
+    "shipped.leadBefore": "Good news — your order",
+    "shipped.leadAfter": "has been shipped 🚚📦",
+    "shipped.leadAfterPartial": "has been partly shipped 🚚📦 The remaining items follow in a separate parcel.",
+  },
+  de: {
+    "hello": "Hallo {name}!",
+    "hello.anon": "Hallo!",
+    "questions": "Bei Fragen antworten Sie einfach auf diese E-Mail.",
+    "orderId": "Bestellnummer",
+    "items": "Artikel",
+    "shippingAddress": "Lieferadresse",
+    "subtotal": "Zwischensumme",
+    "discount": "Rabatt",
+    "discount.code": "Rabatt ({code})",
+    "shipping": "Versand",
+    "shipping.free": "Kostenlos",
+    "total": "Gesamt",
+
+    "order.subject": "{store}: Bestellung bestätigt",
+    "order.title": "Bestellung bestätigt ✅",
+    "order.lead": "Ihre Bestellung ist bestätigt.",
+    "order.leadText": "Ihre Bestellung ist bestätigt ✅",
+    "order.paymentStripe": "Zahlungsreferenz",
+    "order.paymentPayPal": "PayPal-Transaktion",
+
+    "shipped.subject": "{store}: Ihre Bestellung wurde versandt 🚚",
+    "shipped.title": "Bestellung versandt 🚚",
+    "shipped.lead": "Gute Nachrichten — Ihre Bestellung wurde versandt.",
+    "shipped.leadText": "Gute Nachrichten — Ihre Bestellung wurde versandt 🚚",
+    "shipped.tracking": "Sendungsnummer",
+    "shipped.carrier": "Versanddienstleister",
+    "shipped.subjectPartial": "{store}: Ein Teil Ihrer Bestellung wurde versandt 🚚",
+    "shipped.leadPartial": "Ein Teil Ihrer Bestellung wurde versandt. Die übrigen Artikel folgen in einem separaten Paket.",
+    "shipped.leadTextPartial": "Ein Teil Ihrer Bestellung wurde versandt 🚚 Die übrigen Artikel folgen in einem separaten Paket.",
+    "shipped.parcelItems": "In diesem Paket",
+    "shipped.trackLink": "Sendung verfolgen",
+
+    "refund.subjectFull": "{store}: Ihre Erstattung wurde veranlasst",
+    "refund.subjectPartial": "{store}: Teilerstattung wurde veranlasst",
+    "refund.title": "Erstattung veranlasst",
+    "refund.leadFull": "Ihre Bestellung wurde vollständig erstattet.",
+    "refund.leadPartial": "Für Ihre Bestellung wurde eine Teilerstattung veranlasst.",
+    "refund.amount": "Erstattet",
+    "refund.bank": "Je nach Bank kann es 5–10 Werktage dauern, bis der Betrag auf Ihrem Konto erscheint.",
+
+    "reviewRequest.subject": "{store}: Wie gefallen Ihnen Ihre Pins? ⭐",
+    "reviewRequest.title": "Wie gefallen Ihnen Ihre Pins?",
+    "reviewRequest.lead": "Ihre Bestellung {order} sollte inzwischen angekommen sein. Wir freuen uns über Ihre Meinung — es dauert nur eine Minute und hilft anderen Sammlern.",
+    "reviewRequest.items": "Ihre Pins",
+    "reviewRequest.button": "Bewertung schreiben",
+    "reviewRequest.verified": "Bewertungen über diesen Link werden als „Verifizierter Kauf“ markiert. Der Link ist einmal gültig, bis zum {date}.",
+
+    "greeting": "Hallo {name},",
+    "greeting.anon": "Hallo,",
+    "thanks.purchase": "Vielen Dank für Ihren Einkauf!",
+    "footer.thanks": "Vielen Dank für Ihren Einkauf 💚",
+    "paid.subject": "{store}: Danke für Ihre Bestellung 💚",
+    "paid.header": "Bestellbestätigung",
+    "paid.thanks": "Vielen Dank für Ihre Bestellung {order}!",
+    "paid.thanksHtml": "Vielen Dank für Ihre Bestellung",
+    "paid.received": "Wir haben Ihre Zahlung erhalten, Ihre Bestellung wird jetzt bearbeitet.",
+    "paid.receivedHtml": "Wir haben Ihre Zahlung erhalten. Ihre Bestellung wird jetzt bearbeitet.",
+    "paid.order": "Bestellung",
+    "paid.nextEmail": "Sobald Ihre Bestellung versandt ist, melden wir uns wieder per E-Mail.",
+    "shipped.header": "Versandinformation",
+    "shipped.leadOrder": "Gute Nachrichten — Ihre Bestellung {order} wurde versandt 🚚📦",
+    "shipped.leadOrderPartial": "Gute Nachrichten — ein Teil Ihrer Bestellung {order} wurde versandt 🚚📦 Die übrigen Artikel folgen in einem separaten Paket.",
+    "shipped.leadBefore": "Gute Nachrichten — Ihre Bestellung",
+    "shipped.leadAfter": "wurde versandt 🚚📦",
+    "shipped.leadAfterPartial": "wurde teilweise versandt 🚚📦 Die übrigen Artikel folgen in einem separaten Paket.",
+  },
+};
@@ -0,0 +1,211 @@
+// functions/_lib/inventory.js
+// Stock operations for Stripe + PayPal flows
+// - env.INVENTORY bound (Durable Object "InventoryDO" from inventory-worker/): atomic reserve/commit/release/restock,
+//   the DO writes the authoritative Stock back to Airtable
+// - not bound: KV holds (_lib/reservations.js) + Airtable read-modify-write with the KV lock (_lib/stock.js)
+//
+// holdId: Stripe cartId / PayPal pp_<orderId>; items: [{ pin, recordId?, qty }]
+// commit/restock → owner low-stock / sold-out alerts (_lib/stock-alerts.js, never fails the caller)
+
+import { getHeldQuantities, placeHolds, releaseHolds } from "./reservations.js";
+import { acquireLock, releaseLock, decrementStockByRecordIdSafe } from "./stock.js";
+import { checkStockAlerts } from "./stock-alerts.js";
+
+const COMMITTED_PREFIX = "stock_committed:";
+
+export function inventoryBound(env) {
+  return Boolean(env?.INVENTORY && typeof env.INVENTORY.idFromName === "function");
+}
+
+// Map pin → { stock: number|null, reserved }   (stock null = use the Airtable value)
+export async function getStockState(env, { pins = null } = {}) {
+  const out = new Map();
+
+  if (inventoryBound(env)) {
+    const res = await callInventory(env, "/state", Array.isArray(pins) ? { pins } : {});
+    for (const [pin, it] of Object.entries(res.items || {})) {
+      out.set(pin, { stock: it.stock ?? null, reserved: Number(it.reserved || 0) });
+    }
+    return out;
+  }
+
+  const held = await getHeldQuantities(env.STRIPE_EVENTS_KV, { pins });
+  for (const [pin, qty] of held) out.set(pin, { stock: null, reserved: qty });
+  return out;
+}
+
+// → { ok:true } | { ok:false, pin, available, error }
+export async function reserveStock(env, holdId, items, expiresAtMs) {
+  if (inventoryBound(env)) {
+    return callInventory(env, "/reserve", { holdId, items: pinItems(items), expiresAt: expiresAtMs });
+  }
+
+  // KV holds: availability was already checked by the caller (stock - getHeldQuantities)
+  // a committed holdId is never held again (same as the DO's done:commit guard)
+  if (holdId && (await env.STRIPE_EVENTS_KV.get(`${COMMITTED_PREFIX}${holdId}`))) {
+    return { ok: false, error: "Checkout already completed" };
+  }
+  await placeHolds(env.STRIPE_EVENTS_KV, holdId, items, expiresAtMs);
+  return { ok: true };
+}
+
+export async function releaseStock(env, holdId) {
+  if (!holdId) return 0;
+
+  if (inventoryBound(env)) {
+    const res = await callInventory(env, "/release", { holdId });
+    return Number(res.released || 0);
+  }
+
+  return releaseHolds(env.STRIPE_EVENTS_KV, holdId);
+}
+
+// paid order: decrement stock once per holdId + drop the hold
+// (callers keep their own once-only KV state; the DO is idempotent by holdId as well)
+export async function commitStock(env, holdId, items) {
+  if (inventoryBound(env)) {
+    const res = await callInventory(env, "/commit", { holdId, items: pinItems(items) });
+    if (!res.ok) throw new Error(res.error || "Inventory commit failed");
+    return { ...res, alerts: await stockAlertsSafe(env, res.changes) };
+  }
+
+  const changes = [];
+  for (const it of byRecordId(items)) {
+    const lockKey = `lock:${it.recordId}`;
+    const lockToken = await acquireLock({ kv: env.STRIPE_EVENTS_KV, key: lockKey, ttlSec: 120, retries: 12, waitMs: 180 });
+
+    try {
+      const upd = await decrementStockByRecordIdSafe({
+        token: env.AIRTABLE_TOKEN,
+        baseId: env.AIRTABLE_BASE_ID,
+        table: env.AIRTABLE_TABLE_NAME, // Products
+        recordId: it.recordId,
+        qty: it.qty,
+      });
+      changes.push(changeFromRecord(env, upd));
+    } finally {
+      await releaseLock({ kv: env.STRIPE_EVENTS_KV, key: lockKey, token: lockToken });
+    }
+  }
+
+  // stock is decremented → the hold must not be subtracted a second time (nor placed again by a late event)
+  await releaseHolds(env.STRIPE_EVENTS_KV, holdId);
+  if (holdId) {
+    await env.STRIPE_EVENTS_KV.put(`${COMMITTED_PREFIX}${holdId}`, new Date().toISOString(), { expirationTtl: 60 * 24 * 60 * 60 });
+  }
+  return { ok: true, changes, alerts: await stockAlertsSafe(env, changes) };
+}
+
+// refunds: stock back once per opId (KV fallback: restocked:<opId>:<recordId>, checked under the record lock)
+export async function restockItems(env, opId, items) {
+  if (inventoryBound(env)) {
+    const res = await callInventory(env, "/restock", { opId, items: pinItems(items) });
+    if (!res.ok) throw new Error(res.error || "Inventory restock failed");
+    return { ...res, alerts: await stockAlertsSafe(env, res.changes) };
+  }
+
+  const restocked = [];
+  const changes = [];
+  for (const it of byRecordId(items)) {
+    const lockKey = `lock:${it.recordId}`;
+    const lockToken = await acquireLock({ kv: env.STRIPE_EVENTS_KV, key: lockKey, ttlSec: 120, retries: 12, waitMs: 180 });
+
+    try {
+      const doneKey = `restocked:${opId}:${it.recordId}`;
+      if (await env.STRIPE_EVENTS_KV.get(doneKey)) continue;
+
+      // negative decrement = increment
+      const upd = await decrementStockByRecordIdSafe({
+        token: env.AIRTABLE_TOKEN,
+        baseId: env.AIRTABLE_BASE_ID,
+        table: env.AIRTABLE_TABLE_NAME, // Products
+        recordId: it.recordId,
+        qty: -it.qty,
+      });
+      await env.STRIPE_EVENTS_KV.put(doneKey, "1", { expirationTtl: 180 * 24 * 60 * 60 });
+      restocked.push(it.recordId);
+      changes.push(changeFromRecord(env, upd));
+    } finally {
+      await releaseLock({ kv: env.STRIPE_EVENTS_KV, key: lockKey, token: lockToken });
+    }
+  }
+  // restock only re-arms the alert keys (stock goes up)
+  return { ok: true, restocked, alerts: await stockAlertsSafe(env, changes) };
+}
+
+// named counter (order codes, coupon redemptions): DO /sequence, or KV seq:<name> under the KV lock
+// ref: same ref → same value (DO seqref:<name>:<ref>, KV seqref:<name>:<ref> kept 90 days)
+export async function nextSequence(env, name, { min = 0, ref = "" } = {}) {
+  if (inventoryBound(env)) {
+    const res = await callInventory(env, "/sequence", { name, min, ref });
+    if (!res.ok) throw new Error(res.error || "Inventory sequence failed");
+    return Number(res.value);
+  }
+
+  const kv = env.STRIPE_EVENTS_KV;
+  const lockKey = `lock:seq:${name}`;
+  const lockToken = await acquireLock({ kv, key: lockKey, ttlSec: 60, retries: 20, waitMs: 150 });
+  // without the lock two orders could get the same number
+  if (!lockToken) throw new Error(`Sequence ${name} is busy`);
+
+  try {
+    const refKey = ref ? `seqref:${name}:${ref}` : null;
+    const known = refKey ? Number(await kv.get(refKey)) : 0;
+    if (known) return known;
+
+    const current = Number((await kv.get(`seq:${name}`)) || 0);
+    const value = Math.max(current + 1, Math.floor(Number(min) || 0));
+    await kv.put(`seq:${name}`, String(value));
+    if (refKey) await kv.put(refKey, String(value), { expirationTtl: 90 * 24 * 60 * 60 });
+    return value;
+  } finally {
+    await releaseLock({ kv, key: lockKey, token: lockToken });
+  }
+}
+
+// ---------------- helpers ----------------
+
+async function callInventory(env, path, body) {
+  const stub = env.INVENTORY.get(env.INVENTORY.idFromName("global"));
+  const r = await stub.fetch(`https://inventory${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body || {}),
+  });
+
+  const data = await r.json().catch(() => ({}));
+  if (r.status >= 500) throw new Error(`Inventory ${path} failed: ${data?.error || r.status}`);
+  return data;
+}
+
+// alerts are best-effort: a failed email must never fail a paid order / refund
+async function stockAlertsSafe(env, changes) {
+  if (!Array.isArray(changes) || !changes.length) return null;
+  try {
+    return await checkStockAlerts(env, changes);
+  } catch (e) {
+    return { error: String(e?.message || e) };
+  }
+}
+
+function changeFromRecord(env, upd) {
+  const pinField = env.AIRTABLE_PIN_FIELD || "PIN Code";
+  return { pin: String(upd?.fields?.[pinField] ?? "").trim(), before: upd?.before, stock: upd?.stock };
+}
+
+function pinItems(items) {
+  return (Array.isArray(items) ? items : [])
+    .map((it) => ({ pin: String(it?.pin || "").trim(), qty: Math.floor(Number(it?.qty || 0)) }))
+    .filter((it) => it.pin && it.qty > 0);
+}
+
+function byRecordId(items) {
+  const map = new Map();
+  for (const it of Array.isArray(items) ? items : []) {
+    const recordId = String(it?.recordId || "").trim();
+    const qty = Math.floor(Number(it?.qty || 0));
+    if (!recordId || !(qty > 0)) continue;
+    map.set(recordId, (map.get(recordId) || 0) + qty);
+  }
+  return [...map.entries()].map(([recordId, qty]) => ({ recordId, qty }));
+}
@@ -0,0 +1,138 @@
+// functions/_lib/mail-queue.js
+// Mail queue of the cron workers (paid-check-worker/, ship-check-worker/), sends through _lib/mail.js
+// MAIL_QUEUE_KV (optional): mail_q:<template>:<recordId> → { key, template, order, msg, mark, status, attempts, nextAt, lastError, sentAt }
+// new email → one attempt right away; failure → retried by the next runs after MAIL_RETRY_BASE_SEC · 2^(attempt-1) (default 300s)
+// MAIL_MAX_ATTEMPTS (default 5) failed → mail_dead:<...> (kept 30 days)
+// the Airtable checkbox (mark) is set only after the email went out; sent + mark failed → only the mark is retried
+// status { table, recordId, field }: Airtable text field = "queued" | "dead" while the job sits in KV, cleared once it went out
+//   optional (the workers set it only when the field is configured); they then list only records with an empty status, so queued / dead orders don't crowd out new ones
+//   dead → clear the field in Airtable to send again
+// every send attempt → Airtable EmailLog (_lib/email-log.js)
+// no MAIL_QUEUE_KV → single attempt inline, still logged
+
+import { sendEmail } from "./mail.js";
+import { logEmailAttempt } from "./email-log.js";
+import { orderShippingFields } from "./shipments.js";
+
+export const MAIL_QUEUE_PREFIX = "mail_q:";
+export const MAIL_DEAD_PREFIX = "mail_dead:";
+
+// job: { key, template, order, status?, mark, msg: { from, to, replyTo, bcc, subject, text, html } }
+// mark: { table, recordId, field } checkbox | [{ table, recordId, fields } | { table, recordId, orderShipping: { orderId, shippedField } }]
+// → { status: "sent" | "retry" | "dead" | "queued", attempts, nextAt?, error? }
+export async function deliverEmail(env, job) {
+  const kv = env.MAIL_QUEUE_KV;
+  if (!kv) return runMailJob(env, job);
+
+  // listed again although pending: the status write failed (or the job predates it)
+  const pending = await kv.get(`${MAIL_QUEUE_PREFIX}${job.key}`, "json");
+  if (pending) {
+    await setEmailStatus(env, pending.status || job.status, "queued");
+    return { status: "queued", attempts: pending.attempts, nextAt: new Date(pending.nextAt).toISOString() };
+  }
+
+  // dead + listed again = the status was cleared by hand → fresh attempts (an email that already went out is not resent)
+  const deadKey = `${MAIL_DEAD_PREFIX}${job.key}`;
+  const dead = await kv.get(deadKey, "json");
+  if (dead) await kv.delete(deadKey);
+
+  return runMailJob(env, { ...job, sentAt: dead?.sentAt, attempts: 0, createdAt: new Date().toISOString() });
+}
+
+// due retries from earlier runs (all pages of the KV list)
+export async function drainMailQueue(env) {
+  const kv = env.MAIL_QUEUE_KV;
+  const out = { due: 0, sent: 0, retry: 0, dead: 0 };
+  if (!kv) return out;
+
+  let cursor;
+  do {
+    const page = await kv.list({ prefix: MAIL_QUEUE_PREFIX, cursor });
+    for (const k of page.keys) {
+      const job = await kv.get(k.name, "json");
+      if (!job || Number(job.nextAt || 0) > Date.now()) continue;
+
+      out.due++;
+      const res = await runMailJob(env, job);
+      if (out[res.status] !== undefined) out[res.status]++;
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return out;
+}
+
+async function runMailJob(env, job) {
+  const kv = env.MAIL_QUEUE_KV;
+  const attempt = Number(job.attempts || 0) + 1;
+  const log = { order: job.order, template: job.template, recipient: job.msg.to, attempt };
+
+  try {
+    if (!job.sentAt) {
+      const res = await sendEmail({ env, ...job.msg });
+      job.sentAt = new Date().toISOString();
+      await logEmailAttempt(env, { ...log, status: "sent", provider: res?.provider, error: res?.failover?.error || "" });
+    }
+
+    // orderShipping: Orders Shipping Status from the parcels notified by now (_lib/shipments.js), after the Shipments mark
+    for (const m of [].concat(job.mark || [])) {
+      const fields = m.orderShipping
+        ? (await orderShippingFields(env, m.orderShipping.orderId, m.orderShipping)).fields
+        : m.fields || { [m.field]: true };
+      await airtablePatch(env, m.table, m.recordId, fields);
+    }
+
+    if (kv) await kv.delete(`${MAIL_QUEUE_PREFIX}${job.key}`);
+    if (attempt > 1) await setEmailStatus(env, job.status, "");
+    return { status: "sent", attempts: attempt };
+  } catch (e) {
+    const error = String(e?.message || e);
+    const maxAttempts = Math.max(1, Number(env.MAIL_MAX_ATTEMPTS || 5) || 5);
+    const isDead = attempt >= maxAttempts;
+
+    if (!job.sentAt) await logEmailAttempt(env, { ...log, status: !kv ? "error" : isDead ? "dead" : "retry", error });
+    if (!kv) throw e;
+
+    const next = { ...job, attempts: attempt, lastError: error };
+
+    if (isDead) {
+      await kv.put(`${MAIL_DEAD_PREFIX}${job.key}`, JSON.stringify({ ...next, deadAt: new Date().toISOString() }), {
+        expirationTtl: 30 * 24 * 60 * 60,
+      });
+      await kv.delete(`${MAIL_QUEUE_PREFIX}${job.key}`);
+      await setEmailStatus(env, job.status, "dead");
+      return { status: "dead", attempts: attempt, error };
+    }
+
+    const baseSec = Math.max(30, Number(env.MAIL_RETRY_BASE_SEC || 300) || 300);
+    next.nextAt = Date.now() + baseSec * 1000 * 2 ** (attempt - 1);
+    await kv.put(`${MAIL_QUEUE_PREFIX}${job.key}`, JSON.stringify(next));
+    if (attempt === 1) await setEmailStatus(env, job.status, "queued");
+    return { status: "retry", attempts: attempt, nextAt: new Date(next.nextAt).toISOString(), error };
+  }
+}
+
+// ---------------- helpers ----------------
+
+// best effort: field missing / Airtable down → the record is listed again and shows up as "queued" in the results
+async function setEmailStatus(env, status, value) {
+  if (!status?.table || !status?.recordId || !status?.field) return;
+  await airtablePatch(env, status.table, status.recordId, { [status.field]: value }).catch(() => {});
+}
+
+async function airtablePatch(env, table, recordId, fields) {
+  const url = `https://api.airtable.com/v0/${env.AIRTABLE_BASE_ID}/${encodeURIComponent(table)}/${recordId}`;
+
+  const r = await fetch(url, {
+    method: "PATCH",
+    headers: {
+      Authorization: `Bearer ${env.AIRTABLE_TOKEN}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ fields, typecast: true }),
+  });
+
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(`Airtable update failed: ${r.status} ${JSON.stringify(data)}`);
+  return data;
+}
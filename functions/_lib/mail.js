@@ -0,0 +1,169 @@
+// functions/_lib/mail.js
+// One mail transport for every Pages Function: sendEmail({ env, from, to, subject, html, text, replyTo, bcc })
+// MAIL_PROVIDER picks the transport:
+//   mailchannels (default) — api.mailchannels.net, X-Api-Key when env.MAILCHANNELS_API_KEY is set
+//   resend                 — api.resend.com (RESEND_API_KEY)
+//   relay                  — HTTP → SMTP relay: POST MAIL_RELAY_URL (JSON message), Bearer MAIL_RELAY_TOKEN
+//   outbox                 — nothing is sent: the message is stored in KV (MAIL_OUTBOX_KV, else STRIPE_EVENTS_KV)
+//                            as mail_outbox:<id>; GET /api/admin/outbox to inspect (local dev / staging)
+// MAIL_FALLBACK_PROVIDER (optional): tried once when the primary transport throws (production failover)
+// log: { order, template } → one Airtable EmailLog row per send (_lib/email-log.js), status sent | error
+// (also imported by the cron workers in paid-check-worker/ and ship-check-worker/, wrangler bundles it)
+
+import { logEmailAttempt } from "./email-log.js";
+
+export const MAIL_PROVIDERS = ["mailchannels", "resend", "relay", "outbox"];
+export const OUTBOX_PREFIX = "mail_outbox:";
+
+export async function sendEmail({ env, from, to, subject, html, text, replyTo, bcc, log = null }) {
+  const msg = {
+    from,
+    to: (Array.isArray(to) ? to : [to]).filter(Boolean),
+    subject,
+    html: html || "",
+    text: text || "",
+    replyTo: replyTo || null,
+    bcc: bcc || null,
+  };
+
+  let res;
+  try {
+    res = await sendWithFailover(env || {}, msg);
+  } catch (e) {
+    if (log) await logEmailAttempt(env, { ...log, recipient: msg.to, status: "error", provider: mailProvider(env?.MAIL_PROVIDER) || "mailchannels", error: String(e?.message || e) });
+    throw e;
+  }
+
+  if (log) await logEmailAttempt(env, { ...log, recipient: msg.to, status: "sent", provider: res.provider, error: res.failover?.error || "" });
+  return res;
+}
+
+async function sendWithFailover(env, msg) {
+  const primary = mailProvider(env.MAIL_PROVIDER) || "mailchannels";
+  const fallback = mailProvider(env.MAIL_FALLBACK_PROVIDER);
+
+  try {
+    return await TRANSPORTS[primary](env, msg);
+  } catch (e) {
+    if (!fallback || fallback === primary) throw e;
+    try {
+      const res = await TRANSPORTS[fallback](env, msg);
+      return { ...res, failover: { from: primary, error: String(e?.message || e) } };
+    } catch (e2) {
+      throw new Error(`${String(e?.message || e)}; fallback ${fallback}: ${String(e2?.message || e2)}`);
+    }
+  }
+}
+
+export function mailProvider(v) {
+  const p = String(v || "").trim().toLowerCase();
+  return MAIL_PROVIDERS.includes(p) ? p : null;
+}
+
+export function outboxKv(env) {
+  return env?.MAIL_OUTBOX_KV || env?.STRIPE_EVENTS_KV || null;
+}
+
+// ---------------- transports ----------------
+// msg: { from, to: [..], subject, html, text, replyTo, bcc } → { provider, id? }
+
+const TRANSPORTS = {
+  mailchannels: sendViaMailchannels,
+  resend: sendViaResend,
+  relay: sendViaRelay,
+  outbox: sendToOutbox,
+};
+
+async function sendViaMailchannels(env, msg) {
+  const payload = {
+    personalizations: [
+      {
+        to: msg.to.map((email) => ({ email })),
+        ...(msg.bcc ? { bcc: [{ email: msg.bcc }] } : {}),
+      },
+    ],
+    from: { email: msg.from },
+    subject: msg.subject,
+    content: [
+      { type: "text/plain", value: msg.text },
+      { type: "text/html", value: msg.html },
+    ],
+    ...(msg.replyTo ? { reply_to: { email: msg.replyTo } } : {}),
+  };
+
+  const headers = { "Content-Type": "application/json" };
+  if (env.MAILCHANNELS_API_KEY) headers["X-Api-Key"] = env.MAILCHANNELS_API_KEY;
+
+  const r = await fetch("https://api.mailchannels.net/tx/v1/send", {
+    method: "POST",
+    headers,
+    body: JSON.stringify(payload),
+  });
+
+  const respText = await r.text().catch(() => "");
+  if (!r.ok) throw new Error(`Mail send failed (mailchannels): ${r.status} ${respText}`);
+  return { provider: "mailchannels" };
+}
+
+async function sendViaResend(env, msg) {
+  const key = String(env.RESEND_API_KEY || "").trim();
+  if (!key) throw new Error("Mail send failed (resend): RESEND_API_KEY is not set");
+
+  const r = await fetch("https://api.resend.com/emails", {
+    method: "POST",
+    headers: { Authorization: `Bearer ${key}`, "Content-Type": "application/json" },
+    body: JSON.stringify({
+      from: msg.from,
+      to: msg.to,
+      subject: msg.subject,
+      html: msg.html,
+      text: msg.text,
+      ...(msg.replyTo ? { reply_to: msg.replyTo } : {}),
+      ...(msg.bcc ? { bcc: [msg.bcc] } : {}),
+    }),
+  });
+
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(`Mail send failed (resend): ${r.status} ${data?.message || JSON.stringify(data)}`);
+  return { provider: "resend", id: data?.id || null };
+}
+
+async function sendViaRelay(env, msg) {
+  const url = String(env.MAIL_RELAY_URL || "").trim();
+  if (!url) throw new Error("Mail send failed (relay): MAIL_RELAY_URL is not set");
+
+  const headers = { "Content-Type": "application/json" };
+  if (env.MAIL_RELAY_TOKEN) headers.Authorization = `Bearer ${env.MAIL_RELAY_TOKEN}`;
+
+  const r = await fetch(url, { method: "POST", headers, body: JSON.stringify(msg) });
+
+  const respText = await r.text().catch(() => "");
+  if (!r.ok) throw new Error(`Mail send failed (relay): ${r.status} ${respText}`);
+  return { provider: "relay" };
+}
+
+async function sendToOutbox(env, msg) {
+  const id = `${new Date().toISOString().replace(/[-:.]/g, "")}-${crypto.randomUUID().slice(0, 8)}`;
+  const entry = { id, createdAt: new Date().toISOString(), ...msg };
+
+  const kv = outboxKv(env);
+  if (kv) {
+    const days = Math.max(1, Number(env.MAIL_OUTBOX_DAYS || 7) || 7);
+    await kv.put(`${OUTBOX_PREFIX}${id}`, JSON.stringify(entry), { expirationTtl: days * 24 * 60 * 60 });
+  }
+  return { provider: "outbox", id };
+}
+
+// shop owner address for internal notifications
+export function ownerEmail(env) {
+  return String(env.OWNER_EMAIL || env.MAIL_BCC || env.MAIL_REPLY_TO || "").trim();
+}
+
+export function escapeHtml(s) {
+  return String(s || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
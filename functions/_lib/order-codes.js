@@ -0,0 +1,37 @@
+// functions/_lib/order-codes.js
+// Human-friendly order codes: <ORDER_CODE_PREFIX>-<year>-<5+ digits>, e.g. MP-2026-00421
+// Counter per year via _lib/inventory.js nextSequence (Durable Object, or KV + lock); ORDER_CODE_START = first number
+// Allocated only for paid orders: /api/stripe-webhook + /api/stripe-email-webhook (ref stripe:<session id>),
+// PayPal capture / webhook (_lib/paypal-orders.js, ref paypal:<order id>) — abandoned checkouts leave no gaps;
+// the ref makes both Stripe webhooks and every retry get the same number
+// Older sessions still carry one from checkout (metadata.orderCode / client_reference_id / PayPal invoice_id)
+// success.html reads it back from the order: /api/order-code?session_id=
+// Stored in Airtable Orders "Order Number" (env.AIRTABLE_ORDER_NUMBER_FIELD, text) — the old "OrderCode" formula stays a fallback
+
+import { nextSequence } from "./inventory.js";
+
+export function orderNumberField(env) {
+  return String(env.AIRTABLE_ORDER_NUMBER_FIELD || "Order Number").trim();
+}
+
+export function isOrderCode(v) {
+  return /^[A-Z0-9]{1,10}-\d{4}-\d{5,}$/.test(String(v || "").trim());
+}
+
+export async function allocateOrderCode(env, { ref = "" } = {}) {
+  const prefix = String(env.ORDER_CODE_PREFIX || "MP").trim().toUpperCase().replace(/[^A-Z0-9]/g, "") || "MP";
+  const year = new Date().getUTCFullYear();
+  const start = Math.max(1, Math.floor(Number(env.ORDER_CODE_START || 1) || 1));
+
+  const n = await nextSequence(env, `order:${year}`, { min: start, ref });
+  return `${prefix}-${year}-${String(n).padStart(5, "0")}`;
+}
+
+// first valid code of the candidates (metadata, client_reference_id, Airtable field, ...) or null
+export function pickOrderCode(...candidates) {
+  for (const c of candidates) {
+    const v = String(c || "").trim();
+    if (isOrderCode(v)) return v;
+  }
+  return null;
+}
@@ -0,0 +1,234 @@
+// functions/_lib/order-email.js
+// "Order confirmed" email (text + html), shared by /api/stripe-email-webhook (Stripe)
+// and _lib/paypal-orders.js (PayPal capture / webhook)
+// items: normalizeItemsForEmail(Order Items | KV cart) → enrichItemsForEmail (Products: title, thumbnail, price)
+//        → [{ pin, title, qty, unitPrice, imageUrl }]; every line links to <storeUrl>/p/<PIN>
+// Totals: subtotal (lines) − discount + shipping = amountTotal (charged amount, always shown)
+// locale: "en" | "de" (_lib/i18n.js, stored on the order)
+
+import { escapeHtml } from "./mail.js";
+import { t } from "./i18n.js";
+
+export function buildOrderEmail({
+  storeName,
+  storeUrl,
+  orderId,
+  orderCode,
+  locale,
+  paymentLabel = t(locale, "order.paymentStripe"),
+  paymentRef,
+  customerName,
+  currency,
+  amountTotal,
+  shippingAmount = null,
+  discountAmount = null,
+  couponCode = "",
+  items,
+  shippingAddressLong,
+  shipCity,
+  shipPostal,
+  shipCountry,
+  shipState,
+}) {
+  const list = Array.isArray(items) ? items : [];
+  const money = (n) => `${Number(n).toFixed(2)} ${currency}`;
+  const lineTotal = (it) => (it.unitPrice != null ? Math.round(it.unitPrice * 100) * it.qty / 100 : null);
+  const productUrl = (it) => (storeUrl && it.pin ? `${storeUrl.replace(/\/+$/, "")}/p/${encodeURIComponent(it.pin)}` : "");
+
+  // subtotal only when every line has a price (older carts may not)
+  const subtotal = list.length && list.every((it) => it.unitPrice != null)
+    ? list.reduce((s, it) => s + Math.round(it.unitPrice * 100) * it.qty, 0) / 100
+    : null;
+
+  const summary = [];
+  if (subtotal != null) summary.push([t(locale, "subtotal"), money(subtotal)]);
+  if (discountAmount > 0) {
+    summary.push([couponCode ? t(locale, "discount.code", { code: couponCode }) : t(locale, "discount"), `−${money(discountAmount)}`]);
+  }
+  if (shippingAmount != null) summary.push([t(locale, "shipping"), shippingAmount > 0 ? money(shippingAmount) : t(locale, "shipping.free")]);
+  const hello = customerName ? t(locale, "hello", { name: customerName }) : t(locale, "hello.anon");
+
+  const itemsLines = list.length
+    ? list
+        .map((it) => {
+          const line = it.unitPrice != null
+            ? `• ${it.title} — ${it.qty} × ${money(it.unitPrice)} = ${money(lineTotal(it))}`
+            : `• ${it.title} × ${it.qty}`;
+          const url = productUrl(it);
+          return `${line}${url ? `\n  ${url}` : ""}`;
+        })
+        .join("\n")
+    : "-";
+
+  const shippingOneLine = [
+    shippingAddressLong?.replace(/\n/g, ", "),
+    shipPostal,
+    shipCity,
+    shipState,
+    shipCountry,
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+  const text =
+`${hello}
+
+${t(locale, "order.leadText")}
+
+${t(locale, "orderId")}: ${orderCode || orderId || "-"}
+${paymentLabel}: ${paymentRef || "-"}
+
+${t(locale, "items")}:
+${itemsLines}
+
+${summary.map(([k, v]) => `${k}: ${v}`).join("\n")}${summary.length ? "\n" : ""}${t(locale, "total")}: ${money(amountTotal)}
+
+${t(locale, "shippingAddress")}:
+${shippingOneLine || "-"}
+
+${t(locale, "questions")}
+
+${storeUrl || storeName}
+`;
+
+  const htmlItems = list.length
+    ? list
+        .map((it) => {
+          const url = productUrl(it);
+          const link = (inner) => (url ? `<a href="${escapeHtml(url)}" style="color:#111;text-decoration:none">${inner}</a>` : inner);
+          const img = it.imageUrl
+            ? link(`<img src="${escapeHtml(it.imageUrl)}" alt="" width="56" height="56" style="display:block;width:56px;height:56px;object-fit:cover;border-radius:8px;border:1px solid #eee"/>`)
+            : "";
+          return `<tr>
+      <td style="padding:6px 10px 6px 0;width:56px;vertical-align:top">${img}</td>
+      <td style="padding:6px 10px 6px 0;vertical-align:top">
+        ${link(`<b>${escapeHtml(it.title)}</b>`)}<br/>
+        <span style="color:#666;font-size:13px">${escapeHtml(it.pin || "")}${it.pin ? " · " : ""}${it.qty} × ${it.unitPrice != null ? escapeHtml(money(it.unitPrice)) : "-"}</span>
+      </td>
+      <td style="padding:6px 0;vertical-align:top;text-align:right;white-space:nowrap">${it.unitPrice != null ? escapeHtml(money(lineTotal(it))) : ""}</td>
+    </tr>`;
+        })
+        .join("")
+    : `<tr><td colspan="3">-</td></tr>`;
+
+  const htmlSummary = summary
+    .map(([k, v]) => `<tr><td colspan="2" style="padding:2px 10px 2px 0;text-align:right;color:#555">${escapeHtml(k)}</td><td style="padding:2px 0;text-align:right;white-space:nowrap">${escapeHtml(v)}</td></tr>`)
+    .join("");
+
+  const html =
+`<div style="font-family:Arial,sans-serif;line-height:1.45">
+  <h2 style="margin:0 0 12px">${escapeHtml(storeName)} — ${escapeHtml(t(locale, "order.title"))}</h2>
+  <p>${escapeHtml(hello)}</p>
+
+  <p>${escapeHtml(t(locale, "order.lead"))}</p>
+
+  <p style="margin:12px 0">
+    <b>${escapeHtml(t(locale, "orderId"))}:</b> ${escapeHtml(orderCode || orderId || "-")}<br/>
+    <b>${escapeHtml(paymentLabel)}:</b> ${escapeHtml(paymentRef || "-")}
+  </p>
+
+  <table style="border-collapse:collapse;width:100%;max-width:560px;margin:12px 0">
+    ${htmlItems}
+    <tr><td colspan="3" style="border-top:1px solid #eee;padding-top:6px"></td></tr>
+    ${htmlSummary}
+    <tr><td colspan="2" style="padding:4px 10px 2px 0;text-align:right"><b>${escapeHtml(t(locale, "total"))}</b></td><td style="padding:4px 0 2px;text-align:right;white-space:nowrap"><b>${escapeHtml(money(amountTotal))}</b></td></tr>
+  </table>
+
+  <p style="margin:12px 0"><b>${escapeHtml(t(locale, "shippingAddress"))}:</b><br/>
+    ${escapeHtml(shippingAddressLong || "").replace(/\n/g, "<br/>")}
+    ${shippingAddressLong ? "<br/>" : ""}
+    ${escapeHtml([shipPostal, shipCity, shipState, shipCountry].filter(Boolean).join(" "))}
+  </p>
+
+  <p>${escapeHtml(t(locale, "questions"))}</p>
+
+  ${storeUrl ? `<p><a href="${escapeHtml(storeUrl)}">${escapeHtml(storeUrl)}</a></p>` : ""}
+</div>`;
+
+  return { html, text };
+}
+
+export function normalizeItemsForEmail(items) {
+  // ожидаем [{pin,qty}] или [{recordId,pin,qty,unitPrice,title}] (KV cart / Order Items)
+  const map = new Map(); // key->{ pin, title, qty, unitPrice }
+  for (const it of Array.isArray(items) ? items : []) {
+    const pin = String(it?.pin || "").trim();
+    const recordId = String(it?.recordId || "").trim();
+    const qty = Math.floor(Number(it?.qty || 0));
+    if (!Number.isFinite(qty) || qty <= 0) continue;
+
+    const key = pin || recordId;
+    if (!key) continue;
+
+    const unitPrice = it?.unitPrice == null ? null : Number(it.unitPrice);
+    const prev = map.get(key);
+    map.set(key, {
+      pin,
+      title: String(it?.title || "").trim() || key,
+      qty: (prev?.qty || 0) + qty,
+      unitPrice: Number.isFinite(unitPrice) ? unitPrice : prev?.unitPrice ?? null,
+      imageUrl: prev?.imageUrl || null,
+    });
+  }
+
+  return [...map.values()];
+}
+
+// Products (by PIN): thumbnail from "Images", title when the line only has the PIN,
+// Price_<currency> when the sale price is unknown (legacy metadata.items carts)
+// errors → items unchanged (the email is still sent)
+export async function enrichItemsForEmail(env, items, { currency } = {}) {
+  const list = Array.isArray(items) ? items : [];
+  const pins = [...new Set(list.map((it) => it.pin).filter(Boolean))];
+  if (!pins.length || !env.AIRTABLE_TOKEN || !env.AIRTABLE_BASE_ID || !env.AIRTABLE_TABLE_NAME) return list;
+
+  let products;
+  try {
+    products = await airtableFetchProductsByPins(env, pins);
+  } catch {
+    return list;
+  }
+
+  const priceField = `Price_${String(currency || "").toUpperCase()}`;
+  return list.map((it) => {
+    const f = products.get(it.pin);
+    if (!f) return it;
+
+    const title = it.title && it.title !== it.pin ? it.title : String(f["Title"] || it.title || it.pin);
+    const listPrice = Number(f[priceField]);
+
+    return {
+      ...it,
+      title,
+      unitPrice: it.unitPrice ?? (Number.isFinite(listPrice) && listPrice > 0 ? listPrice : null),
+      imageUrl: it.imageUrl || firstThumbnail(f["Images"]),
+    };
+  });
+}
+
+// ---------------- helpers ----------------
+
+function firstThumbnail(images) {
+  const img = Array.isArray(images) ? images[0] : null;
+  return img?.thumbnails?.large?.url || img?.url || null;
+}
+
+async function airtableFetchProductsByPins(env, pins) {
+  const pinField = env.AIRTABLE_PIN_FIELD || "PIN Code";
+  const or = pins.map((p) => `{${pinField}}="${String(p).replace(/"/g, '\\"')}"`).join(",");
+
+  const url = new URL(`https://api.airtable.com/v0/${env.AIRTABLE_BASE_ID}/${encodeURIComponent(env.AIRTABLE_TABLE_NAME)}`);
+  url.searchParams.set("filterByFormula", `OR(${or})`);
+  url.searchParams.set("pageSize", "100");
+
+  const r = await fetch(url.toString(), { headers: { Authorization: `Bearer ${env.AIRTABLE_TOKEN}` } });
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(`Airtable products fetch failed: ${r.status} ${JSON.stringify(data)}`);
+
+  const byPin = new Map(); // pin -> fields
+  for (const rec of Array.isArray(data.records) ? data.records : []) {
+    const pin = String(rec?.fields?.[pinField] ?? "").trim();
+    if (pin) byPin.set(pin, rec.fields || {});
+  }
+  return byPin;
+}
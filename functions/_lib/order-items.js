@@ -0,0 +1,109 @@
+// functions/_lib/order-items.js
+// Airtable table "Order Items" (env.AIRTABLE_ORDER_ITEMS_TABLE): one row per order line
+// Written by /api/stripe-webhook and PayPal capture (_lib/paypal-orders.js),
+// read by the confirmation + shipped emails
+//
+// Airtable fields:
+// Line Key (text)          "<Order ID>:<PIN>" — upsert key (webhook retries never duplicate lines)
+// Order (link → Orders)
+// Order ID (text)          Stripe Session ID / PayPal Order ID (same as Orders "Order ID")
+// Product (link → Products)
+// PIN (text)
+// Title (text)             title at time of sale
+// Quantity (number)
+// Unit Price (number)      price at time of sale
+// Currency (text)          "EUR" | "USD"
+// Line Total (number)      Unit Price × Quantity
+
+// lines: [{ recordId, pin, title, qty, unitPrice }]
+export async function writeOrderItems(env, { orderRecordId, orderId, currency, lines }) {
+  const list = (Array.isArray(lines) ? lines : []).filter((l) => String(l?.pin || l?.recordId || "").trim() && Number(l?.qty) > 0);
+  if (!list.length || !orderId) return { written: 0 };
+
+  const records = list.map((l) => {
+    const pin = String(l.pin || "").trim();
+    const qty = Math.floor(Number(l.qty));
+    const unitPrice = Number(l.unitPrice);
+    const hasPrice = l.unitPrice != null && Number.isFinite(unitPrice);
+
+    const fields = {
+      "Line Key": `${orderId}:${pin || l.recordId}`,
+      "Order ID": String(orderId),
+      "PIN": pin,
+      "Title": String(l.title || pin || l.recordId),
+      "Quantity": qty,
+      "Currency": String(currency || "").toUpperCase(),
+    };
+    if (orderRecordId) fields["Order"] = [orderRecordId];
+    if (l.recordId) fields["Product"] = [String(l.recordId)];
+    if (hasPrice) {
+      fields["Unit Price"] = unitPrice;
+      fields["Line Total"] = Math.round(unitPrice * 100) * qty / 100;
+    }
+    return { fields };
+  });
+
+  // Airtable: max 10 records per request
+  for (let i = 0; i < records.length; i += 10) {
+    await airtableUpsert(env, records.slice(i, i + 10));
+  }
+  return { written: records.length };
+}
+
+// → [{ pin, title, qty, unitPrice, lineTotal, currency, productRecordId }]  ([] when the table has no rows yet)
+export async function loadOrderItems(env, orderId) {
+  const id = String(orderId || "").trim();
+  if (!id || !env.AIRTABLE_TOKEN || !env.AIRTABLE_BASE_ID) return [];
+
+  const url = new URL(`https://api.airtable.com/v0/${env.AIRTABLE_BASE_ID}/${encodeURIComponent(itemsTable(env))}`);
+  url.searchParams.set("filterByFormula", `{Order ID}="${id.replace(/"/g, '\\"')}"`);
+  url.searchParams.set("pageSize", "100");
+
+  const r = await fetch(url.toString(), { headers: { Authorization: `Bearer ${env.AIRTABLE_TOKEN}` } });
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(`Airtable order items fetch failed: ${r.status} ${JSON.stringify(data)}`);
+
+  return (Array.isArray(data.records) ? data.records : []).map((rec) => {
+    const f = rec.fields || {};
+    return {
+      pin: String(f["PIN"] || ""),
+      title: String(f["Title"] || f["PIN"] || ""),
+      qty: Math.floor(Number(f["Quantity"] || 0)),
+      unitPrice: numOrNull(f["Unit Price"]),
+      lineTotal: numOrNull(f["Line Total"]),
+      currency: String(f["Currency"] || ""),
+      productRecordId: Array.isArray(f["Product"]) ? f["Product"][0] || null : null,
+    };
+  });
+}
+
+// ---------------- helpers ----------------
+
+function itemsTable(env) {
+  return String(env.AIRTABLE_ORDER_ITEMS_TABLE || "Order Items").trim();
+}
+
+async function airtableUpsert(env, records) {
+  const r = await fetch(`https://api.airtable.com/v0/${env.AIRTABLE_BASE_ID}/${encodeURIComponent(itemsTable(env))}`, {
+    method: "PATCH",
+    headers: {
+      Authorization: `Bearer ${env.AIRTABLE_TOKEN}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      performUpsert: { fieldsToMergeOn: ["Line Key"] },
+      records,
+      typecast: true,
+    }),
+  });
+
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(`Airtable order items upsert failed: ${r.status} ${JSON.stringify(data)}`);
+  return data;
+}
+
+function numOrNull(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
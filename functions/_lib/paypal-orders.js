@@ -0,0 +1,536 @@
+// functions/_lib/paypal-orders.js
+// PayPal order → Airtable Orders (same table/fields as /api/stripe-webhook, "Payment Provider" = PayPal)
+// Used by /api/paypal/capture after a COMPLETED capture and by /api/paypal/webhook
+// (server-side capture, PAYMENT.CAPTURE.COMPLETED / REFUNDED / DENIED)
+// 1) UPSERT order by "PayPal Order ID" (Airtable performUpsert, one row even when capture + webhook race)
+//    + "Order Items" rows (title / unit price from the create-order cart)
+// 2) Decrement stock in Products (only once per PayPal order) + coupon "Times Used" +1 + release stock hold
+// Idempotency: KV (STRIPE_EVENTS_KV) paypal_order:<orderID> with "processing" and "stock_done"
+// Cart: KV cart:pp_<orderID> saved by /api/paypal/create-order
+// Order code (_lib/order-codes.js): allocated here, once per PayPal order
+// Destination: the PayPal address must be inside the quoted shipping zone (checkPayPalDestination);
+//   capture rejects mismatches before capturing, PAYPAL_ZONE_MISMATCH=flag captures and marks "needs_review"
+// 3) "Order confirmed" email to the payer (_lib/order-email.js, same as Stripe), once per order: KV email_sent:pp_<orderID>
+//    language: cart.locale (create-order) → shipping country, stored in Orders "Locale"
+
+import { loadCart, paypalCartId } from "./cart-store.js";
+import { redeemCoupon } from "./coupons.js";
+import { commitStock, restockItems, releaseStock } from "./inventory.js";
+import { writeOrderItems } from "./order-items.js";
+import { allocateOrderCode, pickOrderCode, orderNumberField } from "./order-codes.js";
+import { buildOrderEmail, normalizeItemsForEmail, enrichItemsForEmail } from "./order-email.js";
+import { sendEmail } from "./mail.js";
+import { pickLocale, localeField, t } from "./i18n.js";
+import { loadShippingConfig, checkShippingDestination } from "./shipping.js";
+
+// paypalOrder: GET /v2/checkout/orders/{id} (before capture) or the capture response
+// quoted zone: KV cart (create-order) → fallback: zone of custom_id (shippingCountry sent at create-order)
+// returns checkShippingDestination() result, or { ok:true, skipped:true } when PayPal has no address yet
+export async function checkPayPalDestination(env, { orderID, paypalOrder, cart = undefined }) {
+  const pu0 = paypalOrder?.purchase_units?.[0] || {};
+  const country = String(pu0?.shipping?.address?.country_code || "").trim().toUpperCase();
+  if (!country) return { ok: true, skipped: true };
+
+  if (cart === undefined) {
+    cart = env.STRIPE_EVENTS_KV ? await loadCart(env.STRIPE_EVENTS_KV, paypalCartId(orderID)) : null;
+  }
+
+  const config = await loadShippingConfig(env);
+  let quotedZone = String(cart?.shippingZone || "").trim();
+  if (!quotedZone) {
+    const customId = String(pu0?.custom_id || pu0?.payments?.captures?.[0]?.custom_id || "").trim();
+    quotedZone = customId ? (checkShippingDestination(config, { country: customId }).zone || "") : "";
+  }
+
+  return checkShippingDestination(config, { country, quotedZone });
+}
+
+export function paypalZoneMismatchMode(env) {
+  return String(env.PAYPAL_ZONE_MISMATCH || "reject").trim().toLowerCase() === "flag" ? "flag" : "reject";
+}
+
+// capData: response of POST /v2/checkout/orders/{id}/capture (or GET /v2/checkout/orders/{id})
+// returns { upserted, orderRecordId, stock: "decremented" | "skipped_already_done" | "processing" | "no_kv", coupon, shippingCheck }
+export async function recordPayPalOrder(env, { orderID, capData }) {
+  const ORDERS_TABLE =
+    env.AIRTABLE_ORDERS_TABLE_NAME ||
+    env.AIRTABLE_ORDERS_TABLE ||
+    "Orders";
+
+  if (!env.AIRTABLE_TOKEN) throw new Error("AIRTABLE_TOKEN is not set");
+  if (!env.AIRTABLE_BASE_ID) throw new Error("AIRTABLE_BASE_ID is not set");
+  if (!env.AIRTABLE_TABLE_NAME) throw new Error("AIRTABLE_TABLE_NAME (Products) is not set");
+
+  const kv = env.STRIPE_EVENTS_KV || null;
+  const cart = kv ? await loadCart(kv, paypalCartId(orderID)) : null;
+
+  const pu0 = capData?.purchase_units?.[0] || {};
+  const cap0 = pu0?.payments?.captures?.[0] || {};
+
+  // ---------- items (cart from create-order; fallback: PayPal items, sku = PIN) ----------
+  let items = Array.isArray(cart?.items) ? cart.items : [];
+  if (!items.length && Array.isArray(pu0.items)) {
+    items = pu0.items.map((it) => ({ pin: String(it?.sku || "").trim(), qty: Math.floor(Number(it?.quantity || 0)) }));
+  }
+
+  const qtyByPin = new Map();
+  for (const it of items) {
+    const pin = String(it?.pin || "").trim();
+    const qty = Math.floor(Number(it?.qty || 0));
+    if (!pin || !(qty > 0)) continue;
+    qtyByPin.set(pin, (qtyByPin.get(pin) || 0) + qty);
+  }
+
+  const products = qtyByPin.size
+    ? await airtableFetchProductsByPins({
+        token: env.AIRTABLE_TOKEN,
+        baseId: env.AIRTABLE_BASE_ID,
+        table: env.AIRTABLE_TABLE_NAME,
+        pinField: env.AIRTABLE_PIN_FIELD || "PIN Code",
+        pins: [...qtyByPin.keys()],
+      })
+    : new Map();
+
+  const normalized = [];
+  for (const [pin, qty] of qtyByPin) {
+    const recordId = products.get(pin);
+    if (recordId) normalized.push({ recordId, pin, qty });
+  }
+
+  const productRecordIds = normalized.map((x) => x.recordId);
+  const totalQty = normalized.reduce((s, x) => s + x.qty, 0);
+
+  // ---------- money / meta ----------
+  const amount = cap0?.amount || pu0?.amount || {};
+  const currency = String(amount?.currency_code || cart?.currency || "").toUpperCase() || "EUR";
+  const amountTotal = Number(amount?.value ?? 0);
+
+  const createdAtISO = String(cap0?.create_time || capData?.create_time || "") || new Date().toISOString();
+  const captureId = String(cap0?.id || "").trim();
+
+  // ---------- payer / shipping (from the capture response) ----------
+  const payer = capData?.payer || {};
+  const payerName = [payer?.name?.given_name, payer?.name?.surname].filter(Boolean).join(" ").trim();
+  const customerEmail = String(payer?.email_address || "").trim();
+
+  const ship = pu0?.shipping || {};
+  const addr = ship?.address || {};
+  const customerName = String(ship?.name?.full_name || "").trim() || payerName;
+
+  const shipCountry = String(addr?.country_code || "").trim();
+  const shipCity = String(addr?.admin_area_2 || "").trim();
+  const shipPostal = String(addr?.postal_code || "").trim();
+  const shipState = String(addr?.admin_area_1 || "").trim();
+  const line1 = String(addr?.address_line_1 || "").trim();
+  const line2 = String(addr?.address_line_2 || "").trim();
+
+  // same format as Stripe orders: Country + City + Postal + Address
+  const cityLine = [shipCountry, [shipPostal, shipCity].filter(Boolean).join(" ")].filter(Boolean).join(", ");
+  const streetBlock = [line1, line2].filter(Boolean).join("\n");
+  const shippingAddressLong = [cityLine, streetBlock].filter(Boolean).join("\n");
+
+  // ---------- UPSERT order by PayPal Order ID ----------
+  // one atomic Airtable upsert: the browser capture and the CAPTURE.COMPLETED webhook usually arrive together
+  const claim = await airtableUpsertOrder({
+    token: env.AIRTABLE_TOKEN,
+    baseId: env.AIRTABLE_BASE_ID,
+    table: ORDERS_TABLE,
+    fields: { "PayPal Order ID": orderID, "Order ID": orderID },
+  });
+  const orderRecordId = claim.id;
+
+  // order code: existing order → allocated now (ref = PayPal order → both runs get the same one); older carts had one
+  const ORDER_NUMBER_FIELD = orderNumberField(env);
+  const orderCode =
+    pickOrderCode(claim.fields?.[ORDER_NUMBER_FIELD], cart?.orderCode, capData?.purchase_units?.[0]?.invoice_id) ||
+    (await allocateOrderCode(env, { ref: `paypal:${orderID}` }).catch(() => null));
+  const locale = pickLocale({ requested: cart?.locale, country: shipCountry });
+
+  const orderFields = {
+    "Order ID": orderID,
+    [localeField(env)]: locale,
+    "Payment Provider": "PayPal",
+    "Products": productRecordIds,
+    "Quantity": totalQty,
+    "Currency": currency,
+
+    "Order Status": "paid",
+
+    "Customer Name": customerName,
+    "Payer Name": payerName,
+
+    "Shipping Address": shippingAddressLong,
+    "Shipping Country": shipCountry,
+    "Shipping City": shipCity,
+    "Shipping Postal Code": shipPostal,
+    "Shipping State/Region": shipState,
+
+    "Customer Email": customerEmail,
+
+    "Created At": createdAtISO,
+    "Amount Total": Number.isFinite(amountTotal) ? amountTotal : 0,
+
+    "PayPal Order ID": orderID,
+    "PayPal Capture ID": captureId,
+  };
+
+  // destination outside the quoted zone (captured in "flag" mode / address changed) → manual review
+  const shippingCheck = await checkPayPalDestination(env, { orderID, paypalOrder: capData, cart }).catch(() => null);
+  if (shippingCheck && !shippingCheck.ok) {
+    orderFields["Order Status"] = "needs_review";
+    orderFields["Shipping Check"] =
+      shippingCheck.reason === "not_shippable"
+        ? `not_shippable: ${shippingCheck.country}`
+        : `zone_mismatch: quoted ${shippingCheck.quotedZone}, address ${shippingCheck.country} (${shippingCheck.zone})`;
+  }
+
+  // late capture retry / CAPTURE.COMPLETED redelivery after a refund or cancel → the status stays
+  const statusBefore = String(claim.fields?.["Order Status"] || "").trim();
+  if (!claim.created && ["refunded", "cancelled"].includes(statusBefore)) delete orderFields["Order Status"];
+
+  if (orderCode) orderFields[ORDER_NUMBER_FIELD] = orderCode;
+
+  const couponCode = String(cart?.coupon?.code || "").trim();
+  if (couponCode) {
+    orderFields["Coupon Code"] = couponCode;
+    orderFields["Discount"] = Number(cart?.coupon?.discount || 0);
+  }
+
+  // new orders only: never overwrite a refund status set later
+  await airtableUpdateRecord({
+    token: env.AIRTABLE_TOKEN,
+    baseId: env.AIRTABLE_BASE_ID,
+    table: ORDERS_TABLE,
+    recordId: orderRecordId,
+    fields: claim.created ? { ...orderFields, "Refund Status": "not_refunded" } : orderFields,
+  });
+
+  // ---------- Order Items ----------
+  const cartByPin = new Map((Array.isArray(cart?.items) ? cart.items : []).map((it) => [String(it?.pin || "").trim(), it]));
+  const lines = normalized.map((it) => ({
+    recordId: it.recordId,
+    pin: it.pin,
+    qty: it.qty,
+    title: cartByPin.get(it.pin)?.title || it.pin,
+    unitPrice: cartByPin.get(it.pin)?.unitPrice ?? null,
+  }));
+
+  // ---------- decrement stock ONLY ONCE ----------
+  const { stock, coupon } = await commitPayPalStock(env, { kv, orderID, normalized, couponCode });
+
+  // after the stock step and never fatal (missing table / renamed field must not block the commit)
+  let orderItems = null;
+  try {
+    orderItems = await writeOrderItems(env, { orderRecordId, orderId: orderID, currency, lines });
+  } catch (e) {
+    orderItems = { error: String(e?.message || e) };
+  }
+
+  // ---------- confirmation email (a parallel capture/webhook still "processing" sends it) ----------
+  // payment is captured — an email error never fails the order
+  let email = null;
+  if (stock !== "processing") {
+    try {
+      email = await sendPayPalConfirmation(env, {
+        kv,
+        orderID,
+        orderCode,
+        locale,
+        captureId,
+        customerEmail,
+        customerName,
+        currency,
+        amountTotal: Number.isFinite(amountTotal) ? amountTotal : 0,
+        shippingAmount: cart?.shippingAmount ?? null,
+        discountAmount: cart?.coupon?.discount ?? null,
+        couponCode,
+        lines,
+        shippingAddressLong: streetBlock,
+        shipCity,
+        shipPostal,
+        shipState,
+        shipCountry,
+      });
+    } catch (e) {
+      email = { sent: false, error: String(e?.message || e) };
+    }
+  }
+
+  return { upserted: true, orderRecordId, orderCode, stock, coupon, orderItems, shippingCheck, email };
+}
+
+// stock + coupon once per PayPal order → { stock: "decremented" | "skipped_already_done" | "processing" | "no_kv", coupon }
+async function commitPayPalStock(env, { kv, orderID, normalized, couponCode }) {
+  if (!kv) return { stock: "no_kv", coupon: null };
+
+  const ORDER_KEY = `paypal_order:${orderID}`;
+  const prev = await kv.get(ORDER_KEY); // null | processing | stock_done
+  if (prev === "stock_done") return { stock: "skipped_already_done", coupon: null };
+  if (prev === "processing") return { stock: "processing", coupon: null };
+
+  await kv.put(ORDER_KEY, "processing", { expirationTtl: 30 * 60 });
+
+  try {
+    // inventory DO (atomic) or Airtable read-modify-write with the KV lock; the hold is dropped as well
+    await commitStock(env, paypalCartId(orderID), normalized);
+  } catch (e) {
+    await kv.delete(ORDER_KEY);
+    throw e;
+  }
+
+  // coupon redemption (errors must not undo the stock step)
+  let coupon = null;
+  if (couponCode) {
+    try {
+      coupon = await redeemCoupon(env, couponCode, { ref: `paypal:${orderID}` });
+    } catch (e) {
+      coupon = { code: couponCode, error: String(e?.message || e) };
+    }
+  }
+
+  await kv.put(ORDER_KEY, "stock_done", { expirationTtl: 180 * 24 * 60 * 60 });
+  return { stock: "decremented", coupon };
+}
+
+// "Order confirmed" to the PayPal payer (same template + MAIL_* env as /api/stripe-email-webhook)
+async function sendPayPalConfirmation(env, {
+  kv,
+  orderID,
+  orderCode,
+  locale,
+  captureId,
+  customerEmail,
+  customerName,
+  currency,
+  amountTotal,
+  shippingAmount,
+  discountAmount,
+  couponCode,
+  lines,
+  ...address
+}) {
+  if (!customerEmail) return { sent: false, reason: "no_customer_email" };
+
+  const EMAIL_KEY = `email_sent:${paypalCartId(orderID)}`;
+  if (kv && (await kv.get(EMAIL_KEY))) return { sent: false, reason: "already_sent" };
+
+  const STORE_NAME = String(env.STORE_NAME || "Mosaic Pins");
+  const STORE_URL = String(env.STORE_URL || "https://mosaicpins.space");
+  const MAIL_FROM = String(env.MAIL_FROM || "support@mosaicpins.space").trim();
+  const MAIL_REPLY_TO = String(env.MAIL_REPLY_TO || "mosaicpinsspace@gmail.com").trim();
+  const MAIL_BCC = String(env.MAIL_BCC || "").trim();
+
+  const { html, text } = buildOrderEmail({
+    storeName: STORE_NAME,
+    storeUrl: STORE_URL,
+    orderId: orderID,
+    orderCode,
+    locale,
+    paymentLabel: t(locale, "order.paymentPayPal"),
+    paymentRef: captureId,
+    customerName,
+    currency,
+    amountTotal,
+    shippingAmount: shippingAmount == null ? null : Number(shippingAmount),
+    discountAmount: discountAmount == null ? null : Number(discountAmount),
+    couponCode,
+    items: await enrichItemsForEmail(env, normalizeItemsForEmail(lines), { currency }),
+    ...address,
+  });
+
+  await sendEmail({
+    env,
+    from: MAIL_FROM,
+    to: customerEmail,
+    replyTo: MAIL_REPLY_TO || undefined,
+    bcc: MAIL_BCC || undefined,
+    subject: t(locale, "order.subject", { store: STORE_NAME }),
+    html,
+    text,
+    log: { order: orderCode || orderID, template: "order_confirmation" },
+  });
+
+  if (kv) await kv.put(EMAIL_KEY, "1", { expirationTtl: 30 * 24 * 60 * 60 });
+  return { sent: true };
+}
+
+// PAYMENT.CAPTURE.REFUNDED: refund resource → order by "PayPal Capture ID"
+// "Refund Status" refunded | partially_refunded, "Refund Amount";
+// full refund + REFUND_RESTOCK=1 → cart quantities back to Products Stock (once per order)
+export async function recordPayPalRefund(env, { captureId, refund, captureStatus = "" }) {
+  const ORDERS_TABLE =
+    env.AIRTABLE_ORDERS_TABLE_NAME ||
+    env.AIRTABLE_ORDERS_TABLE ||
+    "Orders";
+
+  const order = await airtableFindOrderByField({
+    token: env.AIRTABLE_TOKEN,
+    baseId: env.AIRTABLE_BASE_ID,
+    table: ORDERS_TABLE,
+    field: "PayPal Capture ID",
+    value: captureId,
+  });
+  if (!order?.id) return { ignored: true, reason: "order_not_found", captureId };
+
+  const totalRefunded = Number(refund?.seller_payable_breakdown?.total_refunded_amount?.value ?? refund?.amount?.value ?? 0);
+  const orderTotal = Number(order.fields?.["Amount Total"] ?? 0);
+  const isFull =
+    String(captureStatus).toUpperCase() === "REFUNDED" ||
+    (orderTotal > 0 && Math.round(totalRefunded * 100) >= Math.round(orderTotal * 100));
+
+  const fields = {
+    "Refund Status": isFull ? "refunded" : "partially_refunded",
+    "Refund Amount": Number.isFinite(totalRefunded) ? totalRefunded : 0,
+  };
+  if (isFull) fields["Order Status"] = "refunded";
+
+  await airtableUpdateRecord({
+    token: env.AIRTABLE_TOKEN,
+    baseId: env.AIRTABLE_BASE_ID,
+    table: ORDERS_TABLE,
+    recordId: order.id,
+    fields,
+  });
+
+  // ---------- restock (full refunds only) ----------
+  let restocked = null;
+  const kv = env.STRIPE_EVENTS_KV || null;
+  const orderID = String(order.fields?.["PayPal Order ID"] || "").trim();
+  const RESTOCK = ["1", "true", "yes"].includes(String(env.REFUND_RESTOCK || "").trim().toLowerCase());
+  const RESTOCK_KEY = `refund_restocked:pp_${orderID}`;
+
+  if (isFull && RESTOCK && kv && orderID && !(await kv.get(RESTOCK_KEY))) {
+    const cart = await loadCart(kv, paypalCartId(orderID));
+    const items = Array.isArray(cart?.items) ? cart.items : [];
+
+    const products = items.length
+      ? await airtableFetchProductsByPins({
+          token: env.AIRTABLE_TOKEN,
+          baseId: env.AIRTABLE_BASE_ID,
+          table: env.AIRTABLE_TABLE_NAME,
+          pinField: env.AIRTABLE_PIN_FIELD || "PIN Code",
+          pins: items.map((it) => String(it?.pin || "").trim()).filter(Boolean),
+        })
+      : new Map();
+
+    // mark first: a retry must never add the same stock twice
+    await kv.put(RESTOCK_KEY, "1", { expirationTtl: 180 * 24 * 60 * 60 });
+
+    const restockList = items
+      .map((it) => ({ pin: String(it?.pin || "").trim(), recordId: products.get(String(it?.pin || "").trim()), qty: it?.qty }))
+      .filter((it) => it.recordId);
+    await restockItems(env, `paypal:${orderID}`, restockList);
+    restocked = restockList.map((it) => ({ pin: it.pin, qty: it.qty }));
+  }
+
+  return { orderRecordId: order.id, status: fields["Refund Status"], refunded: fields["Refund Amount"], restocked };
+}
+
+// PAYMENT.CAPTURE.DENIED: the order was never recorded as paid (capture only records COMPLETED)
+// → existing order (if any) is cancelled, stock hold released
+export async function markPayPalOrderDenied(env, { orderID }) {
+  const ORDERS_TABLE =
+    env.AIRTABLE_ORDERS_TABLE_NAME ||
+    env.AIRTABLE_ORDERS_TABLE ||
+    "Orders";
+
+  const order = orderID
+    ? await airtableFindOrderByField({
+        token: env.AIRTABLE_TOKEN,
+        baseId: env.AIRTABLE_BASE_ID,
+        table: ORDERS_TABLE,
+        field: "PayPal Order ID",
+        value: orderID,
+      })
+    : null;
+
+  if (order?.id) {
+    await airtableUpdateRecord({
+      token: env.AIRTABLE_TOKEN,
+      baseId: env.AIRTABLE_BASE_ID,
+      table: ORDERS_TABLE,
+      recordId: order.id,
+      fields: { "Order Status": "cancelled" },
+    });
+  }
+
+  const released = orderID ? await releaseStock(env, paypalCartId(orderID)) : 0;
+  return { cancelled: Boolean(order?.id), holds_released: released };
+}
+
+// ---------------- Airtable helpers ----------------
+
+async function airtableFetchProductsByPins({ token, baseId, table, pinField, pins }) {
+  const or = pins.map((p) => `{${pinField}}="${String(p).replace(/"/g, '\\"')}"`).join(",");
+
+  const url = new URL(`https://api.airtable.com/v0/${baseId}/${encodeURIComponent(table)}`);
+  url.searchParams.set("filterByFormula", pins.length ? `OR(${or})` : "FALSE()");
+  url.searchParams.set("pageSize", "100");
+
+  const r = await fetch(url.toString(), { headers: { Authorization: `Bearer ${token}` } });
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(`Airtable products fetch failed: ${r.status} ${JSON.stringify(data)}`);
+
+  const byPin = new Map(); // pin -> recordId
+  for (const rec of Array.isArray(data.records) ? data.records : []) {
+    const pin = String(rec?.fields?.[pinField] ?? "").trim();
+    if (pin && rec?.id) byPin.set(pin, rec.id);
+  }
+  return byPin;
+}
+
+async function airtableFindOrderByField({ token, baseId, table, field, value }) {
+  const formula = `{${field}}="${String(value).replace(/"/g, '\\"')}"`;
+
+  const url = new URL(`https://api.airtable.com/v0/${baseId}/${encodeURIComponent(table)}`);
+  url.searchParams.set("filterByFormula", formula);
+  url.searchParams.set("maxRecords", "1");
+
+  const r = await fetch(url.toString(), { headers: { Authorization: `Bearer ${token}` } });
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(`Airtable find failed: ${r.status} ${JSON.stringify(data)}`);
+
+  const rec = data?.records?.[0];
+  return rec ? { id: rec.id, fields: rec.fields || {} } : null;
+}
+
+// upsert merged on "PayPal Order ID" → { id, created, fields } (fields = the row after the upsert)
+async function airtableUpsertOrder({ token, baseId, table, fields }) {
+  const r = await fetch(`https://api.airtable.com/v0/${baseId}/${encodeURIComponent(table)}`, {
+    method: "PATCH",
+    headers: {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      performUpsert: { fieldsToMergeOn: ["PayPal Order ID"] },
+      records: [{ fields }],
+    }),
+  });
+
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(`Airtable upsert failed: ${r.status} ${JSON.stringify(data)}`);
+
+  const rec = data?.records?.[0];
+  if (!rec?.id) throw new Error(`Airtable upsert returned no record: ${JSON.stringify(data)}`);
+  return {
+    id: rec.id,
+    created: Array.isArray(data.createdRecords) && data.createdRecords.includes(rec.id),
+    fields: rec.fields || {},
+  };
+}
+
+async function airtableUpdateRecord({ token, baseId, table, recordId, fields }) {
+  const r = await fetch(`https://api.airtable.com/v0/${baseId}/${encodeURIComponent(table)}/${recordId}`, {
+    method: "PATCH",
+    headers: {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ fields }),
+  });
+
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(`Airtable update failed: ${r.status} ${JSON.stringify(data)}`);
+  return data;
+}
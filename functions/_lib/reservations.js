@@ -0,0 +1,91 @@
+// functions/_lib/reservations.js
+// Stock holds during checkout (KV: STRIPE_EVENTS_KV)
+// Fallback of _lib/inventory.js when the INVENTORY Durable Object is not bound
+// - /api/checkout places a hold per pin for the Stripe session lifetime (session expires_at)
+// - /api/paypal/create-order holds for PAYPAL_HOLD_MINUTES until capture
+// - /api/products + /api/product subtract active holds from the reported stock
+// - released on checkout.session.completed (after stock decrement), checkout.session.expired,
+//   PayPal capture — or by KV expiration after the timeout
+//
+// KV keys:
+// hold:<pin>:<holdId>   value "1", metadata { qty, expiresAt }   (listed by prefix, no extra reads)
+// holdset:<holdId>      JSON [{ pin, qty }]                       (to release by holdId)
+
+const HOLD_GRACE_SEC = 5 * 60;
+
+export async function getHeldQuantities(kv, { pins = null, excludeHoldId = "" } = {}) {
+  const held = new Map(); // pin -> qty
+  if (!kv) return held;
+
+  const now = Date.now();
+  const prefixes = Array.isArray(pins) ? pins.map((p) => `hold:${p}:`) : ["hold:"];
+
+  for (const prefix of prefixes) {
+    let cursor;
+    for (let page = 0; page < 20; page++) {
+      const res = await kv.list({ prefix, cursor });
+
+      for (const k of res.keys || []) {
+        const rest = k.name.slice("hold:".length);
+        const sep = rest.lastIndexOf(":");
+        if (sep <= 0) continue;
+
+        const pin = rest.slice(0, sep);
+        const holdId = rest.slice(sep + 1);
+        if (excludeHoldId && holdId === excludeHoldId) continue;
+
+        const qty = Math.floor(Number(k.metadata?.qty || 0));
+        const expiresAt = Number(k.metadata?.expiresAt || 0);
+        if (!(qty > 0)) continue;
+        if (expiresAt && expiresAt < now) continue;
+
+        held.set(pin, (held.get(pin) || 0) + qty);
+      }
+
+      if (res.list_complete || !res.cursor) break;
+      cursor = res.cursor;
+    }
+  }
+
+  return held;
+}
+
+// items: [{ pin, qty }], expiresAtMs: when the checkout can no longer be paid
+export async function placeHolds(kv, holdId, items, expiresAtMs) {
+  if (!kv || !holdId) return;
+
+  const list = (Array.isArray(items) ? items : [])
+    .map((it) => ({ pin: String(it?.pin || "").trim(), qty: Math.floor(Number(it?.qty || 0)) }))
+    .filter((it) => it.pin && it.qty > 0);
+  if (!list.length) return;
+
+  const ttl = Math.max(60, Math.ceil((expiresAtMs - Date.now()) / 1000) + HOLD_GRACE_SEC);
+
+  await kv.put(`holdset:${holdId}`, JSON.stringify(list), { expirationTtl: ttl });
+  for (const it of list) {
+    await kv.put(`hold:${it.pin}:${holdId}`, "1", {
+      expirationTtl: ttl,
+      metadata: { qty: it.qty, expiresAt: expiresAtMs },
+    });
+  }
+}
+
+export async function releaseHolds(kv, holdId) {
+  if (!kv || !holdId) return 0;
+
+  const raw = await kv.get(`holdset:${holdId}`);
+  if (!raw) return 0;
+
+  let list = [];
+  try {
+    list = JSON.parse(raw);
+  } catch {
+    list = [];
+  }
+
+  for (const it of Array.isArray(list) ? list : []) {
+    if (it?.pin) await kv.delete(`hold:${it.pin}:${holdId}`);
+  }
+  await kv.delete(`holdset:${holdId}`);
+  return list.length;
+}
@@ -0,0 +1,150 @@
+// functions/_lib/review-invites.js
+// Review invitations after delivery: /api/admin/review-requests (daily cron) emails a signed link
+//   <STORE_URL>/reviews?token=<token>  → reviews.html pre-fills the form (GET /api/reviews?token=)
+//   → POST /api/reviews { token } creates the review as "Verified Buyer", linked to the purchased pins
+// token = "<Orders record id>.<expiry unix sec>.<hex HMAC-SHA256(REVIEW_TOKEN_SECRET)>"
+// Single use: KV review_token_used:<Orders record id> (one verified review per order),
+//   claimed before the review is created and released when the create fails; no STRIPE_EVENTS_KV → invitations are off
+
+import { loadOrderItems } from "./order-items.js";
+import { orderNumberField } from "./order-codes.js";
+import { pickLocale, localeField, t } from "./i18n.js";
+import { escapeHtml } from "./mail.js";
+
+export function reviewTokenDays(env) {
+  const n = Number(env.REVIEW_TOKEN_DAYS || 60);
+  return Number.isFinite(n) && n > 0 ? n : 60;
+}
+
+export async function signReviewToken(env, orderRecordId, { days = reviewTokenDays(env) } = {}) {
+  const exp = Math.floor(Date.now() / 1000) + Math.round(days * 24 * 60 * 60);
+  const body = `${orderRecordId}.${exp}`;
+  return { token: `${body}.${await hmacHex(env, body)}`, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+// → { ok:true, orderRecordId } | { ok:false, reason: "invalid" | "expired" | "used" }
+export async function verifyReviewToken(env, token) {
+  const m = String(token || "").trim().match(/^(rec[A-Za-z0-9]+)\.(\d+)\.([0-9a-f]{64})$/);
+  if (!m || !String(env.REVIEW_TOKEN_SECRET || "").trim()) return { ok: false, reason: "invalid" };
+
+  const [, orderRecordId, exp, sig] = m;
+  if (!safeEqual(await hmacHex(env, `${orderRecordId}.${exp}`), sig)) return { ok: false, reason: "invalid" };
+  if (Number(exp) < Math.floor(Date.now() / 1000)) return { ok: false, reason: "expired" };
+
+  if (env.STRIPE_EVENTS_KV && (await env.STRIPE_EVENTS_KV.get(usedKey(orderRecordId)))) {
+    return { ok: false, reason: "used" };
+  }
+  return { ok: true, orderRecordId };
+}
+
+// KV has no compare-and-set: write a unique claim and read it back, a parallel submit sees the other value
+// → true when this request owns the invitation
+export async function claimReviewToken(env, orderRecordId) {
+  const kv = env.STRIPE_EVENTS_KV;
+  if (!kv) return false;
+
+  const key = usedKey(orderRecordId);
+  if (await kv.get(key)) return false;
+
+  const claim = `${new Date().toISOString()} ${crypto.randomUUID()}`;
+  await kv.put(key, claim, { expirationTtl: 400 * 24 * 60 * 60 });
+  return (await kv.get(key)) === claim;
+}
+
+// the review could not be created → the link works again
+export async function releaseReviewToken(env, orderRecordId) {
+  if (!env.STRIPE_EVENTS_KV) return;
+  await env.STRIPE_EVENTS_KV.delete(usedKey(orderRecordId)).catch(() => {});
+}
+
+// Orders record → what the review form / review record needs
+// → { recordId, orderId, orderNumber, name, country, locale, email, items: [{ pin, title, qty, productRecordId }] }
+export async function loadInviteOrder(env, orderRecordId) {
+  const table = String(env.AIRTABLE_ORDERS_TABLE_NAME || env.AIRTABLE_ORDERS_TABLE || "Orders");
+  const r = await fetch(
+    `https://api.airtable.com/v0/${env.AIRTABLE_BASE_ID}/${encodeURIComponent(table)}/${encodeURIComponent(orderRecordId)}`,
+    { headers: { Authorization: `Bearer ${env.AIRTABLE_TOKEN}` } }
+  );
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(`Airtable order get failed: ${r.status} ${JSON.stringify(data)}`);
+
+  const f = data.fields || {};
+  const orderId = String(f["Order ID"] || f["Stripe Session ID"] || "").trim();
+  const country = String(f["Shipping Country"] || "").trim();
+
+  return {
+    recordId: data.id,
+    orderId,
+    orderNumber: String(f[orderNumberField(env)] || orderId || data.id).trim(),
+    name: String(f["Customer Name"] || "").trim(),
+    email: String(f["Customer Email"] || "").trim(),
+    country,
+    locale: pickLocale({ requested: f[localeField(env)], country }),
+    items: orderId ? await loadOrderItems(env, orderId).catch(() => []) : [],
+  };
+}
+
+export function buildReviewRequestEmail({ locale, storeName, storeUrl, customerName, orderNumber, items = [], reviewUrl, expiresAt }) {
+  const hello = customerName ? t(locale, "hello", { name: customerName }) : t(locale, "hello.anon");
+  const until = new Date(expiresAt).toLocaleDateString(locale === "de" ? "de-DE" : "en-GB", { year: "numeric", month: "long", day: "numeric" });
+  const note = t(locale, "reviewRequest.verified", { date: until });
+
+  const text =
+`${hello}
+
+${t(locale, "reviewRequest.lead", { order: orderNumber })}
+${items.length ? `\n${t(locale, "reviewRequest.items")}:\n${items.map((it) => `• ${it.title}`).join("\n")}\n` : ""}
+${t(locale, "reviewRequest.button")}: ${reviewUrl}
+
+${note}
+
+${storeUrl || storeName}
+`;
+
+  const html =
+`<div style="font-family:Arial,sans-serif;line-height:1.45;color:#111">
+  <h2 style="margin:0 0 12px">${escapeHtml(storeName)} — ${escapeHtml(t(locale, "reviewRequest.title"))}</h2>
+  <p style="margin:0 0 10px">${escapeHtml(hello)}</p>
+
+  <p style="margin:0 0 12px">${escapeHtml(t(locale, "reviewRequest.lead", { order: orderNumber }))}</p>
+
+  ${items.length ? `<p style="margin:12px 0 6px"><b>${escapeHtml(t(locale, "reviewRequest.items"))}:</b></p>
+  <ul style="margin:0 0 12px 18px;padding:0">${items.map((it) => `<li>${escapeHtml(it.title)}</li>`).join("")}</ul>` : ""}
+
+  <p style="margin:16px 0"><a href="${escapeHtml(reviewUrl)}" style="display:inline-block;padding:10px 16px;border-radius:10px;background:#111;color:#fff;text-decoration:none;font-weight:bold">⭐ ${escapeHtml(t(locale, "reviewRequest.button"))}</a></p>
+
+  <p style="margin:0 0 12px;color:#666;font-size:13px">${escapeHtml(note)}</p>
+
+  ${storeUrl ? `<p style="margin:0"><a href="${escapeHtml(storeUrl)}">${escapeHtml(storeUrl)}</a></p>` : ""}
+</div>`;
+
+  return { html, text };
+}
+
+// ---------------- helpers ----------------
+
+function usedKey(orderRecordId) {
+  return `review_token_used:${orderRecordId}`;
+}
+
+async function hmacHex(env, message) {
+  const enc = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    enc.encode(String(env.REVIEW_TOKEN_SECRET || "")),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const mac = new Uint8Array(await crypto.subtle.sign("HMAC", key, enc.encode(message)));
+  let out = "";
+  for (let i = 0; i < mac.length; i++) out += mac[i].toString(16).padStart(2, "0");
+  return out;
+}
+
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let x = 0;
+  for (let i = 0; i < a.length; i++) x |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return x === 0;
+}
@@ -0,0 +1,179 @@
+// functions/_lib/review-photos.js
+// Customer photos of POST /api/reviews (multipart/form-data, field "photos", repeatable)
+// Storage: R2 bucket env.REVIEW_PHOTOS_BUCKET, else KV env.REVIEW_PHOTOS_KV (stand-in for local / small shops)
+// Limits: REVIEW_PHOTOS_MAX (default 4) files, REVIEW_PHOTO_MAX_MB (default 5) each, JPEG / PNG / WebP / GIF only
+//   (checked by the file bytes, the browser's content type is not trusted)
+// Public URL for the Airtable "Photos" attachment (Airtable copies the file from it):
+//   REVIEW_PHOTOS_PUBLIC_URL + "/" + key  (R2 public bucket / custom domain)
+//   else <STORE_URL>/api/review-photos/<key>  (served from the bucket / KV by functions/api/review-photos/[key].js)
+// Our copy only has to live until Airtable fetched it (right after the create): keys are random (unguessable),
+//   served for REVIEW_PHOTO_SERVE_SEC (default 3600) after the upload, then deleted —
+//   KV by expirationTtl, R2 (and the public bucket) by cleanupReviewPhotos (/api/admin/review-photos, hourly cron)
+// The storefront shows the Airtable copy (Active reviews only), so rejected / unmoderated photos are never public
+
+export const PHOTO_TYPES = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+};
+
+export function photoLimits(env) {
+  const max = Math.floor(Number(env.REVIEW_PHOTOS_MAX || 4));
+  const mb = Number(env.REVIEW_PHOTO_MAX_MB || 5);
+  return {
+    maxFiles: Number.isFinite(max) && max >= 0 ? max : 4,
+    maxBytes: Math.round((Number.isFinite(mb) && mb > 0 ? mb : 5) * 1024 * 1024),
+  };
+}
+
+export function photoServeSec(env) {
+  const n = Number(env.REVIEW_PHOTO_SERVE_SEC || 3600);
+  return Number.isFinite(n) && n >= 60 ? Math.round(n) : 3600;
+}
+
+// whole multipart body: every photo at its limit + the text fields (checked on Content-Length before parsing)
+export function photoBodyLimit(env) {
+  const { maxFiles, maxBytes } = photoLimits(env);
+  return (photoStore(env) ? maxFiles * maxBytes : 0) + 64 * 1024;
+}
+
+// KV / R2 key: "<unix ms>-<uuid>.<ext>" (one path segment, see isPhotoKey)
+export function isPhotoKey(key) {
+  return /^\d{10,}-[0-9a-f-]{36}\.(jpg|png|webp|gif)$/.test(String(key || ""));
+}
+
+// past the serve window (upload time = key prefix)
+export function isPhotoExpired(env, key, now = Date.now()) {
+  const uploaded = Number(String(key || "").split("-")[0]);
+  return !Number.isFinite(uploaded) || now - uploaded > photoServeSec(env) * 1000;
+}
+
+// → { ok:true, photos: [{ bytes: ArrayBuffer, type, ext, filename }] } | { ok:false, status, error }
+export async function readPhotoFiles(env, files) {
+  const list = (Array.isArray(files) ? files : []).filter((f) => f && typeof f === "object" && f.size > 0);
+  if (!list.length) return { ok: true, photos: [] };
+
+  const { maxFiles, maxBytes } = photoLimits(env);
+  if (!photoStore(env)) return { ok: false, status: 400, error: "Photo uploads are not enabled" };
+  if (list.length > maxFiles) return { ok: false, status: 400, error: `Too many photos (max ${maxFiles})` };
+
+  const out = [];
+  for (const file of list) {
+    if (file.size > maxBytes) {
+      return { ok: false, status: 400, error: `Photo "${file.name}" is too large (max ${Math.round(maxBytes / 1024 / 1024)} MB)` };
+    }
+
+    const bytes = await file.arrayBuffer();
+    const type = sniffImageType(new Uint8Array(bytes, 0, Math.min(16, bytes.byteLength)));
+    if (!type) return { ok: false, status: 400, error: `Photo "${file.name}" is not a JPEG, PNG, WebP or GIF image` };
+
+    out.push({ bytes, type, ext: PHOTO_TYPES[type], filename: safeFilename(file.name, PHOTO_TYPES[type]) });
+  }
+  return { ok: true, photos: out };
+}
+
+// → [{ key, url, filename }]
+export async function storeReviewPhotos(env, photos, { origin } = {}) {
+  const store = photoStore(env);
+  const stored = [];
+
+  for (const p of photos) {
+    const key = `${Date.now()}-${crypto.randomUUID()}.${p.ext}`;
+
+    if (store.kind === "r2") {
+      await store.bucket.put(key, p.bytes, { httpMetadata: { contentType: p.type } });
+    } else {
+      await store.kv.put(key, p.bytes, { metadata: { contentType: p.type }, expirationTtl: photoServeSec(env) + 60 });
+    }
+
+    stored.push({ key, url: photoUrl(env, key, origin), filename: p.filename });
+  }
+  return stored;
+}
+
+// cleanup when the Airtable record could not be created
+export async function deleteReviewPhotos(env, keys) {
+  const store = photoStore(env);
+  if (!store) return;
+  for (const key of keys) {
+    if (store.kind === "r2") await store.bucket.delete(key).catch(() => {});
+    else await store.kv.delete(key).catch(() => {});
+  }
+}
+
+// → { body: ReadableStream | ArrayBuffer, contentType } | null
+export async function getReviewPhoto(env, key) {
+  const store = photoStore(env);
+  if (!store || !isPhotoKey(key) || isPhotoExpired(env, key)) return null;
+
+  if (store.kind === "r2") {
+    const obj = await store.bucket.get(key);
+    if (!obj) return null;
+    return { body: obj.body, contentType: obj.httpMetadata?.contentType || "application/octet-stream" };
+  }
+
+  const { value, metadata } = await store.kv.getWithMetadata(key, "arrayBuffer");
+  if (!value) return null;
+  return { body: value, contentType: metadata?.contentType || "application/octet-stream" };
+}
+
+// uploads past the serve window → deleted (Airtable has its own copy by then) → { checked, deleted }
+export async function cleanupReviewPhotos(env) {
+  const store = photoStore(env);
+  const out = { checked: 0, deleted: 0 };
+  if (!store) return out;
+
+  let cursor;
+  do {
+    const page = store.kind === "r2" ? await store.bucket.list({ cursor }) : await store.kv.list({ cursor });
+    const keys = (store.kind === "r2" ? page.objects.map((o) => o.key) : page.keys.map((k) => k.name)).filter(isPhotoKey);
+
+    for (const key of keys) {
+      out.checked++;
+      if (!isPhotoExpired(env, key)) continue;
+      await deleteReviewPhotos(env, [key]);
+      out.deleted++;
+    }
+
+    const more = store.kind === "r2" ? page.truncated : !page.list_complete;
+    cursor = more ? page.cursor : null;
+  } while (cursor);
+
+  return out;
+}
+
+// ---------------- helpers ----------------
+
+function photoStore(env) {
+  if (env.REVIEW_PHOTOS_BUCKET) return { kind: "r2", bucket: env.REVIEW_PHOTOS_BUCKET };
+  if (env.REVIEW_PHOTOS_KV) return { kind: "kv", kv: env.REVIEW_PHOTOS_KV };
+  return null;
+}
+
+function photoUrl(env, key, origin) {
+  const pub = String(env.REVIEW_PHOTOS_PUBLIC_URL || "").trim().replace(/\/+$/, "");
+  if (pub) return `${pub}/${key}`;
+
+  const base = String(env.STORE_URL || origin || "").trim().replace(/\/+$/, "");
+  return `${base}/api/review-photos/${key}`;
+}
+
+function sniffImageType(b) {
+  if (b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff) return "image/jpeg";
+  if (b.length >= 8 && b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4e && b[3] === 0x47) return "image/png";
+  if (b.length >= 6 && b[0] === 0x47 && b[1] === 0x49 && b[2] === 0x46 && b[3] === 0x38) return "image/gif";
+  if (
+    b.length >= 12 &&
+    b[0] === 0x52 && b[1] === 0x49 && b[2] === 0x46 && b[3] === 0x46 && // RIFF
+    b[8] === 0x57 && b[9] === 0x45 && b[10] === 0x42 && b[11] === 0x50 // WEBP
+  ) {
+    return "image/webp";
+  }
+  return null;
+}
+
+function safeFilename(name, ext) {
+  const base = String(name || "photo").replace(/\.[^.]*$/, "").replace(/[^A-Za-z0-9._-]+/g, "_").slice(0, 60) || "photo";
+  return `${base}.${ext}`;
+}
@@ -0,0 +1,118 @@
+// functions/_lib/review-ratings.js
+// Reviews ↔ products: Reviews "Pins" (text) = comma-separated PIN codes, e.g. "MP-014, MP-101"
+//   set from the purchased pins (review invitation) or POST /api/reviews { pins }, editable in Airtable
+// Aggregates over Active reviews only: { average, count, distribution: { 1..5 } }
+//   read by /api/products (all pins, cached in KV review_ratings for REVIEW_RATINGS_CACHE_SEC, default 300),
+//   /api/product and /api/reviews?pin= (one pin, uncached)
+
+const CACHE_KEY = "review_ratings";
+
+export function reviewsTable(env) {
+  return String(env.AIRTABLE_REVIEWS_TABLE || "Reviews").trim();
+}
+
+export function reviewsToken(env) {
+  return String(env.AIRTABLE_TOKEN_REVIEWS || env.AIRTABLE_TOKEN || "").trim();
+}
+
+// "MP-014, MP-101" | ["MP-014", " MP-101 "] → ["MP-014", "MP-101"]
+export function parsePins(v) {
+  const list = Array.isArray(v) ? v : String(v || "").split(",");
+  return [...new Set(list.map((p) => String(p || "").trim()).filter(Boolean))];
+}
+
+// PIN codes as accepted by /api/reviews (GET ?pin= and POST pins) — nothing that could leave a formula string
+export function isValidPin(pin) {
+  return /^[A-Za-z0-9._-]{1,40}$/.test(String(pin || ""));
+}
+
+// Airtable formula: the review lists `pin` in its Pins field (invalid pin → matches nothing)
+export function pinFilterFormula(pin) {
+  const p = String(pin || "").replace(/\s+/g, "");
+  if (!isValidPin(p)) return "FALSE()";
+  return `FIND(",${p},", "," & SUBSTITUTE({Pins}, " ", "") & ",")`;
+}
+
+export function emptyRating() {
+  return { average: null, count: 0, distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 } };
+}
+
+// ratings: [number] → { average, count, distribution }
+export function summarizeRatings(ratings) {
+  const out = emptyRating();
+  let sum = 0;
+
+  for (const v of ratings) {
+    const n = Math.round(Number(v));
+    if (!Number.isFinite(n) || n < 1 || n > 5) continue;
+    out.distribution[n]++;
+    out.count++;
+    sum += n;
+  }
+
+  if (out.count) out.average = Math.round((sum / out.count) * 100) / 100;
+  return out;
+}
+
+// → Map pin → { average, count, distribution }  (pins without reviews are missing: use emptyRating())
+// pin: only reviews of that pin (one product page) — otherwise all pins, KV-cached
+export async function loadRatingSummaries(env, { pin } = {}) {
+  const kv = env.STRIPE_EVENTS_KV;
+  const cacheSec = Math.max(60, Number(env.REVIEW_RATINGS_CACHE_SEC || 300) || 300);
+
+  if (!pin && kv) {
+    const cached = await kv.get(CACHE_KEY, "json").catch(() => null);
+    if (cached && typeof cached === "object") return new Map(Object.entries(cached));
+  }
+
+  const formula = pin
+    ? `AND(Active=TRUE(), ${pinFilterFormula(pin)})`
+    : "AND(Active=TRUE(), {Pins}!='')";
+
+  const byPin = new Map(); // pin → [rating]
+  for (const rec of await fetchReviewRatings(env, formula)) {
+    const f = rec.fields || {};
+    for (const p of parsePins(f["Pins"])) {
+      if (pin && p !== pin) continue;
+      if (!byPin.has(p)) byPin.set(p, []);
+      byPin.get(p).push(f["Rating"]);
+    }
+  }
+
+  const out = new Map();
+  for (const [p, ratings] of byPin) out.set(p, summarizeRatings(ratings));
+
+  if (!pin && kv) {
+    await kv.put(CACHE_KEY, JSON.stringify(Object.fromEntries(out)), { expirationTtl: cacheSec }).catch(() => {});
+  }
+  return out;
+}
+
+// ---------------- helpers ----------------
+
+async function fetchReviewRatings(env, filterByFormula) {
+  const token = reviewsToken(env);
+  if (!token || !env.AIRTABLE_BASE_ID) return [];
+
+  const all = [];
+  let offset = null;
+
+  for (let page = 0; page < 50; page++) {
+    const url = new URL(`https://api.airtable.com/v0/${env.AIRTABLE_BASE_ID}/${encodeURIComponent(reviewsTable(env))}`);
+    url.searchParams.set("pageSize", "100");
+    url.searchParams.set("filterByFormula", filterByFormula);
+    url.searchParams.append("fields[]", "Rating");
+    url.searchParams.append("fields[]", "Pins");
+    if (offset) url.searchParams.set("offset", offset);
+
+    const r = await fetch(url.toString(), { headers: { Authorization: `Bearer ${token}` } });
+    const data = await r.json().catch(() => ({}));
+    if (!r.ok) throw new Error(`Airtable reviews fetch failed: ${r.status} ${JSON.stringify(data)}`);
+
+    if (Array.isArray(data.records)) all.push(...data.records);
+    offset = data.offset || null;
+    if (!offset) break;
+  }
+
+  return all;
+}
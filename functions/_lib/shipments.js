@@ -0,0 +1,143 @@
+// functions/_lib/shipments.js
+// Airtable table "Shipments" (env.AIRTABLE_SHIPMENTS_TABLE): one row per parcel, so a split order gets one email per parcel
+// Read by /api/order-shipped-webhook (body.shipmentId) and ship-check-worker
+//
+// Airtable fields:
+// Order ID (text)          Stripe Session ID / PayPal Order ID (same as Orders / Order Items "Order ID")
+// Carrier (text)           optional, see _lib/carriers.js
+// Tracking Number (text)
+// Items (text)             "MP-014 x2, MP-101" — empty = everything not shipped in another parcel
+// Shipped At (date)        set on notification when empty
+// Notified (checkbox)      the customer got the email for this parcel
+// Email Status (text)     queued | dead while the ship-check worker retries the email (_lib/mail-queue.js), optional: AIRTABLE_SHIPMENT_EMAIL_STATUS_FIELD
+//
+// Orders "Shipping Status" (env.AIRTABLE_SHIPPING_STATUS_FIELD): partially_shipped | shipped;
+// "Shipped Email Sent" is checked only when the notified parcels cover every Order Items line
+// Orders with any Shipments row are announced per parcel only (no whole-order email)
+
+import { loadOrderItems } from "./order-items.js";
+
+export function shipmentsTable(env) {
+  return String(env.AIRTABLE_SHIPMENTS_TABLE || "Shipments").trim();
+}
+
+export function shippingStatusField(env) {
+  return String(env.AIRTABLE_SHIPPING_STATUS_FIELD || "Shipping Status");
+}
+
+// "MP-014 x2, 3× MP-101\nMP-007" → [{ pin, qty }]
+export function parseShipmentItems(text) {
+  const out = [];
+  for (const part of String(text || "").split(/[,;\n]+/)) {
+    const s = part.trim();
+    if (!s) continue;
+
+    let m = s.match(/^(.+?)\s*[x×*]\s*(\d+)$/i);
+    if (m) {
+      out.push({ pin: m[1].trim(), qty: Number(m[2]) });
+      continue;
+    }
+    m = s.match(/^(\d+)\s*[x×*]\s*(.+)$/i);
+    if (m) {
+      out.push({ pin: m[2].trim(), qty: Number(m[1]) });
+      continue;
+    }
+    out.push({ pin: s, qty: 1 });
+  }
+  return out.filter((it) => it.pin && it.qty > 0);
+}
+
+// orderItems: [{ pin, title, qty }] (Order Items), shipments: [{ id, fields }] already notified + the current one
+// → { complete, parcelItems: [{ pin, title, qty }] of `currentId`, remaining: [{ pin, title, qty }] after all parcels }
+// no Order Items (older orders): complete only with a parcel without Items
+export function shipmentCoverage(orderItems, shipments, currentId) {
+  const ordered = (Array.isArray(orderItems) ? orderItems : []).filter((it) => it.pin && it.qty > 0);
+  const titles = new Map(ordered.map((it) => [it.pin, it.title || it.pin]));
+
+  const shipped = new Map(); // pin → qty (parcels with an Items list)
+  let coversRest = false; // a parcel without Items
+  let currentItems = null;
+
+  for (const s of shipments) {
+    const items = parseShipmentItems(s.fields?.["Items"]);
+    if (s.id === currentId) currentItems = items;
+    if (!items.length) {
+      coversRest = true;
+      continue;
+    }
+    for (const it of items) shipped.set(it.pin, (shipped.get(it.pin) || 0) + it.qty);
+  }
+
+  const remaining = ordered
+    .map((it) => ({ pin: it.pin, title: it.title || it.pin, qty: it.qty - (shipped.get(it.pin) || 0) }))
+    .filter((it) => it.qty > 0);
+
+  const complete = coversRest || (ordered.length > 0 && remaining.length === 0);
+
+  // parcel without Items = whatever the listed parcels did not cover
+  const parcelItems = currentItems?.length
+    ? currentItems.map((it) => ({ pin: it.pin, title: titles.get(it.pin) || it.pin, qty: it.qty }))
+    : remaining;
+
+  return { complete, parcelItems, remaining: coversRest ? [] : remaining };
+}
+
+// Orders fields from the parcels notified so far — read when they are written (after markShipmentNotified),
+// so a late or retried parcel email never sets partially_shipped over shipped
+// → { complete, fields: { Shipping Status, Shipped Email Sent? } }
+export async function orderShippingFields(env, orderId, { shippedField = "Shipped Email Sent" } = {}) {
+  const [orderItems, shipments] = await Promise.all([loadOrderItems(env, orderId).catch(() => []), loadShipments(env, orderId)]);
+  const { complete } = shipmentCoverage(orderItems, shipments.filter((s) => s.fields?.["Notified"]), null);
+
+  return {
+    complete,
+    fields: {
+      [shippingStatusField(env)]: complete ? "shipped" : "partially_shipped",
+      ...(complete ? { [shippedField]: true } : {}),
+    },
+  };
+}
+
+export async function getShipment(env, recordId) {
+  const r = await fetch(shipmentsUrl(env, `/${encodeURIComponent(recordId)}`), {
+    headers: { Authorization: `Bearer ${env.AIRTABLE_TOKEN}` },
+  });
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(`Airtable shipment get failed: ${r.status} ${JSON.stringify(data)}`);
+  return data;
+}
+
+// all parcels of one order → [{ id, fields }]
+export async function loadShipments(env, orderId) {
+  const id = String(orderId || "").trim();
+  if (!id) return [];
+
+  const url = new URL(shipmentsUrl(env));
+  url.searchParams.set("filterByFormula", `{Order ID}="${id.replace(/"/g, '\\"')}"`);
+  url.searchParams.set("pageSize", "100");
+
+  const r = await fetch(url.toString(), { headers: { Authorization: `Bearer ${env.AIRTABLE_TOKEN}` } });
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(`Airtable shipments fetch failed: ${r.status} ${JSON.stringify(data)}`);
+  return Array.isArray(data.records) ? data.records : [];
+}
+
+export async function markShipmentNotified(env, shipment) {
+  const fields = { "Notified": true };
+  if (!shipment.fields?.["Shipped At"]) fields["Shipped At"] = new Date().toISOString().slice(0, 10);
+
+  const r = await fetch(shipmentsUrl(env, `/${encodeURIComponent(shipment.id)}`), {
+    method: "PATCH",
+    headers: { Authorization: `Bearer ${env.AIRTABLE_TOKEN}`, "Content-Type": "application/json" },
+    body: JSON.stringify({ fields }),
+  });
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(`Airtable shipment update failed: ${r.status} ${JSON.stringify(data)}`);
+  return data;
+}
+
+// ---------------- helpers ----------------
+
+function shipmentsUrl(env, suffix = "") {
+  return `https://api.airtable.com/v0/${env.AIRTABLE_BASE_ID}/${encodeURIComponent(shipmentsTable(env))}${suffix}`;
+}
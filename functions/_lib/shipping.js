@@ -0,0 +1,236 @@
+// functions/_lib/shipping.js
+// Shipping zones + rates from Airtable table "ShippingZones" (env.AIRTABLE_SHIPPING_TABLE)
+// Used by: /api/checkout (Stripe), /api/paypal/create-order, /api/shipping/rates (storefront),
+//          /api/paypal/capture (destination must be inside the quoted zone)
+//
+// Airtable fields (one row = one zone in one currency):
+// Zone (text)           e.g. "DE", "EU", "USCA"
+// Countries (text or multiple select) ISO2 list, e.g. "AT, BE, DE, ..."
+// Currency (text)       "EUR" | "USD"
+// Price (number)        shipping price in that currency
+// Display Name (text)   shown in Stripe / PayPal, e.g. "Germany shipping (tracked)"
+// Active (checkbox)
+// Free Over (number)      optional: items subtotal (same currency) from which shipping is free
+// Letter Max Qty (number) optional: items that fit in the base (letter) package
+// Step Qty (number)       optional: every further N items add one step (default = Letter Max Qty)
+// Step Price (number)     optional: price added per step
+//
+// Example: Price 6, Letter Max Qty 5, Step Qty 5, Step Price 3 →
+// 1..5 pins = 6.00, 6..10 = 9.00, 11..15 = 12.00; subtotal >= Free Over → 0
+//
+// Zone detection: a country can be in several zones (DE is also in EU) —
+// the zone with the smallest country list wins (most specific).
+// If the table is missing/empty, DEFAULT_ZONES below are used so checkout keeps working.
+
+const DEFAULT_EUROPE_COUNTRIES = [
+  // EU
+  "AT","BE","BG","HR","CY","CZ","DK","EE","FI","FR","DE","GR","HU","IE","IT","LV","LT","LU","MT","NL","PL","PT","RO","SK","SI","ES","SE",
+  // EEA + UK + CH
+  "NO","IS","LI","GB","CH",
+  // Europe nearby
+  "AL","BA","ME","MK","RS","MD","UA",
+];
+
+// EUR: DE 6.00 / EU 14.50 / US+CA 27.00
+// USD: US+CA 29.00 / DE 8.00 / EU 16.00
+const DEFAULT_ZONES = [
+  { zone: "DE", countries: ["DE"], displayName: "Germany shipping (tracked)", prices: { EUR: 6.00, USD: 8.00 } },
+  { zone: "EU", countries: DEFAULT_EUROPE_COUNTRIES, displayName: "Europe shipping (tracked)", prices: { EUR: 14.50, USD: 16.00 } },
+  { zone: "USCA", countries: ["US", "CA"], displayName: "USA / Canada shipping (tracked)", prices: { EUR: 27.00, USD: 29.00 } },
+];
+
+const DEFAULT_CACHE_TTL_SEC = 5 * 60;
+// Airtable error → DEFAULT_ZONES only for a short while, so a blip doesn't pin the fallback prices for the full TTL
+const ERROR_CACHE_TTL_SEC = 30;
+
+// per-isolate cache (Pages Functions keep module state between requests)
+let cached = null; // { at, ttlMs, config }
+
+export async function loadShippingConfig(env, { fresh = false } = {}) {
+  const ttlMs = Math.max(0, Number(env.SHIPPING_CACHE_TTL_SEC ?? DEFAULT_CACHE_TTL_SEC)) * 1000;
+  if (!fresh && cached && Date.now() - cached.at < cached.ttlMs) return cached.config;
+
+  let config;
+  try {
+    const zones = await fetchZonesFromAirtable(env);
+    config = zones.length ? { zones, source: "airtable" } : { zones: DEFAULT_ZONES, source: "default" };
+  } catch (e) {
+    config = { zones: DEFAULT_ZONES, source: "default", error: String(e?.message || e) };
+  }
+
+  config.zones = sortBySpecificity(config.zones);
+  cached = { at: Date.now(), ttlMs: config.error ? Math.min(ttlMs, ERROR_CACHE_TTL_SEC * 1000) : ttlMs, config };
+  return config;
+}
+
+export function detectZone(config, country) {
+  const cc = String(country || "").trim().toUpperCase();
+  if (!cc) return null;
+  return (config?.zones || []).find((z) => z.countries.includes(cc)) || null;
+}
+
+// PayPal: the buyer picks the address on PayPal's side (after the zone was quoted)
+// ok when the country belongs to the quoted zone (DE is fine for a quoted "EU" zone)
+// returns { ok, country, zone, quotedZone, reason? }   reason: "not_shippable" | "zone_mismatch"
+export function checkShippingDestination(config, { country, quotedZone }) {
+  const cc = String(country || "").trim().toUpperCase();
+  const quoted = String(quotedZone || "").trim();
+  const actual = detectZone(config, cc);
+
+  const out = { ok: true, country: cc, zone: actual ? actual.zone : null, quotedZone: quoted || null };
+  if (!actual) return { ...out, ok: false, reason: "not_shippable" };
+  if (!quoted) return out;
+
+  const q = (config?.zones || []).find((z) => z.zone === quoted);
+  if (q ? q.countries.includes(cc) : actual.zone === quoted) return out;
+  return { ...out, ok: false, reason: "zone_mismatch" };
+}
+
+// returns { ok:true, zone, displayName, currency, amount, baseAmount, steps, freeOver, remainingForFree, allowedCountries }
+//      or { ok:false, status, error }
+// subtotal / itemCount are optional (without them only the base price is quoted)
+export function quoteShipping(config, { country, currency, subtotal, itemCount }) {
+  const cc = String(country || "").trim().toUpperCase();
+  const cur = String(currency || "").trim().toUpperCase();
+
+  const z = detectZone(config, cc);
+  if (!z) return { ok: false, status: 400, error: `Shipping is not available to ${cc}.` };
+
+  const amount = z.prices?.[cur];
+  if (!Number.isFinite(amount)) {
+    return { ok: false, status: 500, error: `Shipping price missing for ${z.zone} in ${cur}.` };
+  }
+
+  const rule = z.rules?.[cur] || {};
+  const sub = Number(subtotal);
+  const qty = Math.floor(Number(itemCount));
+
+  // quantity steps above the letter package
+  let steps = 0;
+  if (rule.letterMaxQty > 0 && rule.stepPrice > 0 && Number.isFinite(qty) && qty > rule.letterMaxQty) {
+    const stepQty = rule.stepQty > 0 ? rule.stepQty : rule.letterMaxQty;
+    steps = Math.ceil((qty - rule.letterMaxQty) / stepQty);
+  }
+  const baseAmount = roundMoney(amount + steps * (rule.stepPrice || 0));
+
+  // free shipping threshold
+  const freeOver = rule.freeOver > 0 ? rule.freeOver : null;
+  const isFree = freeOver != null && Number.isFinite(sub) && sub >= freeOver;
+  const remainingForFree =
+    freeOver != null && Number.isFinite(sub) && !isFree ? roundMoney(freeOver - sub) : 0;
+
+  return {
+    ok: true,
+    zone: z.zone,
+    displayName: isFree ? `${z.displayName} — free` : z.displayName,
+    currency: cur,
+    amount: isFree ? 0 : baseAmount,
+    baseAmount,
+    steps,
+    freeOver,
+    remainingForFree,
+    allowedCountries: [...z.countries],
+  };
+}
+
+function roundMoney(n) {
+  return Math.round(Number(n) * 100) / 100;
+}
+
+// ---------------- Airtable ----------------
+
+async function fetchZonesFromAirtable(env) {
+  const token = String(env.AIRTABLE_TOKEN || "").trim();
+  const baseId = String(env.AIRTABLE_BASE_ID || "").trim();
+  const table = String(env.AIRTABLE_SHIPPING_TABLE || "ShippingZones").trim();
+  if (!token || !baseId) return [];
+
+  const records = await airtableFetchAll({
+    token,
+    baseId,
+    table,
+    filterByFormula: "{Active}=TRUE()",
+    pageSize: 100,
+    maxPagesGuard: 5,
+  });
+
+  const byZone = new Map(); // zone -> { zone, countries:Set, displayName, prices, rules }
+
+  for (const rec of records) {
+    const f = rec.fields || {};
+
+    const zone = String(f["Zone"] || "").trim().toUpperCase();
+    const currency = String(f["Currency"] || "").trim().toUpperCase();
+    const price = Number(f["Price"]);
+    if (!zone || !currency || !Number.isFinite(price) || price < 0) continue;
+
+    const z = byZone.get(zone) || { zone, countries: new Set(), displayName: "", prices: {}, rules: {} };
+
+    for (const cc of parseCountries(f["Countries"])) z.countries.add(cc);
+    if (!z.displayName) z.displayName = String(f["Display Name"] || "").trim();
+    z.prices[currency] = price;
+    z.rules[currency] = {
+      freeOver: positiveOrNull(f["Free Over"]),
+      letterMaxQty: positiveOrNull(f["Letter Max Qty"]),
+      stepQty: positiveOrNull(f["Step Qty"]),
+      stepPrice: positiveOrNull(f["Step Price"]),
+    };
+
+    byZone.set(zone, z);
+  }
+
+  return [...byZone.values()]
+    .filter((z) => z.countries.size)
+    .map((z) => ({
+      zone: z.zone,
+      countries: [...z.countries],
+      displayName: z.displayName || `${z.zone} shipping`,
+      prices: z.prices,
+      rules: z.rules,
+    }));
+}
+
+function positiveOrNull(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function parseCountries(v) {
+  const list = Array.isArray(v) ? v : String(v || "").split(/[\s,;]+/);
+  return list
+    .map((x) => String(x || "").trim().toUpperCase())
+    .filter((x) => /^[A-Z]{2}$/.test(x));
+}
+
+function sortBySpecificity(zones) {
+  return [...zones].sort((a, b) => a.countries.length - b.countries.length);
+}
+
+async function airtableFetchAll({ token, baseId, table, filterByFormula, pageSize = 100, maxPagesGuard = 60 }) {
+  const baseUrl = `https://api.airtable.com/v0/${baseId}/${encodeURIComponent(table)}`;
+
+  let all = [];
+  let offset = null;
+
+  for (let page = 0; page < maxPagesGuard; page++) {
+    const url = new URL(baseUrl);
+    url.searchParams.set("pageSize", String(pageSize));
+    if (filterByFormula) url.searchParams.set("filterByFormula", filterByFormula);
+    if (offset) url.searchParams.set("offset", offset);
+
+    const r = await fetch(url.toString(), {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+
+    const data = await r.json().catch(() => ({}));
+    if (!r.ok) throw new Error(`Airtable error: ${JSON.stringify(data)}`);
+
+    const records = Array.isArray(data.records) ? data.records : [];
+    all = all.concat(records);
+
+    offset = data.offset || null;
+    if (!offset) break;
+  }
+
+  return all;
+}
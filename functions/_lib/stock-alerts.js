@@ -0,0 +1,138 @@
+// functions/_lib/stock-alerts.js
+// Low-stock / sold-out emails to the shop owner (OWNER_EMAIL, fallback MAIL_BCC / MAIL_REPLY_TO)
+// Called by _lib/inventory.js after every commit/restock, and by /api/admin/stock-digest (daily list)
+//
+// Threshold: Products field "Low Stock Threshold" (env.AIRTABLE_LOW_STOCK_FIELD), else env.LOW_STOCK_THRESHOLD (default 1)
+// Levels: ok (stock > threshold) → low (0 < stock <= threshold) → sold_out (stock <= 0)
+// Dedup: KV stock_alert:<pin> = last alerted level; alert only when the level gets worse,
+//        back to "ok" (restock) clears the key so the next crossing alerts again
+
+import { sendEmail, ownerEmail, escapeHtml } from "./mail.js";
+
+const LEVEL_RANK = { ok: 0, low: 1, sold_out: 2 };
+
+export function lowStockThreshold(env, fields) {
+  const field = String(env.AIRTABLE_LOW_STOCK_FIELD || "Low Stock Threshold");
+  const own = Number(fields?.[field]);
+  if (fields?.[field] !== undefined && fields?.[field] !== null && fields?.[field] !== "" && Number.isFinite(own)) return own;
+
+  const global = Number(env.LOW_STOCK_THRESHOLD);
+  return Number.isFinite(global) && env.LOW_STOCK_THRESHOLD !== undefined && env.LOW_STOCK_THRESHOLD !== "" ? global : 1;
+}
+
+export function stockLevel(stock, threshold) {
+  if (!(stock > 0)) return "sold_out";
+  return stock <= threshold ? "low" : "ok";
+}
+
+// changes: [{ pin, stock }]  (stock = new authoritative value)
+// returns { alerted: [{ pin, title, stock, threshold, level }] }
+export async function checkStockAlerts(env, changes) {
+  const kv = env.STRIPE_EVENTS_KV;
+  const list = (Array.isArray(changes) ? changes : []).filter((c) => c?.pin && Number.isFinite(Number(c.stock)));
+  if (!kv || !list.length) return { alerted: [] };
+
+  const products = await airtableFetchProductsByPins(env, list.map((c) => c.pin));
+
+  const alerted = [];
+  for (const c of list) {
+    const p = products.get(c.pin);
+    const stock = Number(c.stock);
+    const threshold = lowStockThreshold(env, p?.fields);
+    const level = stockLevel(stock, threshold);
+
+    const KEY = `stock_alert:${c.pin}`;
+    const prev = (await kv.get(KEY)) || "ok";
+
+    if (level === "ok") {
+      if (prev !== "ok") await kv.delete(KEY);
+      continue;
+    }
+
+    if (LEVEL_RANK[level] > LEVEL_RANK[prev]) {
+      alerted.push({ pin: c.pin, title: String(p?.fields?.["Title"] || c.pin), stock, threshold, level });
+    }
+    if (level !== prev) await kv.put(KEY, level);
+  }
+
+  if (alerted.length) {
+    const to = ownerEmail(env);
+    const from = String(env.MAIL_FROM || "").trim();
+    if (to && from) {
+      const storeName = String(env.STORE_NAME || "Mosaic Pins");
+      const soldOut = alerted.filter((a) => a.level === "sold_out").length;
+
+      const { html, text } = buildStockEmail({
+        storeName,
+        intro: soldOut ? "Some pins just sold out:" : "Some pins are running low:",
+        rows: alerted,
+      });
+
+      await sendEmail({
+        env,
+        from,
+        to,
+        subject: `${storeName}: ${soldOut ? "sold out" : "low stock"} — ${alerted.map((a) => a.pin).join(", ")}`,
+        html,
+        text,
+        log: { template: "stock_alert" },
+      });
+    }
+  }
+
+  return { alerted };
+}
+
+// rows: [{ pin, title, stock, threshold, level }]
+export function buildStockEmail({ storeName, intro, rows }) {
+  const label = (r) => (r.level === "sold_out" ? "SOLD OUT" : `${r.stock} left (threshold ${r.threshold})`);
+
+  const text =
+`${intro}
+
+${rows.map((r) => `• ${r.title} (${r.pin}) — ${label(r)}`).join("\n")}
+
+— ${storeName} stock alerts
+`;
+
+  const html =
+`<div style="font-family:Arial,sans-serif;line-height:1.45;color:#111">
+  <h2 style="margin:0 0 12px">${escapeHtml(storeName)} — Stock alert</h2>
+  <p style="margin:0 0 10px">${escapeHtml(intro)}</p>
+  <table style="border-collapse:collapse">
+    ${rows
+      .map(
+        (r) => `<tr>
+      <td style="padding:4px 12px 4px 0"><b>${escapeHtml(r.title)}</b></td>
+      <td style="padding:4px 12px 4px 0;color:#555">${escapeHtml(r.pin)}</td>
+      <td style="padding:4px 0;${r.level === "sold_out" ? "color:#b91c1c;font-weight:bold" : ""}">${escapeHtml(label(r))}</td>
+    </tr>`
+      )
+      .join("")}
+  </table>
+</div>`;
+
+  return { html, text };
+}
+
+// ---------------- Airtable ----------------
+
+async function airtableFetchProductsByPins(env, pins) {
+  const pinField = env.AIRTABLE_PIN_FIELD || "PIN Code";
+  const or = pins.map((p) => `{${pinField}}="${String(p).replace(/"/g, '\\"')}"`).join(",");
+
+  const url = new URL(`https://api.airtable.com/v0/${env.AIRTABLE_BASE_ID}/${encodeURIComponent(env.AIRTABLE_TABLE_NAME)}`);
+  url.searchParams.set("filterByFormula", pins.length ? `OR(${or})` : "FALSE()");
+  url.searchParams.set("pageSize", "100");
+
+  const r = await fetch(url.toString(), { headers: { Authorization: `Bearer ${env.AIRTABLE_TOKEN}` } });
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(`Airtable products fetch failed: ${r.status} ${JSON.stringify(data)}`);
+
+  const byPin = new Map(); // pin -> { recordId, fields }
+  for (const rec of Array.isArray(data.records) ? data.records : []) {
+    const pin = String(rec?.fields?.[pinField] ?? "").trim();
+    if (pin) byPin.set(pin, { recordId: rec.id, fields: rec.fields || {} });
+  }
+  return byPin;
+}
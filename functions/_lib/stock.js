@@ -0,0 +1,69 @@
+// functions/_lib/stock.js
+// Products Stock updates without the inventory Durable Object (fallback path of _lib/inventory.js)
+// (read-modify-write on Airtable, serialized per record by a best-effort KV lock "lock:<recordId>")
+
+// ---------------- Airtable stock decrement ----------------
+
+// → { before, stock, fields }  (fields = Products record before the update)
+export async function decrementStockByRecordIdSafe({ token, baseId, table, recordId, qty }) {
+  const url = `https://api.airtable.com/v0/${baseId}/${encodeURIComponent(table)}/${recordId}`;
+
+  const r1 = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
+  const rec = await r1.json().catch(() => ({}));
+  if (!r1.ok) throw new Error(`Airtable get failed: ${r1.status} ${JSON.stringify(rec)}`);
+
+  const current = Number(rec?.fields?.Stock ?? 0);
+  const safeCurrent = Number.isFinite(current) ? current : 0;
+
+  const q = Math.floor(Number(qty || 0));
+  const safeQty = Number.isFinite(q) ? q : 0;
+
+  const next = Math.max(0, safeCurrent - safeQty);
+
+  const r2 = await fetch(url, {
+    method: "PATCH",
+    headers: {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ fields: { Stock: next } }),
+  });
+
+  const data = await r2.json().catch(() => ({}));
+  if (!r2.ok) throw new Error(`Airtable update failed: ${r2.status} ${JSON.stringify(data)}`);
+
+  return { before: safeCurrent, stock: next, fields: rec?.fields || {} };
+}
+
+// ---------------- KV lock (best-effort) ----------------
+
+export async function acquireLock({ kv, key, ttlSec = 120, retries = 10, waitMs = 150 }) {
+  if (ttlSec < 60) ttlSec = 60;
+
+  const token = `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+
+  for (let i = 0; i < retries; i++) {
+    const existing = await kv.get(key);
+
+    if (!existing) {
+      await kv.put(key, token, { expirationTtl: ttlSec });
+
+      const check = await kv.get(key);
+      if (check === token) return token;
+    }
+
+    await sleep(waitMs + Math.floor(Math.random() * 80));
+  }
+
+  return null;
+}
+
+export async function releaseLock({ kv, key, token }) {
+  if (!token) return;
+  const existing = await kv.get(key);
+  if (existing === token) await kv.delete(key);
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
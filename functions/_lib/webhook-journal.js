@@ -0,0 +1,72 @@
+// functions/_lib/webhook-journal.js
+// Journal of verified webhook events in KV (STRIPE_EVENTS_KV), one entry per event id:
+//   webhook_log:<provider>:<eventId> → { provider, id, type, receivedAt, deliveries, replays,
+//                                        outcome: received | ok | error, status, error, finishedAt, payload }
+// payload = raw event body, so POST /api/admin/replay-event can run the handler again
+// Kept WEBHOOK_LOG_DAYS (default 30) days; journal errors never fail the webhook itself
+
+export function webhookLogKey(provider, eventId) {
+  return `webhook_log:${provider}:${eventId}`;
+}
+
+export async function loadWebhookEvent(kv, provider, eventId) {
+  if (!kv || !eventId) return null;
+  return kv.get(webhookLogKey(provider, eventId), "json");
+}
+
+// on delivery (after the signature check), before any handling
+export async function logWebhookReceived(env, { provider, event, rawBody }) {
+  const kv = env.STRIPE_EVENTS_KV;
+  const eventId = String(event?.id || "").trim();
+  if (!kv || !eventId) return null;
+
+  try {
+    const prev = await loadWebhookEvent(kv, provider, eventId);
+    const entry = {
+      provider,
+      id: eventId,
+      type: String(event?.type || event?.event_type || ""),
+      receivedAt: prev?.receivedAt || new Date().toISOString(),
+      deliveries: Number(prev?.deliveries || 0) + 1,
+      replays: Number(prev?.replays || 0),
+      outcome: "received",
+      status: null,
+      error: null,
+      finishedAt: null,
+      payload: rawBody,
+    };
+    await kv.put(webhookLogKey(provider, eventId), JSON.stringify(entry), { expirationTtl: logTtlSec(env) });
+    return entry;
+  } catch {
+    return null;
+  }
+}
+
+// after handling: status = HTTP status returned to the provider, error = thrown message
+export async function logWebhookOutcome(env, { provider, eventId, status, error = null, replay = false }) {
+  const kv = env.STRIPE_EVENTS_KV;
+  if (!kv || !eventId) return null;
+
+  try {
+    const prev = await loadWebhookEvent(kv, provider, eventId);
+    if (!prev) return null;
+
+    const entry = {
+      ...prev,
+      replays: Number(prev.replays || 0) + (replay ? 1 : 0),
+      outcome: error || Number(status) >= 500 ? "error" : "ok",
+      status: Number(status) || null,
+      error: error ? String(error) : null,
+      finishedAt: new Date().toISOString(),
+    };
+    await kv.put(webhookLogKey(provider, eventId), JSON.stringify(entry), { expirationTtl: logTtlSec(env) });
+    return entry;
+  } catch {
+    return null;
+  }
+}
+
+function logTtlSec(env) {
+  const days = Math.min(365, Math.max(1, Number(env.WEBHOOK_LOG_DAYS || 30) || 30));
+  return days * 24 * 60 * 60;
+}
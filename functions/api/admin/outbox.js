@@ -0,0 +1,97 @@
+// functions/api/admin/outbox.js
+// Captured emails (MAIL_PROVIDER=outbox, _lib/mail.js) — nothing was sent, inspect them here
+// GET    /api/admin/outbox                  → latest messages (id, createdAt, to, subject), ?limit= (default 50)
+// GET    /api/admin/outbox?id=<id>          → full message (from, to, replyTo, bcc, subject, text, html)
+// GET    /api/admin/outbox?id=<id>&view=html → the html body as a page (preview in the browser)
+// DELETE /api/admin/outbox                  → clear the outbox (?id=<id> → one message)
+// SECURITY: header  X-ADMIN-SECRET: <ADMIN_SECRET>  (or Authorization: Bearer <ADMIN_SECRET>)
+
+import { outboxKv, OUTBOX_PREFIX } from "../../_lib/mail.js";
+
+export async function onRequestGet(ctx) {
+  const { env, request } = ctx;
+
+  try {
+    const denied = checkAdmin(request, env);
+    if (denied) return denied;
+
+    const kv = outboxKv(env);
+    const url = new URL(request.url);
+    const id = String(url.searchParams.get("id") || "").trim();
+
+    if (id) {
+      const msg = await kv.get(`${OUTBOX_PREFIX}${id}`, "json");
+      if (!msg) return json({ ok: false, error: "Message not found" }, 404);
+
+      if (url.searchParams.get("view") === "html") {
+        return new Response(msg.html || "", { headers: { "Content-Type": "text/html; charset=utf-8" } });
+      }
+      return json({ ok: true, message: msg });
+    }
+
+    const limit = Math.min(200, Math.max(1, Number(url.searchParams.get("limit") || 50) || 50));
+    const keys = await listOutboxKeys(kv);
+
+    // ids start with the ISO timestamp → newest first
+    const latest = keys.sort().reverse().slice(0, limit);
+    const messages = [];
+    for (const key of latest) {
+      const msg = await kv.get(key, "json");
+      if (msg) messages.push({ id: msg.id, createdAt: msg.createdAt, to: msg.to, subject: msg.subject });
+    }
+
+    return json({ ok: true, total: keys.length, messages });
+  } catch (e) {
+    return json({ ok: false, error: "Outbox error", details: String(e?.message || e) }, 500);
+  }
+}
+
+export async function onRequestDelete(ctx) {
+  const { env, request } = ctx;
+
+  try {
+    const denied = checkAdmin(request, env);
+    if (denied) return denied;
+
+    const kv = outboxKv(env);
+    const id = String(new URL(request.url).searchParams.get("id") || "").trim();
+    const keys = id ? [`${OUTBOX_PREFIX}${id}`] : await listOutboxKeys(kv);
+
+    for (const key of keys) await kv.delete(key);
+    return json({ ok: true, deleted: keys.length });
+  } catch (e) {
+    return json({ ok: false, error: "Outbox error", details: String(e?.message || e) }, 500);
+  }
+}
+
+// ---------------- helpers ----------------
+
+async function listOutboxKeys(kv) {
+  const keys = [];
+  let cursor;
+  do {
+    const page = await kv.list({ prefix: OUTBOX_PREFIX, cursor });
+    for (const k of page.keys) keys.push(k.name);
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return keys;
+}
+
+// → null when authorized, otherwise the error response
+function checkAdmin(request, env) {
+  const REQUIRED = String(env.ADMIN_SECRET || "").trim();
+  if (!REQUIRED) return json({ ok: false, error: "ADMIN_SECRET is not set" }, 500);
+  if (!outboxKv(env)) return json({ ok: false, error: "MAIL_OUTBOX_KV (or STRIPE_EVENTS_KV) binding is not set" }, 500);
+
+  const bearer = String(request.headers.get("authorization") || "").replace(/^Bearer\s+/i, "").trim();
+  const got = String(request.headers.get("x-admin-secret") || "").trim() || bearer;
+  if (got !== REQUIRED) return json({ ok: false, error: "Unauthorized" }, 401);
+  return null;
+}
+
+function json(obj, status = 200) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json; charset=utf-8" },
+  });
+}
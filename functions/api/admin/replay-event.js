@@ -0,0 +1,95 @@
+// functions/api/admin/replay-event.js
+// GET  /api/admin/replay-event?id=<evt_...>  → journal entry (type, received, outcome, error), no payload
+// POST /api/admin/replay-event?id=<evt_...>  → run the Stripe webhook handler again with the journaled payload
+// SECURITY: header  X-ADMIN-SECRET: <ADMIN_SECRET>  (or Authorization: Bearer <ADMIN_SECRET>)
+// Same idempotency states as live deliveries (KV stripe_evt:<id>): stock is never decremented twice,
+// an existing order only gets its missing fields filled (tracking / status / refund state stay), Order Items are written again
+// (e.g. after fixing a renamed Airtable field)
+
+import { handleStripeEvent } from "../stripe-webhook.js";
+import { loadWebhookEvent, logWebhookOutcome } from "../../_lib/webhook-journal.js";
+
+export async function onRequestGet(ctx) {
+  const { env, request } = ctx;
+
+  try {
+    const denied = checkAdmin(request, env);
+    if (denied) return denied;
+
+    const id = String(new URL(request.url).searchParams.get("id") || "").trim();
+    if (!id) return json({ ok: false, error: "id is required" }, 400);
+
+    const entry = await loadWebhookEvent(env.STRIPE_EVENTS_KV, "stripe", id);
+    if (!entry) return json({ ok: false, error: "Event not found in journal" }, 404);
+
+    const { payload, ...meta } = entry;
+    return json({ ok: true, event: meta, state: await env.STRIPE_EVENTS_KV.get(`stripe_evt:${id}`) });
+  } catch (e) {
+    return json({ ok: false, error: "Journal error", details: String(e?.message || e) }, 500);
+  }
+}
+
+export async function onRequestPost(ctx) {
+  const { env, request } = ctx;
+
+  try {
+    const denied = checkAdmin(request, env);
+    if (denied) return denied;
+
+    if (!env.STRIPE_SECRET_KEY) return json({ ok: false, error: "STRIPE_SECRET_KEY is not set" }, 500);
+    if (!env.AIRTABLE_TOKEN) return json({ ok: false, error: "AIRTABLE_TOKEN is not set" }, 500);
+    if (!env.AIRTABLE_BASE_ID) return json({ ok: false, error: "AIRTABLE_BASE_ID is not set" }, 500);
+    if (!env.AIRTABLE_TABLE_NAME) return json({ ok: false, error: "AIRTABLE_TABLE_NAME (Products) is not set" }, 500);
+
+    const id = String(new URL(request.url).searchParams.get("id") || "").trim();
+    if (!id) return json({ ok: false, error: "id is required" }, 400);
+
+    const entry = await loadWebhookEvent(env.STRIPE_EVENTS_KV, "stripe", id);
+    if (!entry?.payload) return json({ ok: false, error: "Event not found in journal" }, 404);
+
+    let event;
+    try {
+      event = JSON.parse(entry.payload);
+    } catch {
+      return json({ ok: false, error: "Stored payload is not valid JSON" }, 500);
+    }
+
+    let res;
+    try {
+      res = await handleStripeEvent(env, event);
+    } catch (e) {
+      const error = String(e?.message || e);
+      await logWebhookOutcome(env, { provider: "stripe", eventId: id, status: 500, error, replay: true });
+      return json({ ok: false, replayed: true, id, type: entry.type, error }, 500);
+    }
+
+    const logged = await logWebhookOutcome(env, { provider: "stripe", eventId: id, status: res.status, replay: true });
+    const result = await res.json().catch(() => null);
+
+    // 409 = a delivery of this event is still "processing" (state expires after 30 min)
+    return json({ ok: res.ok, replayed: true, id, type: entry.type, status: res.status, result, replays: logged?.replays ?? null }, res.ok ? 200 : res.status);
+  } catch (e) {
+    return json({ ok: false, error: "Replay error", details: String(e?.message || e) }, 500);
+  }
+}
+
+// ---------------- helpers ----------------
+
+// → null when authorized, otherwise the error response
+function checkAdmin(request, env) {
+  const REQUIRED = String(env.ADMIN_SECRET || "").trim();
+  if (!REQUIRED) return json({ ok: false, error: "ADMIN_SECRET is not set" }, 500);
+  if (!env.STRIPE_EVENTS_KV) return json({ ok: false, error: "STRIPE_EVENTS_KV binding is not set" }, 500);
+
+  const bearer = String(request.headers.get("authorization") || "").replace(/^Bearer\s+/i, "").trim();
+  const got = String(request.headers.get("x-admin-secret") || "").trim() || bearer;
+  if (got !== REQUIRED) return json({ ok: false, error: "Unauthorized" }, 401);
+  return null;
+}
+
+function json(obj, status = 200) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json; charset=utf-8" },
+  });
+}
@@ -0,0 +1,31 @@
+// functions/api/admin/review-photos.js
+// GET /api/admin/review-photos  (hourly cron, reviews-worker/) → deletes uploaded review photos past the serve window
+//   Airtable copied them when the review was created; ours would otherwise stay public (R2 public bucket) forever
+// SECURITY: header  X-CRON-SECRET: <CRON_SECRET> (not set → 500, never open)
+// Rules: _lib/review-photos.js (REVIEW_PHOTO_SERVE_SEC)
+
+import { cleanupReviewPhotos } from "../../_lib/review-photos.js";
+
+export async function onRequestGet(ctx) {
+  const { env, request } = ctx;
+
+  try {
+    // --- Security: header secret ---
+    const REQUIRED = String(env.CRON_SECRET || "").trim();
+    if (!REQUIRED) return json({ ok: false, error: "CRON_SECRET is not set" }, 500);
+    const got = String(request.headers.get("x-cron-secret") || "").trim();
+    if (got !== REQUIRED) return json({ ok: false, error: "Unauthorized" }, 401);
+
+    const out = await cleanupReviewPhotos(env);
+    return json({ ok: true, ...out });
+  } catch (e) {
+    return json({ ok: false, error: "Review photos cleanup error", details: String(e?.message || e) }, 500);
+  }
+}
+
+function json(obj, status = 200) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json; charset=utf-8" },
+  });
+}
@@ -0,0 +1,165 @@
+// functions/api/admin/review-requests.js
+// GET /api/admin/review-requests  (daily cron) → review invitation to customers whose order was shipped
+//   REVIEW_REQUEST_DAYS (default 14) days ago: Orders "Shipped Email Sent" checked (its last-modified time = shipped email),
+//   only orders shipped within the last REVIEW_REQUEST_WINDOW_DAYS (default 14) before that → no mass mail on rollout
+//   refunded / cancelled orders are skipped
+// Email link: <STORE_URL>/reviews?token=… (signed, single use, _lib/review-invites.js) → review marked "Verified Buyer"
+// SECURITY: header  X-CRON-SECRET: <CRON_SECRET> (not set → 500, never open)
+// Called daily by reviews-worker/ (cron trigger in its wrangler.toml)
+// Once per order: KV review_request_sent:<Orders record id>; ?dry=1 only returns the list (no emails), ?limit= (default 25)
+
+import { signReviewToken, loadInviteOrder, buildReviewRequestEmail } from "../../_lib/review-invites.js";
+import { sendEmail } from "../../_lib/mail.js";
+import { t } from "../../_lib/i18n.js";
+
+export async function onRequestGet(ctx) {
+  const { env, request } = ctx;
+
+  try {
+    const url = new URL(request.url);
+
+    // --- Security: header secret ---
+    const REQUIRED = String(env.CRON_SECRET || "").trim();
+    if (!REQUIRED) return json({ ok: false, error: "CRON_SECRET is not set" }, 500);
+    const got = String(request.headers.get("x-cron-secret") || "").trim();
+    if (got !== REQUIRED) return json({ ok: false, error: "Unauthorized" }, 401);
+
+    if (!env.STRIPE_EVENTS_KV) return json({ ok: false, error: "STRIPE_EVENTS_KV binding is not set" }, 500);
+    if (!env.AIRTABLE_TOKEN) return json({ ok: false, error: "AIRTABLE_TOKEN is not set" }, 500);
+    if (!env.AIRTABLE_BASE_ID) return json({ ok: false, error: "AIRTABLE_BASE_ID is not set" }, 500);
+    if (!String(env.REVIEW_TOKEN_SECRET || "").trim()) return json({ ok: false, error: "REVIEW_TOKEN_SECRET is not set" }, 500);
+
+    const MAIL_FROM = String(env.MAIL_FROM || "").trim();
+    if (!MAIL_FROM) return json({ ok: false, error: "MAIL_FROM is not set" }, 500);
+
+    const dry = url.searchParams.get("dry") === "1";
+    const limit = Math.min(100, Math.max(1, Number(url.searchParams.get("limit") || 25) || 25));
+
+    const days = positive(env.REVIEW_REQUEST_DAYS, 14);
+    const windowDays = positive(env.REVIEW_REQUEST_WINDOW_DAYS, 14);
+
+    const ORDERS_TABLE = String(env.AIRTABLE_ORDERS_TABLE_NAME || env.AIRTABLE_ORDERS_TABLE || "Orders");
+    const SHIPPED_FIELD = String(env.AIRTABLE_SHIPPED_FIELD || "Shipped Email Sent");
+    const shippedAt = `LAST_MODIFIED_TIME({${SHIPPED_FIELD}})`;
+
+    const formula = `AND(
+      {${SHIPPED_FIELD}},
+      {Customer Email}!='',
+      {Order Status}!='refunded',
+      {Order Status}!='cancelled',
+      IS_BEFORE(${shippedAt}, DATEADD(NOW(), -${days}, 'days')),
+      IS_AFTER(${shippedAt}, DATEADD(NOW(), -${days + windowDays}, 'days'))
+    )`;
+
+    const records = await airtableList({
+      token: env.AIRTABLE_TOKEN,
+      baseId: env.AIRTABLE_BASE_ID,
+      table: ORDERS_TABLE,
+      filterByFormula: formula,
+    });
+
+    const STORE_NAME = String(env.STORE_NAME || "Mosaic Pins");
+    const STORE_URL = String(env.STORE_URL || "https://mosaicpins.space").replace(/\/+$/, "");
+    const MAIL_REPLY_TO = String(env.MAIL_REPLY_TO || "").trim();
+
+    let sent = 0;
+    let skipped = 0;
+    const details = [];
+
+    for (const rec of records) {
+      if (sent >= limit) break;
+
+      const SENT_KEY = `review_request_sent:${rec.id}`;
+      if (await env.STRIPE_EVENTS_KV.get(SENT_KEY)) {
+        skipped++;
+        continue;
+      }
+
+      try {
+        const order = await loadInviteOrder(env, rec.id);
+        if (!order.email) {
+          skipped++;
+          details.push({ recordId: rec.id, skipped: true, reason: "missing_email" });
+          continue;
+        }
+
+        if (dry) {
+          details.push({ recordId: rec.id, order: order.orderNumber, locale: order.locale, items: order.items.length });
+          continue;
+        }
+
+        const { token, expiresAt } = await signReviewToken(env, rec.id);
+        const reviewUrl = `${STORE_URL}/reviews?token=${encodeURIComponent(token)}`;
+
+        const { html, text } = buildReviewRequestEmail({
+          locale: order.locale,
+          storeName: STORE_NAME,
+          storeUrl: STORE_URL,
+          customerName: order.name,
+          orderNumber: order.orderNumber,
+          items: order.items,
+          reviewUrl,
+          expiresAt,
+        });
+
+        await sendEmail({
+          env,
+          from: MAIL_FROM,
+          to: order.email,
+          replyTo: MAIL_REPLY_TO || undefined,
+          subject: t(order.locale, "reviewRequest.subject", { store: STORE_NAME }),
+          html,
+          text,
+          log: { order: order.orderNumber, template: "review_request" },
+        });
+
+        await env.STRIPE_EVENTS_KV.put(SENT_KEY, new Date().toISOString(), { expirationTtl: 400 * 24 * 60 * 60 });
+        sent++;
+        details.push({ recordId: rec.id, order: order.orderNumber, sent: true });
+      } catch (e) {
+        skipped++;
+        details.push({ recordId: rec.id, error: String(e?.message || e) });
+      }
+    }
+
+    return json({ ok: true, dry, days, found: records.length, sent, skipped, details });
+  } catch (e) {
+    return json({ ok: false, error: "Review requests error", details: String(e?.message || e) }, 500);
+  }
+}
+
+// ---------------- helpers ----------------
+
+function positive(v, def) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? Math.round(n) : def;
+}
+
+async function airtableList({ token, baseId, table, filterByFormula }) {
+  const all = [];
+  let offset = null;
+
+  for (let i = 0; i < 10; i++) {
+    const url = new URL(`https://api.airtable.com/v0/${baseId}/${encodeURIComponent(table)}`);
+    url.searchParams.set("pageSize", "100");
+    url.searchParams.set("filterByFormula", filterByFormula);
+    if (offset) url.searchParams.set("offset", offset);
+
+    const r = await fetch(url.toString(), { headers: { Authorization: `Bearer ${token}` } });
+    const data = await r.json().catch(() => ({}));
+    if (!r.ok) throw new Error(`Airtable orders fetch failed: ${r.status} ${JSON.stringify(data)}`);
+
+    if (Array.isArray(data.records)) all.push(...data.records);
+    offset = data.offset || null;
+    if (!offset) break;
+  }
+
+  return all;
+}
+
+function json(obj, status = 200) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json; charset=utf-8" },
+  });
+}
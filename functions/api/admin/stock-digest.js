@@ -0,0 +1,134 @@
+// functions/api/admin/stock-digest.js
+// GET /api/admin/stock-digest  (daily cron) → one email to the owner with every active pin at/below its threshold
+// SECURITY: header  X-CRON-SECRET: <CRON_SECRET> (not set → 500, never open)
+// Called daily by reviews-worker/ (cron trigger in its wrangler.toml)
+// Once per day: KV stock_digest:<YYYY-MM-DD> (?force=1 sends again, at most every 10 min; ?dry=1 only returns the list)
+// Thresholds / levels: _lib/stock-alerts.js (same rules as the instant alerts)
+
+import { getStockState } from "../../_lib/inventory.js";
+import { lowStockThreshold, stockLevel, buildStockEmail } from "../../_lib/stock-alerts.js";
+import { sendEmail, ownerEmail } from "../../_lib/mail.js";
+
+export async function onRequestGet(ctx) {
+  const { env, request } = ctx;
+
+  try {
+    const url = new URL(request.url);
+
+    // --- Security: header secret ---
+    const REQUIRED = String(env.CRON_SECRET || "").trim();
+    if (!REQUIRED) return json({ ok: false, error: "CRON_SECRET is not set" }, 500);
+    const got = String(request.headers.get("x-cron-secret") || "").trim();
+    if (got !== REQUIRED) return json({ ok: false, error: "Unauthorized" }, 401);
+
+    if (!env.STRIPE_EVENTS_KV) return json({ ok: false, error: "STRIPE_EVENTS_KV binding is not set" }, 500);
+    if (!env.AIRTABLE_TOKEN) return json({ ok: false, error: "AIRTABLE_TOKEN is not set" }, 500);
+    if (!env.AIRTABLE_BASE_ID) return json({ ok: false, error: "AIRTABLE_BASE_ID is not set" }, 500);
+    if (!env.AIRTABLE_TABLE_NAME) return json({ ok: false, error: "AIRTABLE_TABLE_NAME is not set" }, 500);
+
+    const force = url.searchParams.get("force") === "1";
+    const dry = url.searchParams.get("dry") === "1";
+
+    const day = new Date().toISOString().slice(0, 10);
+    const DIGEST_KEY = `stock_digest:${day}`;
+    if (!force && !dry && (await env.STRIPE_EVENTS_KV.get(DIGEST_KEY))) {
+      return json({ ok: true, skipped: true, reason: "already_sent_today", day });
+    }
+    const FORCE_KEY = "stock_digest_forced";
+    if (force && !dry) {
+      if (await env.STRIPE_EVENTS_KV.get(FORCE_KEY)) return json({ ok: false, error: "Forced digest sent less than 10 min ago" }, 429);
+      await env.STRIPE_EVENTS_KV.put(FORCE_KEY, "1", { expirationTtl: 10 * 60 });
+    }
+
+    const pinField = env.AIRTABLE_PIN_FIELD || "PIN Code";
+    const records = await airtableFetchAll({
+      token: env.AIRTABLE_TOKEN,
+      baseId: env.AIRTABLE_BASE_ID,
+      table: env.AIRTABLE_TABLE_NAME,
+      filterByFormula: "{Active}=TRUE()",
+    });
+
+    // on-hand stock (Durable Object value wins over Airtable), holds are not subtracted
+    const stockState = await getStockState(env).catch(() => new Map());
+
+    const rows = [];
+    for (const rec of records) {
+      const f = rec.fields || {};
+      const pin = String(f[pinField] || "").trim();
+      if (!pin) continue;
+
+      const raw = stockState.get(pin)?.stock ?? Number(f["Stock"] ?? 0);
+      const stock = Number.isFinite(Number(raw)) ? Number(raw) : 0;
+      const threshold = lowStockThreshold(env, f);
+      const level = stockLevel(stock, threshold);
+      if (level === "ok") continue;
+
+      rows.push({ pin, title: String(f["Title"] || pin), stock, threshold, level });
+    }
+
+    // sold out first, then lowest stock
+    rows.sort((a, b) => a.stock - b.stock || a.pin.localeCompare(b.pin));
+
+    if (dry || !rows.length) {
+      return json({ ok: true, day, sent: false, count: rows.length, rows });
+    }
+
+    const to = ownerEmail(env);
+    const from = String(env.MAIL_FROM || "").trim();
+    if (!to) return json({ ok: false, error: "OWNER_EMAIL is not set" }, 500);
+    if (!from) return json({ ok: false, error: "MAIL_FROM is not set" }, 500);
+
+    const storeName = String(env.STORE_NAME || "Mosaic Pins");
+    const { html, text } = buildStockEmail({
+      storeName,
+      intro: `Daily stock digest (${day}): ${rows.length} pin(s) at or below the low-stock threshold.`,
+      rows,
+    });
+
+    await sendEmail({
+      env,
+      from,
+      to,
+      subject: `${storeName}: daily stock digest — ${rows.length} low / sold out`,
+      html,
+      text,
+      log: { template: "stock_digest" },
+    });
+
+    await env.STRIPE_EVENTS_KV.put(DIGEST_KEY, String(Date.now()), { expirationTtl: 3 * 24 * 60 * 60 });
+    return json({ ok: true, day, sent: true, count: rows.length, rows });
+  } catch (e) {
+    return json({ ok: false, error: "Stock digest error", details: String(e?.message || e) }, 500);
+  }
+}
+
+// ---------------- Airtable ----------------
+
+async function airtableFetchAll({ token, baseId, table, filterByFormula }) {
+  const all = [];
+  let offset = null;
+
+  for (let i = 0; i < 60; i++) {
+    const url = new URL(`https://api.airtable.com/v0/${baseId}/${encodeURIComponent(table)}`);
+    url.searchParams.set("pageSize", "100");
+    if (filterByFormula) url.searchParams.set("filterByFormula", filterByFormula);
+    if (offset) url.searchParams.set("offset", offset);
+
+    const r = await fetch(url.toString(), { headers: { Authorization: `Bearer ${token}` } });
+    const data = await r.json().catch(() => ({}));
+    if (!r.ok) throw new Error(`Airtable products fetch failed: ${r.status} ${JSON.stringify(data)}`);
+
+    if (Array.isArray(data.records)) all.push(...data.records);
+    offset = data.offset || null;
+    if (!offset) break;
+  }
+
+  return all;
+}
+
+function json(obj, status = 200) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json; charset=utf-8" },
+  });
+}
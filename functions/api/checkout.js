@@ -1,6 +1,17 @@
 // functions/api/checkout.js
 // POST /api/checkout
-// body: { currency: "EUR"|"USD", shippingCountry: "DE"|"US"|..., items: [{ pin: "G7N21g", qty: 1 }, ...] }
+// body: { currency: "EUR"|"USD", shippingCountry: "DE"|"US"|..., items: [{ pin: "G7N21g", qty: 1 }, ...], couponCode?: "SUMMER10", locale?: "en"|"de" }
+// Shipping zones/prices: Airtable "ShippingZones" via _lib/shipping.js
+// Cart is stored in KV (STRIPE_EVENTS_KV) under metadata.cartId — no size limit from Stripe metadata
+// Stock hold: requested qty is reserved (hold id = cartId) until the session expires_at
+// Order code: allocated by the stripe webhooks once paid (_lib/order-codes.js); success.html reads it via /api/order-code
+// Locale (_lib/i18n.js): body.locale → shipping country; Stripe page language + metadata.locale (emails)
+
+import { newCartId, saveCart } from "../_lib/cart-store.js";
+import { loadShippingConfig, quoteShipping } from "../_lib/shipping.js";
+import { findCoupon, evaluateCoupon, normalizeCouponCode } from "../_lib/coupons.js";
+import { getStockState, reserveStock, releaseStock } from "../_lib/inventory.js";
+import { pickLocale } from "../_lib/i18n.js";
 
 export function onRequestOptions(ctx) {
   const { request } = ctx;
@@ -15,9 +26,11 @@ export async function onRequestPost(ctx) {
     const body = await request.json().catch(() => ({}));
     const currency = String(body.currency || "EUR").toUpperCase();
     const items = Array.isArray(body.items) ? body.items : [];
+    const couponCode = normalizeCouponCode(body.couponCode);
 
     // ✅ shipping country (ISO2)
     const shippingCountry = String(body.shippingCountry || "").trim().toUpperCase();
+    const locale = pickLocale({ requested: body.locale, country: shippingCountry });
 
     if (!["EUR", "USD"].includes(currency)) {
       return json({ ok: false, error: "Invalid currency" }, 400, headers);
@@ -39,6 +52,7 @@ export async function onRequestPost(ctx) {
     if (!AIRTABLE_TOKEN) return json({ ok: false, error: "AIRTABLE_TOKEN is not set" }, 500, headers);
     if (!AIRTABLE_BASE_ID) return json({ ok: false, error: "AIRTABLE_BASE_ID is not set" }, 500, headers);
     if (!AIRTABLE_TABLE_NAME) return json({ ok: false, error: "AIRTABLE_TABLE_NAME is not set" }, 500, headers);
+    if (!env.STRIPE_EVENTS_KV) return json({ ok: false, error: "STRIPE_EVENTS_KV binding is not set" }, 500, headers);
 
     // --- normalize cart (sum qty by pin) ---
     const cartMap = new Map();
@@ -88,18 +102,30 @@ export async function onRequestPost(ctx) {
       });
     }
 
+    // --- inventory: active holds of other checkouts (reserved, not yet paid) ---
+    const stockState = await getStockState(env, { pins });
+
     // --- 2) Validate cart + build Stripe line_items ---
     const line_items = [];
-    const metaItems = [];
+    const cartItems = [];
+    let subtotalCents = 0;
+    let itemCount = 0;
 
     for (const pin of pins) {
       const qty = cartMap.get(pin);
       const p = byPin.get(pin);
 
       if (!p) return json({ ok: false, error: `Product not found: ${pin}` }, 404, headers);
+
+      const st = stockState.get(pin);
+      if (st && st.stock != null) p.stock = st.stock; // inventory DO is authoritative
+      const available = Math.max(0, p.stock - (st?.reserved || 0));
       if (!(p.stock > 0)) return json({ ok: false, error: `Sold out: ${pin}` }, 409, headers);
-      if (qty > p.stock) {
-        return json({ ok: false, error: `Not enough stock for ${pin}. Available: ${p.stock}` }, 409, headers);
+      if (!(available > 0)) {
+        return json({ ok: false, error: `Reserved in another checkout: ${pin}. Try again in a few minutes.` }, 409, headers);
+      }
+      if (qty > available) {
+        return json({ ok: false, error: `Not enough stock for ${pin}. Available: ${available}` }, 409, headers);
       }
 
       const unit = currency === "EUR" ? p.priceEUR : p.priceUSD;
@@ -116,110 +142,139 @@ export async function onRequestPost(ctx) {
         },
       });
 
-      metaItems.push({ recordId: p.recordId, pin: p.pin, qty });
-    }
-
-    const itemsStr = JSON.stringify(metaItems);
-    if (itemsStr.length > 450) {
-      return json(
-        {
-          ok: false,
-          error: "Cart is too large for checkout metadata. Reduce items (or store items in KV by session).",
-        },
-        413,
-        headers
-      );
+      cartItems.push({ recordId: p.recordId, pin: p.pin, qty, unitPrice: unit, title: p.title });
+      subtotalCents += Math.round(unit * 100) * qty;
+      itemCount += qty;
     }
 
     // =========================
-    // ✅ Shipping zones
+    // ✅ Coupon (Airtable "Coupons") → one-off Stripe coupon with amount_off
     // =========================
-    const EUROPE_COUNTRIES = [
-      // EU
-      "AT","BE","BG","HR","CY","CZ","DK","EE","FI","FR","DE","GR","HU","IE","IT","LV","LT","LU","MT","NL","PL","PT","RO","SK","SI","ES","SE",
-      // EEA + UK + CH
-      "NO","IS","LI","GB","CH",
-      // Europe nearby
-      "AL","BA","ME","MK","RS","MD","UA",
-    ];
-    const USCA_COUNTRIES = ["US", "CA"];
-
-    function detectZone(cc) {
-      if (cc === "DE") return "DE";
-      if (USCA_COUNTRIES.includes(cc)) return "USCA";
-      if (EUROPE_COUNTRIES.includes(cc)) return "EU";
-      return "UNSUPPORTED";
-    }
-
-    const zone = detectZone(shippingCountry);
-    if (zone === "UNSUPPORTED") {
-      return json({ ok: false, error: `Shipping is not available to ${shippingCountry}.` }, 400, headers);
+    let discount = null;
+    if (couponCode) {
+      const coupon = await findCoupon(env, couponCode);
+      const result = evaluateCoupon(coupon, {
+        currency,
+        lines: cartItems.map((it) => ({ pin: it.pin, unitPrice: it.unitPrice, qty: it.qty })),
+      });
+      if (!result.ok) return json({ ok: false, error: result.error }, 400, headers);
+      discount = result;
     }
-
-    // ✅ allowed countries in Stripe
-    let allowedCountries = [];
-    if (zone === "DE") allowedCountries = ["DE"];
-    else if (zone === "EU") allowedCountries = EUROPE_COUNTRIES;
-    else allowedCountries = USCA_COUNTRIES;
+    const discountCents = discount ? discount.discountCents : 0;
 
     // =========================
-    // ✅ Shipping prices per currency (YOUR TABLE)
-    // EUR: DE 6.00 / EU 14.50 / US+CA 27.00
-    // USD: US+CA 29.00 / DE 8.00 / EU 16.00
+    // ✅ Shipping zone + price (Airtable "ShippingZones", cached)
+    // free shipping over subtotal / extra steps above letter package qty
     // =========================
-    const SHIPPING_PRICES = {
-      EUR: { DE: 6.00, EU: 14.50, USCA: 27.00 },
-      USD: { DE: 8.00, EU: 16.00, USCA: 29.00 },
-    };
+    const shippingConfig = await loadShippingConfig(env);
+    const quote = quoteShipping(shippingConfig, {
+      country: shippingCountry,
+      currency,
+      subtotal: (subtotalCents - discountCents) / 100,
+      itemCount,
+    });
+    if (!quote.ok) {
+      return json({ ok: false, error: quote.error }, quote.status, headers);
+    }
+
+    const zone = quote.zone;
+    const allowedCountries = quote.allowedCountries;
+    const shippingName = quote.displayName;
+    const shippingCents = moneyToCents(quote.amount);
+
+    // ✅ full cart -> KV (webhooks resolve items by metadata.cartId)
+    const cartId = newCartId();
+    await saveCart(env.STRIPE_EVENTS_KV, cartId, {
+      currency,
+      shippingCountry,
+      shippingZone: zone,
+      locale,
+      items: cartItems,
+      coupon: discount ? { code: discount.code, discount: discount.discount } : null,
+    });
 
-    const shippingAmount = SHIPPING_PRICES?.[currency]?.[zone];
-    if (!Number.isFinite(shippingAmount)) {
-      return json({ ok: false, error: `Shipping price missing for ${zone} in ${currency}.` }, 500, headers);
+    // ✅ hold stock for the session lifetime (Stripe: expires_at between 30 min and 24 h)
+    const holdMinutes = Math.min(24 * 60 - 5, Math.max(30, Math.floor(Number(env.CHECKOUT_HOLD_MINUTES || 30) || 30)));
+    const expiresAtSec = Math.floor(Date.now() / 1000) + holdMinutes * 60 + 60; // +1 min: Stripe minimum is strict
+    const reserved = await reserveStock(env, cartId, cartItems, expiresAtSec * 1000);
+    if (!reserved.ok) {
+      return json({ ok: false, error: reserved.error || "Not enough stock" }, 409, headers);
     }
 
-    const shippingName =
-      zone === "DE" ? "Germany shipping (tracked)"
-      : zone === "EU" ? "Europe shipping (tracked)"
-      : "USA / Canada shipping (tracked)";
-
-    const shippingCents = moneyToCents(shippingAmount);
-
-    const session = await stripeCreateCheckoutSession({
-      secretKey: STRIPE_SECRET_KEY,
-      payload: {
-        mode: "payment",
-        line_items,
-        success_url: `${SITE_URL}/success.html`,
-        cancel_url: `${SITE_URL}/canceled.html`,
-        client_reference_id: `mp-${Date.now()}`,
-        metadata: {
-          currency,
-          items: itemsStr,
-          shippingCountry,
-          shippingZone: zone,
-        },
+    let stripeCouponId = null;
+    let session;
+    try {
+      if (discount) {
+        const stripeCoupon = await stripeCreateCoupon({
+          secretKey: STRIPE_SECRET_KEY,
+          amountOff: discountCents,
+          currency: currency.toLowerCase(),
+          name: discount.code,
+          cartId,
+        });
+        stripeCouponId = stripeCoupon.id;
+      }
 
-        // ✅ address + phone
-        shipping_address_collection: { allowed_countries: allowedCountries },
-        phone_number_collection: { enabled: true },
-
-        // ✅ ONE shipping option (auto)
-        shipping_options: [
-          {
-            shipping_rate_data: {
-              type: "fixed_amount",
-              fixed_amount: {
-                amount: shippingCents,
-                currency: currency.toLowerCase(),
+      session = await stripeCreateCheckoutSession({
+        secretKey: STRIPE_SECRET_KEY,
+        payload: {
+          mode: "payment",
+          expires_at: expiresAtSec,
+          line_items,
+          // order code is allocated by the webhook once paid → success.html asks /api/order-code
+          success_url: `${SITE_URL}/success.html?session_id={CHECKOUT_SESSION_ID}`,
+          cancel_url: `${SITE_URL}/canceled.html`,
+          // no order code before payment (codes only for paid orders, no gaps) → the cart id;
+          // the webhook puts the code on the PaymentIntent (description + metadata.orderCode)
+          client_reference_id: cartId,
+          locale,
+          metadata: {
+            currency,
+            cartId,
+            locale,
+            shippingCountry,
+            shippingZone: zone,
+            couponCode: discount ? discount.code : null,
+            discount: discount ? discount.discount.toFixed(2) : null,
+          },
+
+          discounts: stripeCouponId ? [{ coupon: stripeCouponId }] : null,
+
+          // ✅ address + phone
+          shipping_address_collection: { allowed_countries: allowedCountries },
+          phone_number_collection: { enabled: true },
+
+          // ✅ ONE shipping option (auto)
+          shipping_options: [
+            {
+              shipping_rate_data: {
+                type: "fixed_amount",
+                fixed_amount: {
+                  amount: shippingCents,
+                  currency: currency.toLowerCase(),
+                },
+                display_name: shippingName,
               },
-              display_name: shippingName,
             },
-          },
-        ],
-      },
-    });
+          ],
+        },
+      });
+    } catch (e) {
+      // session was not created → give the stock back right away
+      await releaseStock(env, cartId);
+      throw e;
+    }
 
-    return json({ ok: true, url: session.url }, 200, headers);
+    return json(
+      {
+        ok: true,
+        url: session.url,
+        shipping: shippingSummary(quote),
+        discount: discount ? { code: discount.code, amount: discount.discount, description: discount.description } : null,
+      },
+      200,
+      headers
+    );
   } catch (e) {
     return json({ ok: false, error: String(e?.message || e) }, 500, headers);
   }
@@ -253,6 +308,18 @@ function json(obj, status = 200, headers = {}) {
   });
 }
 
+// what the cart drawer needs ("X € until free shipping")
+function shippingSummary(quote) {
+  return {
+    zone: quote.zone,
+    currency: quote.currency,
+    amount: quote.amount,
+    baseAmount: quote.baseAmount,
+    freeOver: quote.freeOver,
+    remainingForFree: quote.remainingForFree,
+  };
+}
+
 function moneyToCents(amount) {
   // safe rounding
   const n = Number(amount);
@@ -278,6 +345,30 @@ async function airtableFetchByPins({ token, baseId, table, pins }) {
   return Array.isArray(data.records) ? data.records : [];
 }
 
+// one-off coupon for exactly this checkout (amount already computed from Airtable "Coupons")
+async function stripeCreateCoupon({ secretKey, amountOff, currency, name, cartId }) {
+  const form = new URLSearchParams();
+  form.set("amount_off", String(amountOff));
+  form.set("currency", currency);
+  form.set("duration", "once");
+  form.set("max_redemptions", "1");
+  form.set("name", String(name).slice(0, 40));
+  form.set("metadata[cartId]", String(cartId));
+
+  const r = await fetch("https://api.stripe.com/v1/coupons", {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${secretKey}`,
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+    body: form.toString(),
+  });
+
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(`Stripe coupon error: ${data?.error?.message || r.statusText}`);
+  return data;
+}
+
 async function stripeCreateCheckoutSession({ secretKey, payload }) {
   const form = new URLSearchParams();
 
@@ -286,6 +377,8 @@ async function stripeCreateCheckoutSession({ secretKey, payload }) {
   form.set("cancel_url", payload.cancel_url);
 
   if (payload.client_reference_id) form.set("client_reference_id", String(payload.client_reference_id));
+  if (payload.expires_at) form.set("expires_at", String(payload.expires_at));
+  if (payload.locale) form.set("locale", String(payload.locale));
 
   if (payload.metadata) {
     for (const [k, v] of Object.entries(payload.metadata)) {
@@ -300,6 +393,12 @@ async function stripeCreateCheckoutSession({ secretKey, payload }) {
     });
   }
 
+  if (Array.isArray(payload.discounts) && payload.discounts.length) {
+    payload.discounts.forEach((d, i) => {
+      if (d?.coupon) form.set(`discounts[${i}][coupon]`, String(d.coupon));
+    });
+  }
+
   if (payload.phone_number_collection?.enabled) {
     form.set(`phone_number_collection[enabled]`, "true");
   }
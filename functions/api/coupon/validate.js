@@ -0,0 +1,128 @@
+// functions/api/coupon/validate.js
+// POST /api/coupon/validate
+// body: { code:"SUMMER10", currency:"EUR"|"USD", items:[{ pin:"G7N21g", qty:1 }, ...] }
+// returns: { ok:true, code:"SUMMER10", currency:"EUR", discount:4.5, subtotal:45, description:"10% off" }
+//      or  { ok:false, error:"..." }
+// Prices are taken from Airtable Products (never from the client); the same check runs again in checkout.
+
+import { findCoupon, evaluateCoupon, normalizeCouponCode } from "../../_lib/coupons.js";
+
+export function onRequestOptions(ctx) {
+  const { request } = ctx;
+  return new Response(null, { status: 204, headers: corsHeaders(request) });
+}
+
+export async function onRequestPost(ctx) {
+  const { request, env } = ctx;
+  const headers = { ...corsHeaders(request), "Cache-Control": "no-store" };
+
+  try {
+    if (!env.AIRTABLE_TOKEN) return json({ ok: false, error: "AIRTABLE_TOKEN is not set" }, 500, headers);
+    if (!env.AIRTABLE_BASE_ID) return json({ ok: false, error: "AIRTABLE_BASE_ID is not set" }, 500, headers);
+    if (!env.AIRTABLE_TABLE_NAME) return json({ ok: false, error: "AIRTABLE_TABLE_NAME is not set" }, 500, headers);
+
+    const body = await request.json().catch(() => ({}));
+    const code = normalizeCouponCode(body.code);
+    const currency = String(body.currency || "EUR").toUpperCase();
+    const items = Array.isArray(body.items) ? body.items : [];
+
+    if (!code) return json({ ok: false, error: "Missing coupon code" }, 400, headers);
+    if (!["EUR", "USD"].includes(currency)) return json({ ok: false, error: "Invalid currency" }, 400, headers);
+
+    // --- normalize cart (sum qty by pin) ---
+    const cartMap = new Map();
+    for (const it of items) {
+      const pin = String(it?.pin || "").trim();
+      let qty = Math.floor(Number(it?.qty || 0));
+      if (!pin) continue;
+      if (!Number.isFinite(qty) || qty <= 0) continue;
+      if (qty > 99) qty = 99;
+      cartMap.set(pin, (cartMap.get(pin) || 0) + qty);
+    }
+    if (!cartMap.size) return json({ ok: false, error: "Cart is empty" }, 400, headers);
+
+    const records = await airtableFetchByPins({
+      token: env.AIRTABLE_TOKEN,
+      baseId: env.AIRTABLE_BASE_ID,
+      table: env.AIRTABLE_TABLE_NAME,
+      pins: [...cartMap.keys()],
+    });
+
+    const lines = [];
+    for (const rec of records) {
+      const f = rec.fields || {};
+      const pin = String(f["PIN Code"] ?? "").trim();
+      if (!cartMap.has(pin)) continue;
+      const unitPrice = Number(currency === "EUR" ? f["Price_EUR"] : f["Price_USD"]);
+      if (!Number.isFinite(unitPrice) || unitPrice <= 0) continue;
+      lines.push({ pin, unitPrice, qty: cartMap.get(pin) });
+    }
+
+    const coupon = await findCoupon(env, code);
+    const result = evaluateCoupon(coupon, { currency, lines });
+    if (!result.ok) return json({ ok: false, code, error: result.error }, 200, headers);
+
+    const subtotal = lines.reduce((s, l) => s + Math.round(l.unitPrice * 100) * l.qty, 0) / 100;
+
+    return json(
+      {
+        ok: true,
+        code: result.code,
+        currency,
+        discount: result.discount,
+        subtotal,
+        description: result.description,
+      },
+      200,
+      headers
+    );
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e) }, 500, headers);
+  }
+}
+
+// ---------------- Helpers ----------------
+
+function corsHeaders(request) {
+  const origin = request.headers.get("Origin");
+
+  if (!origin) {
+    return {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "POST, OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type",
+    };
+  }
+
+  return {
+    "Access-Control-Allow-Origin": origin,
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+    "Vary": "Origin",
+  };
+}
+
+function json(obj, status = 200, headers = {}) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json; charset=utf-8", ...headers },
+  });
+}
+
+async function airtableFetchByPins({ token, baseId, table, pins }) {
+  const or = pins.map((p) => `{PIN Code}="${String(p).replace(/"/g, '\\"')}"`).join(",");
+  const formula = pins.length ? `OR(${or})` : "FALSE()";
+
+  const url = new URL(`https://api.airtable.com/v0/${baseId}/${encodeURIComponent(table)}`);
+  url.searchParams.set("filterByFormula", formula);
+  url.searchParams.set("pageSize", "100");
+
+  const r = await fetch(url.toString(), {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(`Airtable fetch failed: ${r.status} ${JSON.stringify(data)}`);
+
+  return Array.isArray(data.records) ? data.records : [];
+}
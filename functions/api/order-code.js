@@ -0,0 +1,46 @@
+// functions/api/order-code.js
+// GET /api/order-code?session_id=cs_...
+// returns: { ok:true, orderCode:"MP-2026-00421" } | { ok:true, orderCode:null } (webhook not there yet → success.html asks again)
+// The code comes from the Orders row written by /api/stripe-webhook once the session is paid (_lib/order-codes.js)
+
+import { orderNumberField } from "../_lib/order-codes.js";
+
+export async function onRequestGet(ctx) {
+  const { request, env } = ctx;
+  const headers = { "Cache-Control": "no-store" };
+
+  try {
+    if (!env.AIRTABLE_TOKEN) return json({ ok: false, error: "AIRTABLE_TOKEN is not set" }, 500, headers);
+    if (!env.AIRTABLE_BASE_ID) return json({ ok: false, error: "AIRTABLE_BASE_ID is not set" }, 500, headers);
+
+    const sessionId = String(new URL(request.url).searchParams.get("session_id") || "").trim();
+    if (!/^cs_[A-Za-z0-9_]{8,200}$/.test(sessionId)) return json({ ok: false, error: "Invalid session_id" }, 400, headers);
+
+    const ORDERS_TABLE =
+      env.AIRTABLE_ORDERS_TABLE_NAME ||
+      env.AIRTABLE_ORDERS_TABLE ||
+      "Orders";
+
+    const params = new URLSearchParams();
+    params.set("filterByFormula", `{Stripe Session ID}="${sessionId}"`);
+    params.set("maxRecords", "1");
+    params.append("fields[]", orderNumberField(env));
+
+    const url = `https://api.airtable.com/v0/${env.AIRTABLE_BASE_ID}/${encodeURIComponent(ORDERS_TABLE)}?${params}`;
+    const r = await fetch(url, { headers: { Authorization: `Bearer ${env.AIRTABLE_TOKEN}` } });
+    const data = await r.json().catch(() => ({}));
+    if (!r.ok) return json({ ok: false, error: "Airtable lookup failed" }, 502, headers);
+
+    const orderCode = String(data?.records?.[0]?.fields?.[orderNumberField(env)] || "").trim() || null;
+    return json({ ok: true, orderCode }, 200, headers);
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e) }, 500, headers);
+  }
+}
+
+function json(obj, status = 200, extraHeaders = {}) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json; charset=utf-8", ...extraHeaders },
+  });
+}
@@ -2,9 +2,23 @@
 // POST /api/order-shipped-webhook
 // Trigger: Airtable Automation when Tracking Number is filled
 // Actions:
-// 1) Send "Order shipped" email to customer (MailChannels)
+// 1) Send "Order shipped" email to customer (_lib/mail.js, MAIL_PROVIDER), lines from "Order Items" (_lib/order-items.js)
 // 2) Mark "Shipped Email Sent" checkbox in Airtable Orders
 // Idempotency: KV (STRIPE_EVENTS_KV) by orderId OR stripeSessionId
+// Language: body.locale → Orders "Locale" → shipping country (_lib/i18n.js)
+// Carrier + tracking link: body.carrier → Orders "Carrier" → tracking-number format / shipping zone (_lib/carriers.js)
+// Split shipments: Automation on "Shipments" (Tracking Number filled) posts { shipmentId } →
+//   one email per parcel (its items, "more parcels follow" until every Order Items line is covered),
+//   Shipments "Notified" + "Shipped At", Orders "Shipping Status" = partially_shipped | shipped,
+//   "Shipped Email Sent" only once the order is fully shipped (_lib/shipments.js)
+//   orders with Shipments rows get no whole-order email from the Orders automation
+
+import { pickLocale, localeField, t } from "../_lib/i18n.js";
+import { sendEmail } from "../_lib/mail.js";
+import { resolveCarrier, carrierField } from "../_lib/carriers.js";
+import { getShipment, loadShipments, shipmentCoverage, markShipmentNotified, orderShippingFields } from "../_lib/shipments.js";
+import { loadOrderItems } from "../_lib/order-items.js";
+import { orderNumberField } from "../_lib/order-codes.js";
 
 export async function onRequestOptions(ctx) {
   const { request } = ctx;
@@ -48,6 +62,20 @@ export async function onRequestPost(ctx) {
     // --- Parse body from Airtable webhook ---
     const body = await request.json().catch(() => ({}));
 
+    // ✅ one parcel of a (split) order
+    if (String(body.shipmentId || "").trim()) {
+      return await handleShipment(env, body, {
+        headers,
+        ORDERS_TABLE,
+        SHIPPED_FIELD,
+        STORE_NAME,
+        STORE_URL,
+        MAIL_FROM,
+        MAIL_REPLY_TO,
+        MAIL_BCC,
+      });
+    }
+
     const orderId = String(body.orderId || "").trim(); // your "Order ID"
     const stripeSessionId = String(body.stripeSessionId || body.stripeSessionID || "").trim(); // optional (if you pass it)
     const customerName = String(body.customerName || "").trim();
@@ -82,8 +110,9 @@ export async function onRequestPost(ctx) {
     });
 
     // If record exists and checkbox already true -> skip (extra safety)
+    let rec = null;
     if (recordId) {
-      const rec = await airtableGetRecord({
+      rec = await airtableGetRecord({
         token: env.AIRTABLE_TOKEN,
         baseId: env.AIRTABLE_BASE_ID,
         table: ORDERS_TABLE,
@@ -97,14 +126,39 @@ export async function onRequestPost(ctx) {
       }
     }
 
-    const subject = `${STORE_NAME}: Your order has been shipped 🚚`;
+    // split order: its parcels are announced from Shipments (no Shipments table → [])
+    const parcels = await loadShipments(env, orderId || rec?.fields?.["Order ID"]).catch(() => []);
+    if (parcels.length) {
+      return json({ ok: true, skipped: true, reason: "split_shipments" }, 200, headers);
+    }
+
+    const locale = pickLocale({
+      requested: body.locale || rec?.fields?.[localeField(env)],
+      country: shipCountry || rec?.fields?.["Shipping Country"],
+    });
+
+    const carrier = resolveCarrier({
+      env,
+      carrier: body.carrier || rec?.fields?.[carrierField(env)],
+      trackingNumber,
+      country: shipCountry || rec?.fields?.["Shipping Country"],
+      locale,
+    });
+
+    const subject = t(locale, "shipped.subject", { store: STORE_NAME });
+
+    // lines from "Order Items" (Order ID = Stripe session / PayPal order id; older orders have none → list is omitted)
+    const items = await loadOrderItems(env, orderId || rec?.fields?.["Order ID"] || stripeSessionId).catch(() => []);
 
     const { html, text } = buildShippedEmail({
+      locale,
       storeName: STORE_NAME,
       storeUrl: STORE_URL,
       customerName,
-      orderId: orderId || stripeSessionId || "-",
-      trackingNumber,
+      orderId: String(rec?.fields?.[orderNumberField(env)] || orderId || stripeSessionId || "-").trim(),
+      trackingNumber: carrier.trackingNumber || trackingNumber,
+      carrier,
+      items,
       shippingAddress,
       shipCity,
       shipPostal,
@@ -113,7 +167,8 @@ export async function onRequestPost(ctx) {
     });
 
     // Send email
-    await sendEmailMailchannels({
+    await sendEmail({
+      env,
       from: MAIL_FROM,
       to: customerEmail,
       replyTo: MAIL_REPLY_TO || undefined,
@@ -121,6 +176,7 @@ export async function onRequestPost(ctx) {
       subject,
       html,
       text,
+      log: { order: orderId || stripeSessionId, template: "shipped" },
     });
 
     // Mark idempotency
@@ -137,58 +193,154 @@ export async function onRequestPost(ctx) {
       });
     }
 
-    return json({ ok: true, email_sent: true, recordId: recordId || null }, 200, headers);
+    return json({ ok: true, email_sent: true, recordId: recordId || null, carrier: carrier.name, trackingUrl: carrier.trackingUrl }, 200, headers);
   } catch (e) {
     return json({ ok: false, error: String(e?.message || e) }, 500, headers);
   }
 }
 
 /* =========================
-   Email via MailChannels
+   Split shipments (Shipments table)
 ========================= */
-async function sendEmailMailchannels({ from, to, subject, html, text, replyTo, bcc }) {
-  const payload = {
-    personalizations: [
-      {
-        to: [{ email: to }],
-        ...(bcc ? { bcc: [{ email: bcc }] } : {}),
-      },
-    ],
-    from: { email: from },
-    subject,
-    content: [
-      { type: "text/plain", value: text || "" },
-      { type: "text/html", value: html || "" },
-    ],
-    ...(replyTo ? { reply_to: { email: replyTo } } : {}),
-  };
+async function handleShipment(env, body, { headers, ORDERS_TABLE, SHIPPED_FIELD, STORE_NAME, STORE_URL, MAIL_FROM, MAIL_REPLY_TO, MAIL_BCC }) {
+  const shipmentId = String(body.shipmentId).trim();
 
-  const r = await fetch("https://api.mailchannels.net/tx/v1/send", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(payload),
+  const KV_KEY = `shipment_email_sent:${shipmentId}`;
+  if (await env.STRIPE_EVENTS_KV.get(KV_KEY)) {
+    return json({ ok: true, skipped: true, reason: "already_sent" }, 200, headers);
+  }
+
+  const shipment = await getShipment(env, shipmentId);
+  const sf = shipment.fields || {};
+
+  if (sf["Notified"]) {
+    await env.STRIPE_EVENTS_KV.put(KV_KEY, "1", { expirationTtl: 30 * 24 * 60 * 60 });
+    return json({ ok: true, skipped: true, reason: "airtable_already_notified" }, 200, headers);
+  }
+
+  const trackingNumber = String(sf["Tracking Number"] || body.trackingNumber || "").trim();
+  const orderId = String(sf["Order ID"] || body.orderId || "").trim();
+  if (!trackingNumber) return json({ ok: false, error: "Shipment has no Tracking Number" }, 400, headers);
+  if (!orderId) return json({ ok: false, error: "Shipment has no Order ID" }, 400, headers);
+
+  const recordId = await airtableFindOrderRecord({
+    token: env.AIRTABLE_TOKEN,
+    baseId: env.AIRTABLE_BASE_ID,
+    table: ORDERS_TABLE,
+    orderId,
+  });
+  if (!recordId) return json({ ok: false, error: `Order not found: ${orderId}` }, 404, headers);
+
+  const rec = await airtableGetRecord({
+    token: env.AIRTABLE_TOKEN,
+    baseId: env.AIRTABLE_BASE_ID,
+    table: ORDERS_TABLE,
+    recordId,
+  });
+  const f = rec?.fields || {};
+
+  const customerEmail = String(body.customerEmail || f["Customer Email"] || "").trim();
+  if (!customerEmail) return json({ ok: false, error: "Order has no Customer Email" }, 400, headers);
+
+  const shipCountry = String(f["Shipping Country"] || "").trim();
+  const locale = pickLocale({ requested: body.locale || f[localeField(env)], country: shipCountry });
+  const carrier = resolveCarrier({ env, carrier: sf["Carrier"] || body.carrier, trackingNumber, country: shipCountry, locale });
+
+  // parcels already announced + this one
+  const [orderItems, shipments] = await Promise.all([
+    loadOrderItems(env, orderId).catch(() => []),
+    loadShipments(env, orderId),
+  ]);
+  const covering = shipments.filter((s) => s.fields?.["Notified"] && s.id !== shipment.id).concat(shipment);
+  const { complete, parcelItems, remaining } = shipmentCoverage(orderItems, covering, shipment.id);
+
+  const niceOrderId = String(f[orderNumberField(env)] || orderId).trim();
+
+  const { html, text } = buildShippedEmail({
+    locale,
+    storeName: STORE_NAME,
+    storeUrl: STORE_URL,
+    customerName: String(body.customerName || f["Customer Name"] || "").trim(),
+    orderId: niceOrderId,
+    trackingNumber: carrier.trackingNumber || trackingNumber,
+    carrier,
+    items: parcelItems,
+    partial: !complete,
+    shippingAddress: String(f["Shipping Address"] || "").trim(),
+    shipCity: String(f["Shipping City"] || "").trim(),
+    shipPostal: String(f["Shipping Postal Code"] || "").trim(),
+    shipState: String(f["Shipping State/Region"] || "").trim(),
+    shipCountry,
+  });
+
+  await sendEmail({
+    env,
+    from: MAIL_FROM,
+    to: customerEmail,
+    replyTo: MAIL_REPLY_TO || undefined,
+    bcc: MAIL_BCC || undefined,
+    subject: t(locale, complete ? "shipped.subject" : "shipped.subjectPartial", { store: STORE_NAME }),
+    html,
+    text,
+    log: { order: niceOrderId, template: "shipped_parcel" },
+  });
+
+  await env.STRIPE_EVENTS_KV.put(KV_KEY, "1", { expirationTtl: 30 * 24 * 60 * 60 });
+  await markShipmentNotified(env, shipment);
+
+  // status from every notified parcel now (a parcel sent meanwhile may have completed the order)
+  const shipping = await orderShippingFields(env, orderId, { shippedField: SHIPPED_FIELD });
+  await airtablePatchRecord({
+    token: env.AIRTABLE_TOKEN,
+    baseId: env.AIRTABLE_BASE_ID,
+    table: ORDERS_TABLE,
+    recordId,
+    fields: shipping.fields,
   });
 
-  const respText = await r.text().catch(() => "");
-  if (!r.ok) throw new Error(`Mail send failed: ${r.status} ${respText}`);
+  return json(
+    {
+      ok: true,
+      email_sent: true,
+      shipmentId,
+      recordId,
+      complete: shipping.complete,
+      remaining: remaining.map((it) => ({ pin: it.pin, qty: it.qty })),
+      carrier: carrier.name,
+      trackingUrl: carrier.trackingUrl,
+    },
+    200,
+    headers
+  );
 }
 
 /* =========================
    Email content (Variant 1)
 ========================= */
 function buildShippedEmail({
+  locale,
   storeName,
   storeUrl,
   customerName,
   orderId,
   trackingNumber,
+  carrier = null,
+  items = [],
+  partial = false,
   shippingAddress,
   shipCity,
   shipPostal,
   shipState,
   shipCountry,
 }) {
-  const hello = customerName ? `Hello ${customerName}!` : "Hello!";
+  const hello = customerName ? t(locale, "hello", { name: customerName }) : t(locale, "hello.anon");
+  const itemsLabel = t(locale, partial ? "shipped.parcelItems" : "items");
+
+  const itemsText = items.length ? items.map((it) => `• ${it.title} × ${it.qty}`).join("\n") : "";
+  const itemsHtml = items.length
+    ? `<p style="margin:12px 0 6px"><b>${escapeHtml(itemsLabel)}:</b></p>
+  <ul style="margin:0 0 12px 18px;padding:0">${items.map((it) => `<li>${escapeHtml(it.title)} × ${it.qty}</li>`).join("")}</ul>`
+    : "";
 
   const addressBlock = formatAddress({
     shippingAddress,
@@ -201,35 +353,47 @@ function buildShippedEmail({
   const text =
 `${hello}
 
-Good news — your order has been shipped 🚚
-
-Order ID: ${orderId}
-Tracking Number: ${trackingNumber}
+${t(locale, partial ? "shipped.leadTextPartial" : "shipped.leadText")}
 
-Shipping address:
+${t(locale, "orderId")}: ${orderId}
+${carrier ? `${t(locale, "shipped.carrier")}: ${carrier.name}\n` : ""}${t(locale, "shipped.tracking")}: ${trackingNumber}
+${carrier?.trackingUrl ? `${t(locale, "shipped.trackLink")}: ${carrier.trackingUrl}\n` : ""}${itemsText ? `\n${itemsLabel}:\n${itemsText}\n` : ""}
+${t(locale, "shippingAddress")}:
 ${addressBlock || "-"}
 
-If you have any questions, just reply to this email.
+${t(locale, "questions")}
 
 ${storeUrl || storeName}
 `;
 
   const html =
 `<div style="font-family:Arial,sans-serif;line-height:1.45;color:#111">
-  <h2 style="margin:0 0 12px">${escapeHtml(storeName)} — Order shipped 🚚</h2>
+  <h2 style="margin:0 0 12px">${escapeHtml(storeName)} — ${escapeHtml(t(locale, "shipped.title"))}</h2>
   <p style="margin:0 0 10px">${escapeHtml(hello)}</p>
 
-  <p style="margin:0 0 12px">Good news — your order has been shipped.</p>
+  <p style="margin:0 0 12px">${escapeHtml(t(locale, partial ? "shipped.leadPartial" : "shipped.lead"))}</p>
 
   <div style="padding:12px 14px;border:1px solid #e5e7eb;border-radius:12px;background:#fafafa;margin:12px 0">
-    <div><b>Order ID:</b> ${escapeHtml(orderId)}</div>
-    <div style="margin-top:6px"><b>Tracking Number:</b> ${escapeHtml(trackingNumber)}</div>
+    <div><b>${escapeHtml(t(locale, "orderId"))}:</b> ${escapeHtml(orderId)}</div>
+    ${carrier ? `<div style="margin-top:6px"><b>${escapeHtml(t(locale, "shipped.carrier"))}:</b> ${escapeHtml(carrier.name)}</div>` : ""}
+    <div style="margin-top:6px"><b>${escapeHtml(t(locale, "shipped.tracking"))}:</b> ${
+      carrier?.trackingUrl
+        ? `<a href="${escapeHtml(carrier.trackingUrl)}" style="color:#111">${escapeHtml(trackingNumber)}</a>`
+        : escapeHtml(trackingNumber)
+    }</div>
+    ${
+      carrier?.trackingUrl
+        ? `<div style="margin-top:12px"><a href="${escapeHtml(carrier.trackingUrl)}" style="display:inline-block;padding:10px 16px;border-radius:10px;background:#111;color:#fff;text-decoration:none;font-weight:bold">${escapeHtml(t(locale, "shipped.trackLink"))} →</a></div>`
+        : ""
+    }
   </div>
 
-  <p style="margin:12px 0 6px"><b>Shipping address:</b></p>
+  ${itemsHtml}
+
+  <p style="margin:12px 0 6px"><b>${escapeHtml(t(locale, "shippingAddress"))}:</b></p>
   <div style="white-space:pre-line;border:1px solid #e5e7eb;border-radius:12px;padding:12px 14px;background:#fff">${escapeHtml(addressBlock || "-")}</div>
 
-  <p style="margin:14px 0 8px">If you have any questions, just reply to this email.</p>
+  <p style="margin:14px 0 8px">${escapeHtml(t(locale, "questions"))}</p>
 
   ${storeUrl ? `<p style="margin:0"><a href="${escapeHtml(storeUrl)}">${escapeHtml(storeUrl)}</a></p>` : ""}
 </div>`;
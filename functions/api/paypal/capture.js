@@ -1,7 +1,15 @@
 // functions/api/paypal/capture.js
 // POST /api/paypal/capture
 // body: { orderID:"..." }
-// returns: { ok:true, status:"COMPLETED", orderID:"...", captureId:"...", amount:{value,currency_code}, raw?:... }
+// returns: { ok:true, status:"COMPLETED", orderID:"...", captureId:"...", amount:{value,currency_code}, orderCode:"MP-2026-00421", raw?:... }
+// COMPLETED capture → _lib/paypal-orders.js:
+//   Airtable Orders upsert ("Payment Provider" = PayPal), stock decrement once per order,
+//   coupon "Times Used" +1, stock hold pp_<orderID> (from create-order) released,
+//   "Order confirmed" email to the payer (once per order, also sent by /api/paypal/webhook if the tab was closed)
+// Before capture: PayPal shipping country must be inside the zone quoted at create-order
+//   → 400 code:"SHIPPING_ZONE_MISMATCH" (nothing is charged); PAYPAL_ZONE_MISMATCH=flag → capture + "needs_review"
+
+import { recordPayPalOrder, checkPayPalDestination, paypalZoneMismatchMode } from "../../_lib/paypal-orders.js";
 
 export function onRequestOptions(ctx) {
   const { request } = ctx;
@@ -33,6 +41,25 @@ export async function onRequestPost(ctx) {
 
     const accessToken = await getPayPalAccessToken(apiBase, clientId, secret);
 
+    // ✅ destination check BEFORE capture (buyer can pick any address on PayPal's side)
+    if (paypalZoneMismatchMode(env) === "reject") {
+      const ordRes = await fetch(`${apiBase}/v2/checkout/orders/${encodeURIComponent(orderID)}`, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+      const ordData = await ordRes.json().catch(() => ({}));
+
+      if (ordRes.ok) {
+        const check = await checkPayPalDestination(env, { orderID, paypalOrder: ordData });
+        if (!check.ok) {
+          const error =
+            check.reason === "not_shippable"
+              ? `Shipping is not available to ${check.country}.`
+              : `Shipping address (${check.country}) does not match the selected shipping region. Please choose the matching region in the cart and pay again.`;
+          return json({ ok: false, code: "SHIPPING_ZONE_MISMATCH", error, shippingCheck: check }, 400, headers);
+        }
+      }
+    }
+
     // ✅ idempotency key (чтобы повторный POST не делал “вторую попытку”)
     // можно стабильно: orderID + "-capture"
     const requestId = `cap-${orderID}`;
@@ -104,6 +131,15 @@ export async function onRequestPost(ctx) {
       );
     }
 
+    // ✅ Airtable order + stock (once per PayPal order)
+    // payment is captured — never fail the response because of Airtable; the error is returned for logs
+    let order = null;
+    try {
+      order = await recordPayPalOrder(env, { orderID, capData });
+    } catch (e) {
+      order = { upserted: false, error: String(e?.message || e) };
+    }
+
     return json(
       {
         ok: true,
@@ -111,6 +147,8 @@ export async function onRequestPost(ctx) {
         orderID,
         captureId,
         amount, // { value, currency_code }
+        orderCode: order?.orderCode || null,
+        order,
       },
       200,
       headers
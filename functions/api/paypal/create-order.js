@@ -3,9 +3,25 @@
 // body: {
 //   currency: "EUR"|"USD",
 //   shippingCountry: "US"|"CA"|"DE"|"FR"|... (ISO2),
-//   items: [{ pin:"G10N11gt", qty:2 }, ...]
+//   items: [{ pin:"G10N11gt", qty:2 }, ...],
+//   couponCode?: "SUMMER10",
+//   locale?: "en"|"de"
 // }
-// returns: { ok:true, id:"PAYPAL_ORDER_ID", total:"42.00", currency:"USD" }
+// returns: { ok:true, id:"PAYPAL_ORDER_ID", total:"42.00", currency:"USD", shippingZone:"USCA", shipping:{...} }
+// (order code: allocated on capture, _lib/paypal-orders.js)
+// Shipping zones/prices: Airtable "ShippingZones" via _lib/shipping.js (same as /api/checkout)
+// incl. free shipping threshold + quantity steps → breakdown.shipping
+// Quoted zone is stored with the cart; /api/paypal/capture rejects PayPal addresses outside of it
+// Coupon: Airtable "Coupons" → breakdown.discount
+// Cart (+coupon) stored in KV as cart:pp_<orderId> so capture can count the redemption
+// Stock hold pp_<orderId> for PAYPAL_HOLD_MINUTES (default 30), released on capture or by timeout
+// Locale (_lib/i18n.js): body.locale → shipping country; PayPal page language + cart.locale (emails)
+
+import { loadShippingConfig, detectZone, quoteShipping } from "../../_lib/shipping.js";
+import { findCoupon, evaluateCoupon, normalizeCouponCode } from "../../_lib/coupons.js";
+import { paypalCartId, saveCart } from "../../_lib/cart-store.js";
+import { reserveStock } from "../../_lib/inventory.js";
+import { pickLocale, providerLocale } from "../../_lib/i18n.js";
 
 export function onRequestOptions(ctx) {
   const { request } = ctx;
@@ -32,18 +48,33 @@ export async function onRequestPost(ctx) {
     const currency = normCurrency(body.currency);
     const shippingCountry = String(body.shippingCountry || "").toUpperCase().trim();
     const items = Array.isArray(body.items) ? body.items : [];
+    const couponCode = normalizeCouponCode(body.couponCode);
+    const locale = pickLocale({ requested: body.locale, country: shippingCountry });
 
     if (!items.length) {
       return json({ ok: false, error: "Cart is empty" }, 400, headers);
     }
 
+    if (!shippingCountry || shippingCountry.length !== 2) {
+      return json({ ok: false, error: "shippingCountry is required (ISO2, e.g. DE, US, CA)" }, 400, headers);
+    }
+
+    // ✅ same zones as Stripe checkout
+    const shippingConfig = await loadShippingConfig(env);
+    const zone = detectZone(shippingConfig, shippingCountry);
+    if (!zone) {
+      return json({ ok: false, error: `Shipping is not available to ${shippingCountry}.` }, 400, headers);
+    }
+
     // trusted products
     const products = await fetchProductsFromOrigin(request);
     const byPin = new Map(products.map(p => [String(p.pin ?? "").trim(), p]));
 
     // cents арифметика (чтобы PayPal breakdown совпадал идеально)
     let totalCents = 0;
+    let itemCount = 0;
     const ppItems = [];
+    const cartItems = [];
 
     for (const it of items) {
       const pin = String(it?.pin || "").trim();
@@ -75,6 +106,8 @@ export async function onRequestPost(ctx) {
 
       const unitCents = Math.round(unit * 100);
       totalCents += unitCents * qty;
+      itemCount += qty;
+      cartItems.push({ pin, qty, unitPrice: unitCents / 100, title: String(p.title || pin) });
 
       ppItems.push({
         name: String(p.title || pin).slice(0, 127),
@@ -89,7 +122,31 @@ export async function onRequestPost(ctx) {
       return json({ ok: false, error: "Total is invalid" }, 500, headers);
     }
 
-    const totalStr = (totalCents / 100).toFixed(2);
+    const itemTotalStr = (totalCents / 100).toFixed(2);
+
+    // ✅ coupon (same rules as Stripe checkout)
+    let discount = null;
+    if (couponCode) {
+      const coupon = await findCoupon(env, couponCode);
+      const result = evaluateCoupon(coupon, { currency, lines: cartItems });
+      if (!result.ok) return json({ ok: false, error: result.error }, 400, headers);
+      discount = result;
+    }
+    const discountCents = discount ? discount.discountCents : 0;
+
+    // ✅ shipping (same rules as Stripe checkout)
+    const quote = quoteShipping(shippingConfig, {
+      country: shippingCountry,
+      currency,
+      subtotal: (totalCents - discountCents) / 100,
+      itemCount,
+    });
+    if (!quote.ok) {
+      return json({ ok: false, error: quote.error }, quote.status, headers);
+    }
+
+    const shippingCents = Math.round(quote.amount * 100);
+    const totalStr = ((totalCents + shippingCents - discountCents) / 100).toFixed(2);
 
     const accessToken = await getPayPalAccessToken(apiBase, clientId, secret);
 
@@ -99,12 +156,16 @@ export async function onRequestPost(ctx) {
         {
           reference_id: "MOSAIC_PINS",
           description: "Mosaic Pins order",
-          custom_id: shippingCountry || "NA",
+          custom_id: shippingCountry,
           amount: {
             currency_code: currency,
             value: totalStr,
             breakdown: {
-              item_total: { currency_code: currency, value: totalStr },
+              item_total: { currency_code: currency, value: itemTotalStr },
+              shipping: { currency_code: currency, value: (shippingCents / 100).toFixed(2) },
+              ...(discountCents > 0
+                ? { discount: { currency_code: currency, value: (discountCents / 100).toFixed(2) } }
+                : {}),
             },
           },
           items: ppItems,
@@ -112,6 +173,7 @@ export async function onRequestPost(ctx) {
       ],
       application_context: {
         brand_name: "Mosaic Pins",
+        locale: providerLocale(locale),
         // ✅ лучше для физ. товаров: PayPal возьмёт адрес из аккаунта покупателя
         shipping_preference: "GET_FROM_FILE",
         user_action: "PAY_NOW",
@@ -133,7 +195,48 @@ export async function onRequestPost(ctx) {
       return json({ ok: false, error: "Create order failed", details: orderData }, 500, headers);
     }
 
-    return json({ ok: true, id: orderData.id, total: totalStr, currency }, 200, headers);
+    // cart for capture (coupon redemption etc.)
+    if (env.STRIPE_EVENTS_KV) {
+      await saveCart(env.STRIPE_EVENTS_KV, paypalCartId(orderData.id), {
+        provider: "paypal",
+        locale,
+        currency,
+        shippingCountry,
+        shippingZone: zone.zone,
+        shippingAmount: shippingCents / 100,
+        items: cartItems,
+        coupon: discount ? { code: discount.code, discount: discount.discount } : null,
+      });
+
+      // ✅ reserve stock until the buyer approves (/api/products stock is already net of other holds)
+      const holdMinutes = Math.min(180, Math.max(5, Number(env.PAYPAL_HOLD_MINUTES || 30) || 30));
+      const reserved = await reserveStock(env, paypalCartId(orderData.id), cartItems, Date.now() + holdMinutes * 60 * 1000);
+      if (!reserved.ok) {
+        // the PayPal order is never approved → it simply expires on PayPal's side
+        return json({ ok: false, error: reserved.error || "Not enough stock" }, 409, headers);
+      }
+    }
+
+    return json(
+      {
+        ok: true,
+        id: orderData.id,
+        total: totalStr,
+        currency,
+        shippingZone: zone.zone,
+        shipping: {
+          zone: quote.zone,
+          currency: quote.currency,
+          amount: quote.amount,
+          baseAmount: quote.baseAmount,
+          freeOver: quote.freeOver,
+          remainingForFree: quote.remainingForFree,
+        },
+        discount: discount ? { code: discount.code, amount: discount.discount, description: discount.description } : null,
+      },
+      200,
+      headers
+    );
   } catch (e) {
     return json({ ok: false, error: String(e?.message || e) }, 500, headers);
   }
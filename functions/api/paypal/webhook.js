@@ -0,0 +1,232 @@
+// functions/api/paypal/webhook.js
+// POST /api/paypal/webhook  (PayPal Developer → Webhooks, id in env.PAYPAL_WEBHOOK_ID)
+// Safety net for closed tabs: the browser normally calls /api/paypal/capture after approval
+// Signature: PAYPAL-TRANSMISSION-* headers verified via /v1/notifications/verify-webhook-signature
+// Idempotency: KV (STRIPE_EVENTS_KV) paypal_evt:<eventId> with "processing" and "done"
+//
+// CHECKOUT.ORDER.APPROVED    → destination check + capture server-side (same PayPal-Request-Id as /api/paypal/capture)
+// PAYMENT.CAPTURE.COMPLETED  → Airtable order + stock + confirmation email once (_lib/paypal-orders.js, shared with capture)
+// PAYMENT.CAPTURE.REFUNDED   → Refund Status / Refund Amount (+ restock on full refund, REFUND_RESTOCK=1)
+// PAYMENT.CAPTURE.DENIED     → order cancelled, stock hold released
+
+import {
+  recordPayPalOrder,
+  recordPayPalRefund,
+  markPayPalOrderDenied,
+  checkPayPalDestination,
+  paypalZoneMismatchMode,
+} from "../../_lib/paypal-orders.js";
+
+export async function onRequestPost(ctx) {
+  const { request, env } = ctx;
+
+  try {
+    const mode = normMode(env.PAYPAL_MODE);
+    const clientId = String(env.PAYPAL_CLIENT_ID || "").trim();
+    const secret = String(env.PAYPAL_CLIENT_SECRET || "").trim();
+    const webhookId = String(env.PAYPAL_WEBHOOK_ID || "").trim();
+
+    if (!clientId || !secret) return json({ error: "PayPal env variables are missing" }, 500);
+    if (!webhookId) return json({ error: "PAYPAL_WEBHOOK_ID is not set" }, 500);
+    if (!env.STRIPE_EVENTS_KV) return json({ error: "STRIPE_EVENTS_KV binding is not set" }, 500);
+
+    const apiBase =
+      mode === "live" ? "https://api-m.paypal.com" : "https://api-m.sandbox.paypal.com";
+
+    const rawBody = await request.text();
+    let event;
+    try {
+      event = JSON.parse(rawBody);
+    } catch {
+      return json({ error: "Invalid JSON" }, 400);
+    }
+
+    const accessToken = await getPayPalAccessToken(apiBase, clientId, secret);
+
+    // ---------- verify signature ----------
+    const ok = await verifyPayPalSignature({ apiBase, accessToken, webhookId, headers: request.headers, rawBody });
+    if (!ok) return json({ error: "Invalid signature" }, 400);
+
+    const eventId = String(event?.id || "").trim();
+    const eventType = String(event?.event_type || "").trim();
+    const resource = event?.resource || {};
+
+    if (!eventId) return json({ received: true, note: "Missing event.id" });
+
+    // ---------- idempotency ----------
+    const EVT_KEY = `paypal_evt:${eventId}`;
+    const prev = await env.STRIPE_EVENTS_KV.get(EVT_KEY); // null | processing | done
+    if (prev === "done") return json({ received: true, duplicate: true });
+    if (prev === "processing") return json({ received: true, processing: true }, 409);
+
+    await env.STRIPE_EVENTS_KV.put(EVT_KEY, "processing", { expirationTtl: 30 * 60 });
+
+    let result;
+    try {
+      if (eventType === "CHECKOUT.ORDER.APPROVED") {
+        result = await handleOrderApproved({ env, apiBase, accessToken, order: resource });
+      } else if (eventType === "PAYMENT.CAPTURE.COMPLETED") {
+        const orderID = relatedOrderId(resource);
+        if (!orderID) {
+          result = { ignored: true, reason: "no_related_order_id" };
+        } else {
+          const paypalOrder = await paypalGetOrder({ apiBase, accessToken, orderID });
+          result = await recordPayPalOrder(env, { orderID, capData: paypalOrder });
+        }
+      } else if (eventType === "PAYMENT.CAPTURE.REFUNDED") {
+        // resource = refund; the refunded capture is linked as rel "up"
+        const captureId = captureIdFromLinks(resource);
+        if (!captureId) {
+          result = { ignored: true, reason: "no_capture_link" };
+        } else {
+          const capture = await paypalGetCapture({ apiBase, accessToken, captureId }).catch(() => null);
+          result = await recordPayPalRefund(env, { captureId, refund: resource, captureStatus: capture?.status });
+        }
+      } else if (eventType === "PAYMENT.CAPTURE.DENIED") {
+        result = await markPayPalOrderDenied(env, { orderID: relatedOrderId(resource) });
+      } else {
+        result = { ignored: true };
+      }
+    } catch (e) {
+      // PayPal retries non-2xx deliveries
+      await env.STRIPE_EVENTS_KV.delete(EVT_KEY);
+      throw e;
+    }
+
+    await env.STRIPE_EVENTS_KV.put(EVT_KEY, "done", { expirationTtl: 30 * 24 * 60 * 60 });
+    return json({ received: true, type: eventType, result });
+  } catch (e) {
+    return json({ error: "Webhook error", details: String(e?.message || e) }, 500);
+  }
+}
+
+// ---------------- handlers ----------------
+
+async function handleOrderApproved({ env, apiBase, accessToken, order }) {
+  const orderID = String(order?.id || "").trim();
+  if (!orderID) return { ignored: true, reason: "no_order_id" };
+
+  // already captured by the browser → PAYMENT.CAPTURE.COMPLETED records it
+  if (String(order?.status || "").toUpperCase() === "COMPLETED") return { ignored: true, reason: "already_completed" };
+
+  if (paypalZoneMismatchMode(env) === "reject") {
+    const check = await checkPayPalDestination(env, { orderID, paypalOrder: order });
+    if (!check.ok) return { captured: false, reason: "shipping_zone_mismatch", shippingCheck: check };
+  }
+
+  // same idempotency key as /api/paypal/capture → never a second capture
+  const capRes = await fetch(`${apiBase}/v2/checkout/orders/${encodeURIComponent(orderID)}/capture`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      "Content-Type": "application/json",
+      "PayPal-Request-Id": `cap-${orderID}`,
+    },
+  });
+  const capData = await capRes.json().catch(() => ({}));
+
+  if (!capRes.ok) {
+    const issue = capData?.details?.[0]?.issue || "";
+    if (issue === "ORDER_ALREADY_CAPTURED") return { captured: false, reason: "already_captured" };
+    throw new Error(`PayPal capture failed: ${capRes.status} ${issue || capData?.message || ""}`);
+  }
+
+  const cap0 = capData?.purchase_units?.[0]?.payments?.captures?.[0];
+  const isCompleted =
+    String(capData?.status || "").toUpperCase() === "COMPLETED" ||
+    String(cap0?.status || "").toUpperCase() === "COMPLETED";
+  if (!isCompleted) return { captured: true, status: cap0?.status || capData?.status || null };
+
+  const recorded = await recordPayPalOrder(env, { orderID, capData });
+  return { captured: true, status: "COMPLETED", order: recorded };
+}
+
+function relatedOrderId(resource) {
+  return String(resource?.supplementary_data?.related_ids?.order_id || "").trim();
+}
+
+function captureIdFromLinks(resource) {
+  const up = (Array.isArray(resource?.links) ? resource.links : []).find((l) => l?.rel === "up");
+  const m = String(up?.href || "").match(/\/captures\/([^/?#]+)/);
+  return m ? decodeURIComponent(m[1]) : "";
+}
+
+// ---------------- PayPal API helpers ----------------
+
+// rawBody: the request body exactly as PayPal sent it (re-serializing the parsed event breaks the signature)
+async function verifyPayPalSignature({ apiBase, accessToken, webhookId, headers, rawBody }) {
+  const h = (name) => String(headers.get(name) || "").trim();
+
+  const payload = {
+    auth_algo: h("paypal-auth-algo"),
+    cert_url: h("paypal-cert-url"),
+    transmission_id: h("paypal-transmission-id"),
+    transmission_sig: h("paypal-transmission-sig"),
+    transmission_time: h("paypal-transmission-time"),
+    webhook_id: webhookId,
+  };
+  if (!payload.transmission_id || !payload.transmission_sig || !payload.cert_url) return false;
+
+  const r = await fetch(`${apiBase}/v1/notifications/verify-webhook-signature`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      "Content-Type": "application/json",
+    },
+    body: `${JSON.stringify(payload).slice(0, -1)},"webhook_event":${rawBody}}`,
+  });
+
+  const data = await r.json().catch(() => ({}));
+  return r.ok && String(data?.verification_status || "").toUpperCase() === "SUCCESS";
+}
+
+async function paypalGetOrder({ apiBase, accessToken, orderID }) {
+  const r = await fetch(`${apiBase}/v2/checkout/orders/${encodeURIComponent(orderID)}`, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(`PayPal get order failed: ${r.status} ${data?.message || ""}`);
+  return data;
+}
+
+async function paypalGetCapture({ apiBase, accessToken, captureId }) {
+  const r = await fetch(`${apiBase}/v2/payments/captures/${encodeURIComponent(captureId)}`, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(`PayPal get capture failed: ${r.status} ${data?.message || ""}`);
+  return data;
+}
+
+async function getPayPalAccessToken(apiBase, clientId, secret) {
+  const tokenRes = await fetch(`${apiBase}/v1/oauth2/token`, {
+    method: "POST",
+    headers: {
+      Authorization: `Basic ${btoa(`${clientId}:${secret}`)}`,
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+    body: "grant_type=client_credentials",
+  });
+
+  const tokenData = await tokenRes.json().catch(() => ({}));
+  if (!tokenRes.ok || !tokenData.access_token) {
+    throw new Error(tokenData?.error_description || "PayPal token error");
+  }
+  return tokenData.access_token;
+}
+
+// -------- helpers --------
+
+function normMode(v) {
+  const m = String(v || "sandbox").toLowerCase();
+  return m === "live" ? "live" : "sandbox";
+}
+
+function json(obj, status = 200) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json; charset=utf-8" },
+  });
+}
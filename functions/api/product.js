@@ -1,5 +1,10 @@
 // functions/api/product.js
 // GET /api/product?pin=XXXX
+// stock = inventory stock (Durable Object, or Airtable Stock) minus active checkout holds (reserved), see _lib/inventory.js
+// rating = Active reviews of this pin { average, count, distribution }, see _lib/review-ratings.js
+
+import { getStockState } from "../_lib/inventory.js";
+import { loadRatingSummaries, emptyRating, isValidPin } from "../_lib/review-ratings.js";
 
 export async function onRequestGet({ env, request }) {
   try {
@@ -10,6 +15,7 @@ export async function onRequestGet({ env, request }) {
     const url = new URL(request.url);
     const pin = (url.searchParams.get("pin") || "").trim();
     if (!pin) return json({ error: "Missing pin" }, 400);
+    if (!isValidPin(pin)) return json({ error: "Invalid pin" }, 400);
 
     const pinField = env.AIRTABLE_PIN_FIELD || "PIN Code";
     const formula = `{${pinField}}="${escapeForFormula(pin)}"`;
@@ -33,20 +39,27 @@ export async function onRequestGet({ env, request }) {
     const f = rec.fields || {};
     const images = Array.isArray(f["Images"]) ? f["Images"].map((x) => x?.url).filter(Boolean) : [];
 
+    const productPin = String(f["PIN Code"] || pin);
+    const st = (await getStockState(env, { pins: [productPin] }).catch(() => new Map())).get(productPin);
+    const reserved = st?.reserved || 0;
+    const rating = (await loadRatingSummaries(env, { pin: productPin }).catch(() => new Map())).get(productPin) || emptyRating();
+
     const product = {
-      pin: String(f["PIN Code"] || pin),
+      pin: productPin,
       title: String(f["Title"] || "Untitled"),
       description: String(f["Description"] || ""),
       type: f["Type"] ?? null,
       diameter: f["Diameter"] ?? null,
       color: f["Color"] ?? null,
       materials: Array.isArray(f["Materials"]) ? f["Materials"] : [],
-      stock: Number(f["Stock"] ?? 0),
+      stock: Math.max(0, Number(st?.stock ?? f["Stock"] ?? 0) - reserved),
+      reserved,
       price: {
         EUR: asNumberOrNull(f["Price_EUR"]),
         USD: asNumberOrNull(f["Price_USD"]),
       },
       images,
+      rating,
     };
 
     return json({ product }, 200, { "Cache-Control": "public, max-age=60" });
@@ -1,6 +1,11 @@
 // functions/api/products.js
 // GET /api/products
 // Returns: { products: [...] }
+// stock = inventory stock (Durable Object, or Airtable Stock) minus active checkout holds (reserved), see _lib/inventory.js
+// rating = Active reviews per pin { average, count, distribution }, see _lib/review-ratings.js
+
+import { getStockState } from "../_lib/inventory.js";
+import { loadRatingSummaries, emptyRating } from "../_lib/review-ratings.js";
 
 export async function onRequestGet({ env }) {
   try {
@@ -23,6 +28,12 @@ export async function onRequestGet({ env }) {
       maxPagesGuard: 60, // 60*100 = 6000 товаров (с запасом)
     });
 
+    // active holds of open Stripe/PayPal checkouts (one call for all pins)
+    const stockState = await getStockState(env).catch(() => new Map());
+
+    // review aggregates (one cached call for all pins)
+    const ratings = await loadRatingSummaries(env).catch(() => new Map());
+
     const products = records
       .map((rec) => {
         const f = rec.fields || {};
@@ -31,7 +42,9 @@ export async function onRequestGet({ env }) {
         if (!pin) return null;
 
         const title = String(f["Title"] || "Untitled");
-        const stock = toInt(f["Stock"], 0);
+        const st = stockState.get(pin);
+        const reserved = st?.reserved || 0;
+        const stock = Math.max(0, (st?.stock ?? toInt(f["Stock"], 0)) - reserved);
 
         const price = {
           EUR: asNumberOrNull(f["Price_EUR"]),
@@ -51,8 +64,10 @@ export async function onRequestGet({ env }) {
           materials: Array.isArray(f["Materials"]) ? f["Materials"] : [],
 
           stock,
+          reserved,
           price,
           images,
+          rating: ratings.get(pin) || emptyRating(),
         };
       })
       .filter(Boolean);
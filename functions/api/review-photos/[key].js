@@ -0,0 +1,26 @@
+// functions/api/review-photos/[key].js
+// GET /api/review-photos/<key>  -> customer photo of a review from R2 / KV (_lib/review-photos.js)
+// Only for Airtable: it copies the file once when the review is created. Random keys, served for
+// REVIEW_PHOTO_SERVE_SEC after the upload (404 after that, _lib/review-photos.js), never cached
+
+import { getReviewPhoto, isPhotoKey } from "../../_lib/review-photos.js";
+
+export async function onRequestGet({ env, params }) {
+  try {
+    const key = String(params?.key || "").trim();
+    if (!isPhotoKey(key)) return new Response("Not found", { status: 404 });
+
+    const photo = await getReviewPhoto(env, key);
+    if (!photo) return new Response("Not found", { status: 404 });
+
+    return new Response(photo.body, {
+      headers: {
+        "Content-Type": photo.contentType,
+        "Cache-Control": "no-store",
+        "X-Content-Type-Options": "nosniff",
+      },
+    });
+  } catch (e) {
+    return new Response("Server error", { status: 500 });
+  }
+}
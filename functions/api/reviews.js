@@ -1,6 +1,10 @@
 // functions/api/reviews.js
 // GET  /api/reviews?limit=30&offset=...  -> list active reviews
-// POST /api/reviews                     -> create review (Active=false)
+// GET  /api/reviews?pin=MP-014           -> only reviews of that pin + rating { average, count, distribution }
+// GET  /api/reviews?token=...            -> review invitation (email link, _lib/review-invites.js) -> name, country, pins
+// POST /api/reviews                     -> create review (Active=false); { pins } links it to products
+//                                          with { token } -> "Verified Buyer" + order link (pins limited to the order)
+//                                          JSON, or multipart/form-data with the same fields + files "photos"
 // Airtable table fields (YOUR):
 // Name (text)
 // Active (checkbox)  <-- moderation
@@ -9,7 +13,17 @@
 // Country (text) optional
 // Text (long text)
 // Avatar (attachment) optional (we won't upload from site now)
-// Photos (attachment) optional (we won't upload from site now)
+// Photos (attachment) optional  uploaded from the site (R2 / KV for Airtable to copy, _lib/review-photos.js)
+// Verified Buyer (checkbox)  set from a review invitation token
+// Order ID (text)            Stripe Session ID / PayPal Order ID of that order
+// Pins (text)                "MP-014, MP-101" reviewed pins (_lib/review-ratings.js)
+// Products (link → Products) optional, same pins as records
+
+import { verifyReviewToken, loadInviteOrder, claimReviewToken, releaseReviewToken } from "../_lib/review-invites.js";
+import { parsePins, isValidPin, pinFilterFormula, loadRatingSummaries, emptyRating } from "../_lib/review-ratings.js";
+import { readPhotoFiles, storeReviewPhotos, deleteReviewPhotos, photoBodyLimit } from "../_lib/review-photos.js";
+
+const MAX_PINS = 10;
 
 export async function onRequestGet({ env, request }) {
   try {
@@ -22,14 +36,23 @@ export async function onRequestGet({ env, request }) {
     const table = String(env.AIRTABLE_REVIEWS_TABLE || "Reviews").trim();
 
     const url = new URL(request.url);
+
+    const invite = String(url.searchParams.get("token") || "").trim();
+    if (invite) {
+      if (!env.STRIPE_EVENTS_KV) return json({ error: "STRIPE_EVENTS_KV binding is not set" }, 500);
+      return inviteInfo(env, invite);
+    }
+
     const limit = clampInt(url.searchParams.get("limit"), 1, 100, 30);
     const offset = String(url.searchParams.get("offset") || "").trim();
+    const pin = String(url.searchParams.get("pin") || "").trim();
+    if (pin && !isValidPin(pin)) return json({ error: "Invalid pin" }, 400);
 
     const apiUrl = new URL(`https://api.airtable.com/v0/${baseId}/${encodeURIComponent(table)}`);
     apiUrl.searchParams.set("pageSize", String(limit));
 
-    // ✅ only Active=TRUE
-    apiUrl.searchParams.set("filterByFormula", "Active=TRUE()");
+    // ✅ only Active=TRUE (+ only this pin)
+    apiUrl.searchParams.set("filterByFormula", pin ? `AND(Active=TRUE(), ${pinFilterFormula(pin)})` : "Active=TRUE()");
 
     // ✅ latest first
     apiUrl.searchParams.set("sort[0][field]", "Date");
@@ -75,13 +98,22 @@ export async function onRequestGet({ env, request }) {
         date: String(f["Date"] || ""),
         avatar: avatarUrl,
         photos: photosUrls,
+        verified: Boolean(f["Verified Buyer"]),
+        pins: parsePins(f["Pins"]),
       };
     });
 
+    // ✅ aggregate over all pages (first page only, offset = "load more")
+    let rating;
+    if (pin && !offset) {
+      rating = (await loadRatingSummaries(env, { pin }).catch(() => new Map())).get(pin) || emptyRating();
+    }
+
     return json(
       {
         ok: true,
         reviews,
+        rating,
         offset: data?.offset || null,
       },
       200,
@@ -93,6 +125,7 @@ export async function onRequestGet({ env, request }) {
 }
 
 export async function onRequestPost({ env, request }) {
+  let claimed = null; // Orders record id of the invitation this request claimed
   try {
     const token = (env.AIRTABLE_TOKEN_REVIEWS || env.AIRTABLE_TOKEN || "").trim();
     if (!token) return json({ error: "AIRTABLE_TOKEN_REVIEWS (or AIRTABLE_TOKEN) is not set" }, 500);
@@ -102,14 +135,30 @@ export async function onRequestPost({ env, request }) {
 
     const table = String(env.AIRTABLE_REVIEWS_TABLE || "Reviews").trim();
 
-    const body = await request.json().catch(() => ({}));
+    // ✅ oversized uploads rejected before the body is read
+    const length = Number(request.headers.get("content-length") || 0);
+    if (length > photoBodyLimit(env)) return json({ error: "Request is too large" }, 413);
+
+    const { body, files } = await readReviewBody(request);
 
     // ✅ honeypot anti-spam (if you add hidden input "website")
     if (String(body?.website || "").trim()) {
       return json({ ok: true }, 200);
     }
 
-    const name = String(body?.name || "").trim();
+    // ✅ review invitation: verified purchase
+    let order = null;
+    const inviteToken = String(body?.token || "").trim();
+    if (inviteToken) {
+      // single use needs KV
+      if (!env.STRIPE_EVENTS_KV) return json({ error: "STRIPE_EVENTS_KV binding is not set" }, 500);
+
+      const v = await verifyReviewToken(env, inviteToken);
+      if (!v.ok) return json({ error: inviteError(v.reason), reason: v.reason }, v.reason === "used" ? 409 : 400);
+      order = await loadInviteOrder(env, v.orderRecordId);
+    }
+
+    const name = String(body?.name || order?.name || "").trim();
     const text = String(body?.text || "").trim();
     const ratingRaw = body?.rating;
     const country = String(body?.country || "").trim().slice(0, 40);
@@ -124,6 +173,27 @@ export async function onRequestPost({ env, request }) {
     const rating = clampNumber(ratingRaw, 1, 5);
     if (!Number.isFinite(rating)) return json({ error: "Rating must be 1..5" }, 400);
 
+    let pins = parsePins(body?.pins);
+    if (pins.length > MAX_PINS) return json({ error: `Too many pins (max ${MAX_PINS})` }, 400);
+    if (pins.some((p) => !isValidPin(p))) return json({ error: "Invalid pin" }, 400);
+
+    // verified review: only pins of that order (none given / none match → the whole order)
+    if (order) {
+      const bought = parsePins(order.items.map((it) => it.pin));
+      const picked = pins.filter((p) => bought.includes(p));
+      pins = picked.length ? picked : bought;
+    }
+
+    // ✅ photos: count / size / image type checked before anything is stored
+    const photoCheck = await readPhotoFiles(env, files);
+    if (!photoCheck.ok) return json({ error: photoCheck.error }, photoCheck.status);
+
+    // ✅ one verified review per invitation: claimed before the create, released when it fails
+    if (order) {
+      if (!(await claimReviewToken(env, order.recordId))) return json({ error: inviteError("used"), reason: "used" }, 409);
+      claimed = order.recordId;
+    }
+
     const now = new Date().toISOString();
 
     const fields = {
@@ -141,6 +211,22 @@ export async function onRequestPost({ env, request }) {
     // optional
     if (country) fields["Country"] = country;
 
+    if (pins.length) fields["Pins"] = pins.join(", ");
+
+    // Airtable copies the files from these URLs
+    const photos = await storeReviewPhotos(env, photoCheck.photos, { origin: new URL(request.url).origin });
+    if (photos.length) fields["Photos"] = photos.map((p) => ({ url: p.url, filename: p.filename }));
+
+    if (order) {
+      const products = [
+        ...new Set(order.items.filter((it) => pins.includes(it.pin)).map((it) => it.productRecordId).filter(Boolean)),
+      ];
+
+      fields["Verified Buyer"] = true;
+      if (order.orderId) fields["Order ID"] = order.orderId;
+      if (products.length) fields["Products"] = products;
+    }
+
     const payload = {
       records: [{ fields }],
     };
@@ -159,6 +245,8 @@ export async function onRequestPost({ env, request }) {
     const data = await r.json().catch(() => ({}));
 
     if (!r.ok) {
+      await deleteReviewPhotos(env, photos.map((p) => p.key));
+      if (claimed) await releaseReviewToken(env, claimed);
       return json(
         {
           error: "Airtable create failed",
@@ -173,13 +261,61 @@ export async function onRequestPost({ env, request }) {
       );
     }
 
-    return json({ ok: true, status: "queued_for_moderation" }, 200, { "Cache-Control": "no-store" });
+    return json({ ok: true, status: "queued_for_moderation", verified: Boolean(order) }, 200, { "Cache-Control": "no-store" });
   } catch (e) {
+    if (claimed) await releaseReviewToken(env, claimed);
     return json({ error: "Server error", details: String(e?.message || e) }, 500);
   }
 }
 
 /* helpers */
+// JSON body, or multipart form (pins: repeated or comma-separated, photos: files)
+async function readReviewBody(request) {
+  const type = String(request.headers.get("content-type") || "").toLowerCase();
+  if (!type.startsWith("multipart/form-data")) {
+    return { body: await request.json().catch(() => ({})), files: [] };
+  }
+
+  const form = await request.formData().catch(() => null);
+  if (!form) return { body: {}, files: [] };
+
+  const body = {};
+  for (const key of ["name", "text", "rating", "country", "website", "token", "source"]) {
+    const v = form.get(key);
+    if (typeof v === "string") body[key] = v;
+  }
+  body.pins = form.getAll("pins").filter((v) => typeof v === "string").flatMap((v) => parsePins(v));
+
+  return { body, files: form.getAll("photos").filter((v) => typeof v !== "string") };
+}
+
+async function inviteInfo(env, invite) {
+  const v = await verifyReviewToken(env, invite);
+  if (!v.ok) {
+    return json({ error: inviteError(v.reason), reason: v.reason }, v.reason === "used" ? 409 : 400, { "Cache-Control": "no-store" });
+  }
+
+  const order = await loadInviteOrder(env, v.orderRecordId);
+  return json(
+    {
+      ok: true,
+      verified: true,
+      name: order.name,
+      country: order.country,
+      orderNumber: order.orderNumber,
+      items: order.items.map((it) => ({ pin: it.pin, title: it.title })),
+    },
+    200,
+    { "Cache-Control": "no-store" }
+  );
+}
+
+function inviteError(reason) {
+  if (reason === "used") return "This review link was already used";
+  if (reason === "expired") return "This review link has expired";
+  return "Invalid review link";
+}
+
 function clampInt(v, min, max, def) {
   const n = parseInt(String(v || ""), 10);
   if (!Number.isFinite(n)) return def;
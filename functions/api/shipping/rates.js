@@ -0,0 +1,108 @@
+// functions/api/shipping/rates.js
+// GET /api/shipping/rates?country=DE[&currency=EUR[&subtotal=42.5&qty=3]]
+// returns: { ok:true, country:"DE", zone:"DE", displayName:"...", rates:{ EUR:6, USD:8 },
+//            currency?, amount?, baseAmount?, freeOver?, remainingForFree? }
+// (amount = with free-shipping threshold and quantity steps applied for subtotal/qty)
+// GET /api/shipping/rates  (no country)
+// returns: { ok:true, zones:[{ zone, displayName, countries:[...], rates:{...} }] }
+// Source: Airtable "ShippingZones" via _lib/shipping.js (cached)
+
+import { loadShippingConfig, detectZone, quoteShipping } from "../../_lib/shipping.js";
+
+export function onRequestOptions(ctx) {
+  const { request } = ctx;
+  return new Response(null, { status: 204, headers: corsHeaders(request) });
+}
+
+export async function onRequestGet(ctx) {
+  const { request, env } = ctx;
+  const headers = { ...corsHeaders(request), "Cache-Control": "public, max-age=60" };
+
+  try {
+    const url = new URL(request.url);
+    const country = String(url.searchParams.get("country") || "").trim().toUpperCase();
+    const currency = String(url.searchParams.get("currency") || "").trim().toUpperCase();
+
+    const config = await loadShippingConfig(env);
+
+    if (!country) {
+      const zones = config.zones.map((z) => ({
+        zone: z.zone,
+        displayName: z.displayName,
+        countries: z.countries,
+        rates: z.prices,
+        rules: z.rules || {},
+      }));
+      return json({ ok: true, zones }, 200, headers);
+    }
+
+    if (country.length !== 2) {
+      return json({ ok: false, error: "country must be ISO2 (e.g. DE, US, CA)" }, 400, headers);
+    }
+
+    const z = detectZone(config, country);
+    if (!z) {
+      return json({ ok: false, country, error: `Shipping is not available to ${country}.` }, 404, headers);
+    }
+
+    const out = {
+      ok: true,
+      country,
+      zone: z.zone,
+      displayName: z.displayName,
+      rates: z.prices,
+    };
+
+    if (currency) {
+      const subtotal = url.searchParams.get("subtotal");
+      const qty = url.searchParams.get("qty");
+
+      const quote = quoteShipping(config, {
+        country,
+        currency,
+        subtotal: subtotal == null ? undefined : Number(subtotal),
+        itemCount: qty == null ? undefined : Number(qty),
+      });
+      if (!quote.ok) {
+        return json({ ok: false, error: quote.error }, 404, headers);
+      }
+
+      out.displayName = quote.displayName;
+      out.currency = quote.currency;
+      out.amount = quote.amount;
+      out.baseAmount = quote.baseAmount;
+      out.freeOver = quote.freeOver;
+      out.remainingForFree = quote.remainingForFree;
+    }
+
+    return json(out, 200, headers);
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e) }, 500, headers);
+  }
+}
+
+// -------- helpers --------
+
+function corsHeaders(request) {
+  const origin = request.headers.get("Origin");
+  if (!origin) {
+    return {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type",
+    };
+  }
+  return {
+    "Access-Control-Allow-Origin": origin,
+    "Access-Control-Allow-Methods": "GET, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+    Vary: "Origin",
+  };
+}
+
+function json(obj, status = 200, headers = {}) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json; charset=utf-8", ...headers },
+  });
+}
@@ -1,10 +1,22 @@
 // functions/api/stripe-email-webhook.js
 // POST /api/stripe-email-webhook
-// слушаем checkout.session.completed
-// ✅ НЕ трогаем Airtable вообще (ни create, ни update)
+// слушаем checkout.session.completed (paid) + checkout.session.async_payment_succeeded
+// (SEPA / bank transfer: completed приходит с payment_status=unpaid → письмо только после оплаты)
+// ✅ НЕ пишем в Airtable (ни create, ни update) — только читаем "Order Items" для списка товаров
 // ✅ отправляем письмо клиенту от MAIL_FROM (например support@mosaicpins.space)
 // ✅ Reply-To на Gmail (MAIL_REPLY_TO)
 // идемпотентность: KV (STRIPE_EVENTS_KV) по eventId + по sessionId
+// товары: Airtable "Order Items" (по Order ID = sessionId), если stripe-webhook ещё не успел —
+//         KV cart по metadata.cartId (legacy: metadata.items)
+// номер заказа (MP-2026-00421): тот же, что stripe-webhook выдаёт сессии (_lib/order-codes.js, ref stripe:<session id>)
+// язык письма: metadata.locale (из /api/checkout), иначе по стране доставки (_lib/i18n.js)
+
+import { resolveSessionItems } from "../_lib/cart-store.js";
+import { loadOrderItems } from "../_lib/order-items.js";
+import { allocateOrderCode, pickOrderCode } from "../_lib/order-codes.js";
+import { buildOrderEmail, normalizeItemsForEmail, enrichItemsForEmail } from "../_lib/order-email.js";
+import { pickLocale, t } from "../_lib/i18n.js";
+import { sendEmail } from "../_lib/mail.js";
 
 export async function onRequestPost(ctx) {
   const { env, request } = ctx;
@@ -57,8 +69,8 @@ export async function onRequestPost(ctx) {
     if (prev === "processing") return json({ received: true, processing: true }, 409);
     await env.STRIPE_EVENTS_KV.put(EVT_KEY, "processing", { expirationTtl: 30 * 60 });
 
-    // only checkout.session.completed
-    if (eventType !== "checkout.session.completed") {
+    // only checkout.session.completed / async_payment_succeeded
+    if (eventType !== "checkout.session.completed" && eventType !== "checkout.session.async_payment_succeeded") {
       await env.STRIPE_EVENTS_KV.put(EVT_KEY, "done", { expirationTtl: 30 * 24 * 60 * 60 });
       return json({ received: true, ignored: true });
     }
@@ -117,22 +129,30 @@ export async function onRequestPost(ctx) {
     const line2 = addr?.line2 ? String(addr.line2).trim() : "";
     const shippingAddressLong = [line1, line2].filter(Boolean).join("\n");
 
-    // --- cart info from metadata.items (если есть) ---
-    const meta = session?.metadata || {};
-    const itemsJson = String(meta.items || "").trim();
-    let items = [];
-    if (itemsJson) {
+    // --- lines: Order Items → KV cart (metadata.cartId) → legacy metadata.items ---
+    let items = await loadOrderItems(env, sessionId).catch(() => []);
+    if (!items.length) {
       try {
-        const parsed = JSON.parse(itemsJson);
-        if (Array.isArray(parsed)) items = parsed;
+        ({ items } = await resolveSessionItems(env.STRIPE_EVENTS_KV, session));
       } catch (_) {}
     }
-    const normalizedItems = normalizeItemsForEmail(items);
-
     const currency = String(session?.currency || "").toUpperCase() || "EUR";
     const amountTotalCents = Number(session?.amount_total ?? 0);
     const amountTotal = Number.isFinite(amountTotalCents) ? amountTotalCents / 100 : 0;
 
+    // thumbnails / titles / prices from Products, every line links to /p/<PIN>
+    const normalizedItems = await enrichItemsForEmail(env, normalizeItemsForEmail(items), { currency });
+
+    // shipping + discount as charged by Stripe
+    const shippingCents = Number(session?.shipping_cost?.amount_total ?? session?.total_details?.amount_shipping);
+    const discountCents = Number(session?.total_details?.amount_discount ?? 0);
+
+    // order code (MP-2026-00421): older sessions carry one from /api/checkout, counter down → session id
+    const orderCode =
+      pickOrderCode(session?.metadata?.orderCode, session?.client_reference_id) ||
+      (sessionId ? await allocateOrderCode(env, { ref: `stripe:${sessionId}` }).catch(() => null) : null);
+    const locale = pickLocale({ requested: session?.metadata?.locale, country: shipCountry });
+
     // --- session idempotency (чтобы resend не спамил) ---
     const EMAIL_KEY = `email_sent:${sessionId || eventId}`;
     const already = await env.STRIPE_EVENTS_KV.get(EMAIL_KEY);
@@ -142,16 +162,21 @@ export async function onRequestPost(ctx) {
     }
 
     // --- build & send email ---
-    const subject = `${STORE_NAME}: Order confirmed`;
+    const subject = t(locale, "order.subject", { store: STORE_NAME });
 
     const { html, text } = buildOrderEmail({
       storeName: STORE_NAME,
       storeUrl: STORE_URL,
-      sessionId,
-      paymentIntentId,
+      orderId: sessionId,
+      orderCode,
+      locale,
+      paymentRef: paymentIntentId,
       customerName,
       currency,
       amountTotal,
+      shippingAmount: Number.isFinite(shippingCents) ? shippingCents / 100 : null,
+      discountAmount: Number.isFinite(discountCents) ? discountCents / 100 : null,
+      couponCode: String(session?.metadata?.couponCode || "").trim(),
       items: normalizedItems,
       shippingAddressLong,
       shipCity,
@@ -160,7 +185,8 @@ export async function onRequestPost(ctx) {
       shipState,
     });
 
-    await sendEmailMailchannels({
+    await sendEmail({
+      env,
       from: MAIL_FROM,
       to: customerEmail,
       replyTo: MAIL_REPLY_TO || undefined,
@@ -168,6 +194,7 @@ export async function onRequestPost(ctx) {
       subject,
       html,
       text,
+      log: { order: orderCode || sessionId, template: "order_confirmation" },
     });
 
     // mark done
@@ -180,150 +207,6 @@ export async function onRequestPost(ctx) {
   }
 }
 
-// ---------------- Email via MailChannels ----------------
-async function sendEmailMailchannels({ from, to, subject, html, text, replyTo, bcc }) {
-  const payload = {
-    personalizations: [
-      {
-        to: [{ email: to }],
-        ...(bcc ? { bcc: [{ email: bcc }] } : {}),
-      },
-    ],
-    from: { email: from },
-    subject,
-    content: [
-      { type: "text/plain", value: text || "" },
-      { type: "text/html", value: html || "" },
-    ],
-    ...(replyTo ? { reply_to: { email: replyTo } } : {}),
-  };
-
-  const r = await fetch("https://api.mailchannels.net/tx/v1/send", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(payload),
-  });
-
-  const data = await r.text().catch(() => "");
-  if (!r.ok) throw new Error(`Mail send failed: ${r.status} ${data}`);
-}
-
-// ---------------- Email content ----------------
-function buildOrderEmail({
-  storeName,
-  storeUrl,
-  sessionId,
-  paymentIntentId,
-  customerName,
-  currency,
-  amountTotal,
-  items,
-  shippingAddressLong,
-  shipCity,
-  shipPostal,
-  shipCountry,
-  shipState,
-}) {
-  const itemsLines = (items || []).length
-    ? items.map((it) => `• ${it.title} × ${it.qty}`).join("\n")
-    : "-";
-
-  const shippingOneLine = [
-    shippingAddressLong?.replace(/\n/g, ", "),
-    shipPostal,
-    shipCity,
-    shipState,
-    shipCountry,
-  ]
-    .filter(Boolean)
-    .join(", ");
-
-  const text =
-`Hello${customerName ? " " + customerName : ""}!
-
-Your order is confirmed ✅
-
-Order ID: ${sessionId || "-"}
-Payment Intent: ${paymentIntentId || "-"}
-
-Items:
-${itemsLines}
-
-Total: ${Number(amountTotal).toFixed(2)} ${currency}
-
-Shipping address:
-${shippingOneLine || "-"}
-
-If you have any questions, just reply to this email.
-
-${storeUrl || storeName}
-`;
-
-  const htmlItems = (items || []).length
-    ? items.map((it) => `<li><b>${escapeHtml(it.title)}</b> × ${it.qty}</li>`).join("")
-    : "<li>-</li>";
-
-  const html =
-`<div style="font-family:Arial,sans-serif;line-height:1.45">
-  <h2 style="margin:0 0 12px">${escapeHtml(storeName)} — Order confirmed ✅</h2>
-  <p>Hello${customerName ? " " + escapeHtml(customerName) : ""}!</p>
-
-  <p>Your order is confirmed.</p>
-
-  <p style="margin:12px 0">
-    <b>Order ID:</b> ${escapeHtml(sessionId || "-")}<br/>
-    <b>Payment Intent:</b> ${escapeHtml(paymentIntentId || "-")}
-  </p>
-
-  <p style="margin:12px 0"><b>Items:</b></p>
-  <ul style="margin:6px 0 12px 18px">${htmlItems}</ul>
-
-  <p style="margin:12px 0">
-    <b>Total:</b> ${Number(amountTotal).toFixed(2)} ${escapeHtml(currency)}
-  </p>
-
-  <p style="margin:12px 0"><b>Shipping address:</b><br/>
-    ${escapeHtml(shippingAddressLong || "").replace(/\n/g, "<br/>")}
-    ${shippingAddressLong ? "<br/>" : ""}
-    ${escapeHtml([shipPostal, shipCity, shipState, shipCountry].filter(Boolean).join(" "))}
-  </p>
-
-  <p>If you have any questions, just reply to this email.</p>
-
-  ${storeUrl ? `<p><a href="${escapeHtml(storeUrl)}">${escapeHtml(storeUrl)}</a></p>` : ""}
-</div>`;
-
-  return { html, text };
-}
-
-function normalizeItemsForEmail(items) {
-  // ожидаем [{pin,qty}] или [{recordId,pin,qty}]
-  const map = new Map(); // key->qty
-  for (const it of Array.isArray(items) ? items : []) {
-    const pin = String(it?.pin || "").trim();
-    const recordId = String(it?.recordId || "").trim();
-    const qty = Math.floor(Number(it?.qty || 0));
-    if (!Number.isFinite(qty) || qty <= 0) continue;
-
-    const key = pin || recordId;
-    if (!key) continue;
-    map.set(key, (map.get(key) || 0) + qty);
-  }
-
-  return [...map.entries()].map(([key, qty]) => ({
-    title: key, // можно заменить на красивое название (если захотите fetch из Airtable, но сейчас НЕ трогаем Airtable)
-    qty,
-  }));
-}
-
-function escapeHtml(s) {
-  return String(s || "")
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#039;");
-}
 
 // ---------------- Stripe API helper (optional fallback) ----------------
 async function stripeRetrievePaymentIntent({ secretKey, paymentIntentId }) {
@@ -4,6 +4,37 @@
 // 1) UPSERT order in Airtable Orders (create or update by "Stripe Session ID")
 // 2) Decrement stock in Airtable Products (only once per Stripe event id)
 // Idempotency: KV (STRIPE_EVENTS_KV) with "processing" and "stock_done"
+// Cart items: KV cart by metadata.cartId (legacy: metadata.items JSON) → Airtable "Order Items" (one row per line)
+// Stock (_lib/inventory.js: inventory Durable Object, fallback KV holds + KV lock):
+//   hold id = metadata.cartId, committed on payment, released on checkout.session.expired
+// Coupon: metadata.couponCode → "Times Used" +1 in Airtable Coupons (same once-only step as stock)
+// Delayed payment methods (SEPA Direct Debit, bank transfer, ...):
+//   completed + payment_status=unpaid → order "pending_payment", stock hold extended (ASYNC_HOLD_DAYS, default 14)
+//     (late after async_payment_succeeded → no downgrade, no new hold; hold fails → 500, Stripe retries)
+//   checkout.session.async_payment_succeeded → "paid" + stock decrement (same path as a paid completion)
+//   checkout.session.async_payment_failed → "cancelled" + hold released
+// Refunds: charge.refunded + refund.updated (status=succeeded) → order by "Payment Intent ID":
+//   "Refund Status" refunded | partially_refunded, "Refund Amount", refund email to the customer,
+//   full refund + REFUND_RESTOCK=1 → cart quantities go back to Products Stock (once per payment)
+// Journal: every verified event (payload + outcome) in KV webhook_log:stripe:<eventId> (_lib/webhook-journal.js),
+//   re-run with POST /api/admin/replay-event?id=<eventId>
+// Order code: allocated here for the paid session (ref stripe:<session id>, _lib/order-codes.js) → Orders "Order Number"
+//   + PaymentIntent description / metadata.orderCode (client_reference_id is set before the code exists)
+//   (older sessions: metadata.orderCode / client_reference_id), shown in the refund + shipped emails
+// Locale: metadata.locale (checkout) → shipping country, stored in Orders "Locale"; refund + shipped emails use it
+// Shipped email: carrier + tracking link from Orders "Carrier" → tracking-number format / shipping zone (_lib/carriers.js)
+
+import { resolveSessionItems } from "../_lib/cart-store.js";
+import { redeemCoupon } from "../_lib/coupons.js";
+import { reserveStock, releaseStock, commitStock, restockItems } from "../_lib/inventory.js";
+import { writeOrderItems, loadOrderItems } from "../_lib/order-items.js";
+import { logWebhookReceived, logWebhookOutcome } from "../_lib/webhook-journal.js";
+import { allocateOrderCode, pickOrderCode, orderNumberField } from "../_lib/order-codes.js";
+import { pickLocale, localeField, t } from "../_lib/i18n.js";
+import { sendEmail } from "../_lib/mail.js";
+import { acquireLock, releaseLock } from "../_lib/stock.js";
+import { resolveCarrier, carrierField } from "../_lib/carriers.js";
+import { loadShipments } from "../_lib/shipments.js";
 
 export async function onRequestPost(ctx) {
   const { env, request } = ctx;
@@ -17,11 +48,6 @@ export async function onRequestPost(ctx) {
     if (!env.AIRTABLE_BASE_ID) return json({ error: "AIRTABLE_BASE_ID is not set" }, 500);
     if (!env.AIRTABLE_TABLE_NAME) return json({ error: "AIRTABLE_TABLE_NAME (Products) is not set" }, 500);
 
-    const ORDERS_TABLE =
-      env.AIRTABLE_ORDERS_TABLE_NAME ||
-      env.AIRTABLE_ORDERS_TABLE ||
-      "Orders";
-
     if (!env.STRIPE_EVENTS_KV) return json({ error: "STRIPE_EVENTS_KV binding is not set" }, 500);
 
     const sig = request.headers.get("stripe-signature");
@@ -41,13 +67,46 @@ export async function onRequestPost(ctx) {
 
     const event = JSON.parse(rawBody);
     const eventId = String(event?.id || "").trim();
-    const eventType = String(event?.type || "").trim();
 
     if (!eventId) return json({ received: true, note: "Missing event.id" });
 
+    // ---------- journal (replay: POST /api/admin/replay-event?id=<eventId>) ----------
+    await logWebhookReceived(env, { provider: "stripe", event, rawBody });
+
+    let res;
+    try {
+      res = await handleStripeEvent(env, event);
+    } catch (e) {
+      await logWebhookOutcome(env, { provider: "stripe", eventId, status: 500, error: String(e?.message || e) });
+      throw e;
+    }
+
+    await logWebhookOutcome(env, { provider: "stripe", eventId, status: res.status });
+    return res;
+  } catch (e) {
+    return json({ error: "Webhook error", details: String(e?.message || e) }, 500);
+  }
+}
+
+// Event handling after the signature check (also run by /api/admin/replay-event with the journaled payload)
+// Idempotency: KV stripe_evt:<eventId> null | processing | stock_done
+// a thrown error restores the previous state → a retry/replay never decrements stock twice
+export async function handleStripeEvent(env, event) {
+  const eventId = String(event?.id || "").trim();
+  const EVT_KEY = `stripe_evt:${eventId}`;
+  let prev = null;
+  let claimed = false;
+
+  try {
+    const ORDERS_TABLE =
+      env.AIRTABLE_ORDERS_TABLE_NAME ||
+      env.AIRTABLE_ORDERS_TABLE ||
+      "Orders";
+
+    const eventType = String(event?.type || "").trim();
+
     // ---------- idempotency ----------
-    const EVT_KEY = `stripe_evt:${eventId}`;
-    const prev = await env.STRIPE_EVENTS_KV.get(EVT_KEY); // null | processing | stock_done
+    prev = await env.STRIPE_EVENTS_KV.get(EVT_KEY); // null | processing | stock_done
 
     if (prev === "processing") {
       // Stripe should retry
@@ -56,9 +115,62 @@ export async function onRequestPost(ctx) {
 
     // mark processing (TTL 30 min)
     await env.STRIPE_EVENTS_KV.put(EVT_KEY, "processing", { expirationTtl: 30 * 60 });
+    claimed = true;
+
+    // ---------- checkout.session.expired → release stock holds ----------
+    if (eventType === "checkout.session.expired") {
+      const cartId = String(event?.data?.object?.metadata?.cartId || "").trim();
+      const released = await releaseStock(env, cartId);
+      await env.STRIPE_EVENTS_KV.put(EVT_KEY, "stock_done", { expirationTtl: 30 * 24 * 60 * 60 });
+      return json({ received: true, holds_released: released });
+    }
+
+    // ---------- refunds ----------
+    if (eventType === "charge.refunded" || eventType === "refund.updated") {
+      // charge.refunded + refund.updated of one refund arrive together → one at a time per charge (restock / email once)
+      const refundObj = event?.data?.object || {};
+      const chargeId = String((eventType === "charge.refunded" ? refundObj?.id : refundObj?.charge) || "").trim();
+      const lockKey = `lock:refund:${chargeId}`;
+      const lockToken = chargeId
+        ? await acquireLock({ kv: env.STRIPE_EVENTS_KV, key: lockKey, ttlSec: 120, retries: 20, waitMs: 250 })
+        : null;
+      if (chargeId && !lockToken) throw new Error("Refund is being processed by another delivery");
+
+      let result;
+      try {
+        result = await handleRefundEvent({ env, event, ORDERS_TABLE });
+      } finally {
+        await releaseLock({ kv: env.STRIPE_EVENTS_KV, key: lockKey, token: lockToken });
+      }
+      await env.STRIPE_EVENTS_KV.put(EVT_KEY, "stock_done", { expirationTtl: 30 * 24 * 60 * 60 });
+      return json({ received: true, refund: result });
+    }
+
+    // ---------- async payment failed → cancel order, release hold ----------
+    if (eventType === "checkout.session.async_payment_failed") {
+      const failedSession = event?.data?.object || {};
+      const existingOrder = await airtableFindOrderByStripeSessionId({
+        token: env.AIRTABLE_TOKEN,
+        baseId: env.AIRTABLE_BASE_ID,
+        table: ORDERS_TABLE,
+        stripeSessionId: String(failedSession?.id || "").trim(),
+      });
+      if (existingOrder?.id) {
+        await airtableUpdateRecord({
+          token: env.AIRTABLE_TOKEN,
+          baseId: env.AIRTABLE_BASE_ID,
+          table: ORDERS_TABLE,
+          recordId: existingOrder.id,
+          fields: { "Order Status": "cancelled" },
+        });
+      }
+      const released = await releaseStock(env, String(failedSession?.metadata?.cartId || "").trim());
+      await env.STRIPE_EVENTS_KV.put(EVT_KEY, "stock_done", { expirationTtl: 30 * 24 * 60 * 60 });
+      return json({ received: true, cancelled: Boolean(existingOrder?.id), holds_released: released });
+    }
 
-    // ---------- only handle checkout.session.completed ----------
-    if (eventType !== "checkout.session.completed") {
+    // ---------- checkout.session.completed / async_payment_succeeded ----------
+    if (eventType !== "checkout.session.completed" && eventType !== "checkout.session.async_payment_succeeded") {
       await env.STRIPE_EVENTS_KV.put(EVT_KEY, "stock_done", { expirationTtl: 30 * 24 * 60 * 60 });
       return json({ received: true, ignored: true });
     }
@@ -66,29 +178,29 @@ export async function onRequestPost(ctx) {
     const session = event?.data?.object || {};
     const sessionId = String(session?.id || "").trim();
 
+    // unpaid on completion = delayed payment method → order is recorded as pending_payment
     const paymentStatus = String(session?.payment_status || "").toLowerCase();
-    if (paymentStatus !== "paid") {
+    const isPending = eventType === "checkout.session.completed" && paymentStatus === "unpaid";
+    if (paymentStatus !== "paid" && !isPending) {
       await env.STRIPE_EVENTS_KV.put(EVT_KEY, "stock_done", { expirationTtl: 30 * 24 * 60 * 60 });
-      return json({ received: true, ignored: true, reason: "payment_status_not_paid" });
-    }
-
-    const meta = session?.metadata || {};
-    const itemsJson = String(meta.items || "").trim();
-    if (!itemsJson) {
-      await env.STRIPE_EVENTS_KV.put(EVT_KEY, "stock_done", { expirationTtl: 30 * 24 * 60 * 60 });
-      return json({ received: true, note: "No metadata.items" });
+      return json({ received: true, ignored: true, reason: `payment_status_${paymentStatus || "unknown"}` });
     }
 
     let items;
     try {
-      items = JSON.parse(itemsJson);
+      ({ items } = await resolveSessionItems(env.STRIPE_EVENTS_KV, session));
     } catch {
       await env.STRIPE_EVENTS_KV.delete(EVT_KEY);
       return json({ error: "Bad metadata.items JSON" }, 400);
     }
 
+    if (!items.length) {
+      await env.STRIPE_EVENTS_KV.put(EVT_KEY, "stock_done", { expirationTtl: 30 * 24 * 60 * 60 });
+      return json({ received: true, note: "No cart items (metadata.cartId / metadata.items)" });
+    }
+
     // ---------- normalize items ----------
-    // meta item format: { recordId, pin, qty }
+    // cart item format: { recordId, pin, qty, unitPrice, title }
     const map = new Map(); // recordId -> qty
     for (const it of items) {
       const recordId = String(it?.recordId || "").trim();
@@ -172,6 +284,13 @@ export async function onRequestPost(ctx) {
       stripeSessionId,
     });
 
+    // order code: existing order → older checkout → new one (same ref as /api/stripe-email-webhook)
+    const ORDER_NUMBER_FIELD = orderNumberField(env);
+    const orderCode =
+      pickOrderCode(existing?.fields?.[ORDER_NUMBER_FIELD], session?.metadata?.orderCode, session?.client_reference_id) ||
+      (await allocateOrderCode(env, { ref: `stripe:${sessionId}` }));
+    const locale = pickLocale({ requested: session?.metadata?.locale, country: shipCountry });
+
     // ВАЖНО: имена полей ровно как у Вас в Airtable
     const orderFields = {
       "Order ID": stripeSessionId,
@@ -179,7 +298,7 @@ export async function onRequestPost(ctx) {
       "Quantity": totalQty,
       "Currency": currency,
 
-      "Order Status": "paid",
+      "Order Status": isPending ? "pending_payment" : "paid",
       "Refund Status": "not_refunded",
 
       "Customer Name": customerName,
@@ -200,24 +319,93 @@ export async function onRequestPost(ctx) {
 
       "Stripe Session ID": stripeSessionId,
       "Payment Intent ID": paymentIntentId,
+
+      [ORDER_NUMBER_FIELD]: orderCode,
+      [localeField(env)]: locale,
     };
 
+    // coupon fields only when a coupon was used (orders without coupon stay unchanged)
+    const couponCode = String(session?.metadata?.couponCode || "").trim();
+    if (couponCode) {
+      const discountCents = Number(session?.total_details?.amount_discount ?? 0);
+      orderFields["Coupon Code"] = couponCode;
+      orderFields["Discount"] = Number.isFinite(discountCents) ? discountCents / 100 : 0;
+    }
+
+    // client_reference_id is fixed at checkout (no code yet) → the code goes onto the PaymentIntent
+    // (description + metadata.orderCode: Stripe dashboard search, receipts); best effort
+    if (orderCode && paymentIntentId && !existing?.fields?.[ORDER_NUMBER_FIELD]) {
+      await stripeUpdatePaymentIntent({
+        secretKey: env.STRIPE_SECRET_KEY,
+        paymentIntentId,
+        params: { description: `Order ${orderCode}`, "metadata[orderCode]": orderCode },
+      }).catch(() => null);
+    }
+
+    let orderRecordId = existing?.id || null;
     if (!existing?.id) {
-      await airtableCreateRecord({
+      const created = await airtableCreateRecord({
         token: env.AIRTABLE_TOKEN,
         baseId: env.AIRTABLE_BASE_ID,
         table: ORDERS_TABLE,
         fields: orderFields,
       });
+      orderRecordId = created?.id || null;
     } else {
-      // update existing order (важно для resend / дописывания адреса)
-      await airtableUpdateRecord({
-        token: env.AIRTABLE_TOKEN,
-        baseId: env.AIRTABLE_BASE_ID,
-        table: ORDERS_TABLE,
-        recordId: existing.id,
-        fields: orderFields,
-      });
+      // update existing order (resend / replay / async_payment_succeeded): only fields still empty (дописывание адреса),
+      // tracking / status / refund state written later are never reset; status moves only pending_payment → paid
+      const updateFields = {};
+      for (const [k, v] of Object.entries(orderFields)) {
+        if (k === "Tracking Number" || k === "Order Status" || k === "Refund Status") continue;
+        const cur = existing.fields?.[k];
+        if (cur == null || cur === "" || (Array.isArray(cur) && !cur.length)) updateFields[k] = v;
+      }
+      const currentStatus = String(existing.fields?.["Order Status"] || "").trim();
+      if (!currentStatus || (currentStatus === "pending_payment" && !isPending)) {
+        updateFields["Order Status"] = orderFields["Order Status"];
+      }
+      if (!existing.fields?.["Refund Status"]) updateFields["Refund Status"] = "not_refunded";
+
+      if (Object.keys(updateFields).length) {
+        await airtableUpdateRecord({
+          token: env.AIRTABLE_TOKEN,
+          baseId: env.AIRTABLE_BASE_ID,
+          table: ORDERS_TABLE,
+          recordId: existing.id,
+          fields: updateFields,
+        });
+      }
+    }
+
+    // ---------- Order Items (one row per line, upsert by "Line Key") ----------
+    // written after the stock step and never fatal (missing table / renamed field must not block the commit)
+    const saveOrderItems = async () => {
+      try {
+        return await writeOrderItems(env, { orderRecordId, orderId: stripeSessionId, currency, lines: items });
+      } catch (e) {
+        return { error: String(e?.message || e) };
+      }
+    };
+
+    // ---------- pending payment: keep the pins reserved until async_payment_succeeded/failed ----------
+    if (isPending) {
+      // events arrive in any order: async_payment_succeeded / failed / refund already here → no new hold
+      const statusBefore = String(existing?.fields?.["Order Status"] || "").trim();
+      if (statusBefore && statusBefore !== "pending_payment") {
+        await env.STRIPE_EVENTS_KV.put(EVT_KEY, "stock_done", { expirationTtl: 30 * 24 * 60 * 60 });
+        const orderItems = await saveOrderItems();
+        return json({ received: true, upserted: true, orderCode, status: statusBefore, stock: "skipped_not_pending", orderItems });
+      }
+
+      const cartId = String(session?.metadata?.cartId || "").trim();
+      const holdDays = Math.min(30, Math.max(1, Number(env.ASYNC_HOLD_DAYS || 14) || 14));
+      const held = await reserveStock(env, cartId, items, Date.now() + holdDays * 24 * 60 * 60 * 1000);
+      // no hold = the pins could be sold meanwhile → 500, Stripe retries (the catch below resets the event state)
+      if (!held.ok) throw new Error(`Stock hold failed: ${held.error || "unknown"}`);
+
+      await env.STRIPE_EVENTS_KV.put(EVT_KEY, "stock_done", { expirationTtl: 30 * 24 * 60 * 60 });
+      const orderItems = await saveOrderItems();
+      return json({ received: true, upserted: true, orderCode, status: "pending_payment", stock: "held", orderItems });
     }
 
     // ---------- decrement stock ONLY ONCE ----------
@@ -225,38 +413,169 @@ export async function onRequestPost(ctx) {
     const alreadyStockDone = prev === "stock_done";
     if (alreadyStockDone) {
       // just finish (order upsert already happened)
+      await releaseStock(env, String(session?.metadata?.cartId || "").trim());
       await env.STRIPE_EVENTS_KV.put(EVT_KEY, "stock_done", { expirationTtl: 30 * 24 * 60 * 60 });
-      return json({ received: true, upserted: true, stock: "skipped_already_done" });
+      const orderItems = await saveOrderItems();
+      return json({ received: true, upserted: true, orderCode, stock: "skipped_already_done", orderItems });
     }
 
-    for (const it of normalized) {
-      const lockKey = `lock:${it.recordId}`;
-      const lockToken = await acquireLock({
-        kv: env.STRIPE_EVENTS_KV,
-        key: lockKey,
-        ttlSec: 120,
-        retries: 12,
-        waitMs: 180,
-      });
+    // inventory DO (atomic) or Airtable read-modify-write with the KV lock; the hold is dropped as well
+    await commitStock(env, String(session?.metadata?.cartId || "").trim() || `session:${sessionId}`, items);
 
+    // ---------- coupon redemption (same once-only step as stock) ----------
+    // (errors here must not fail the event — a retry would decrement stock twice)
+    let coupon = null;
+    if (couponCode) {
       try {
-        await decrementStockByRecordIdSafe({
-          token: env.AIRTABLE_TOKEN,
-          baseId: env.AIRTABLE_BASE_ID,
-          table: env.AIRTABLE_TABLE_NAME, // Products
-          recordId: it.recordId,
-          qty: it.qty,
-        });
-      } finally {
-        await releaseLock({ kv: env.STRIPE_EVENTS_KV, key: lockKey, token: lockToken });
+        coupon = await redeemCoupon(env, couponCode, { ref: `stripe:${sessionId}` });
+      } catch (e) {
+        coupon = { code: couponCode, error: String(e?.message || e) };
       }
     }
 
     await env.STRIPE_EVENTS_KV.put(EVT_KEY, "stock_done", { expirationTtl: 30 * 24 * 60 * 60 });
-    return json({ received: true, upserted: true, stock: "decremented" });
+    const orderItems = await saveOrderItems();
+    return json({ received: true, upserted: true, orderCode, stock: "decremented", coupon, orderItems });
   } catch (e) {
-    return json({ error: "Webhook error", details: String(e?.message || e) }, 500);
+    if (claimed && prev === "stock_done") {
+      await env.STRIPE_EVENTS_KV.put(EVT_KEY, "stock_done", { expirationTtl: 30 * 24 * 60 * 60 });
+    } else if (claimed) {
+      await env.STRIPE_EVENTS_KV.delete(EVT_KEY);
+    }
+    throw e;
+  }
+}
+
+// ---------------- Refunds ----------------
+
+async function handleRefundEvent({ env, event, ORDERS_TABLE }) {
+  const obj = event?.data?.object || {};
+
+  // charge.refunded → Charge object; refund.updated → Refund object (charge totals are fetched)
+  let charge = null;
+  if (event.type === "charge.refunded") {
+    charge = obj;
+  } else {
+    if (String(obj?.status || "") !== "succeeded") return { ignored: true, reason: `refund_status_${obj?.status || "unknown"}` };
+    const chargeId = String(obj?.charge || "").trim();
+    if (!chargeId) return { ignored: true, reason: "refund_without_charge" };
+    charge = await stripeRetrieveCharge({ secretKey: env.STRIPE_SECRET_KEY, chargeId });
+  }
+
+  const paymentIntentId = String(charge?.payment_intent || obj?.payment_intent || "").trim();
+  if (!paymentIntentId) return { ignored: true, reason: "no_payment_intent" };
+
+  const amountCents = Number(charge?.amount ?? 0);
+  const refundedCents = Number(charge?.amount_refunded ?? 0);
+  if (!(refundedCents > 0)) return { ignored: true, reason: "nothing_refunded" };
+
+  const isFull = Boolean(charge?.refunded) || refundedCents >= amountCents;
+  const refundStatus = isFull ? "refunded" : "partially_refunded";
+  const currency = String(charge?.currency || "").toUpperCase() || "EUR";
+
+  const order = await airtableFindOrderByPaymentIntentId({
+    token: env.AIRTABLE_TOKEN,
+    baseId: env.AIRTABLE_BASE_ID,
+    table: ORDERS_TABLE,
+    paymentIntentId,
+  });
+  if (!order?.id) return { ignored: true, reason: "order_not_found", paymentIntentId };
+
+  const fields = {
+    "Refund Status": refundStatus,
+    "Refund Amount": refundedCents / 100,
+  };
+  if (isFull) fields["Order Status"] = "refunded";
+
+  await airtableUpdateRecord({
+    token: env.AIRTABLE_TOKEN,
+    baseId: env.AIRTABLE_BASE_ID,
+    table: ORDERS_TABLE,
+    recordId: order.id,
+    fields,
+  });
+
+  // ---------- restock (full refunds only: partial refunds do not say which pins) ----------
+  // restockItems is idempotent per opId; the key only skips the lookups once it went through
+  // (the caller holds lock:refund:<charge> → restock + email run once)
+  let restocked = null;
+  let restockError = null;
+  const RESTOCK = ["1", "true", "yes"].includes(String(env.REFUND_RESTOCK || "").trim().toLowerCase());
+  const RESTOCK_KEY = `refund_restocked:${paymentIntentId}`;
+
+  if (isFull && RESTOCK && !(await env.STRIPE_EVENTS_KV.get(RESTOCK_KEY))) {
+    const sessionId = String(order.fields?.["Stripe Session ID"] || "").trim();
+    // Stripe unreachable → throws, the event is retried
+    const session = sessionId ? await stripeRetrieveCheckoutSession({ secretKey: env.STRIPE_SECRET_KEY, sessionId }) : null;
+
+    let items = [];
+    try {
+      ({ items } = await resolveSessionItems(env.STRIPE_EVENTS_KV, session));
+    } catch {
+      items = [];
+    }
+
+    // KV cart gone (CART_TTL_SEC) → the order's "Order Items" rows
+    if (!items.length && sessionId) {
+      items = (await loadOrderItems(env, sessionId))
+        .filter((it) => it.qty > 0 && (it.productRecordId || it.pin))
+        .map((it) => ({ recordId: it.productRecordId, pin: it.pin, qty: it.qty }));
+    }
+
+    if (items.length) {
+      await restockItems(env, `stripe:${paymentIntentId}`, items);
+      await env.STRIPE_EVENTS_KV.put(RESTOCK_KEY, "1", { expirationTtl: 180 * 24 * 60 * 60 });
+      restocked = items.map((it) => ({ pin: it.pin, qty: it.qty }));
+    } else {
+      // email first, then 500 → Stripe retries (the email is not sent twice)
+      restockError = "cart items not found (KV cart / Order Items)";
+    }
+  }
+
+  // ---------- refund email (once per refunded total) ----------
+  let emailSent = false;
+  const customerEmail = String(order.fields?.["Customer Email"] || charge?.billing_details?.email || "").trim();
+  const MAIL_FROM = String(env.MAIL_FROM || "").trim();
+  const EMAIL_KEY = `refund_email_sent:${paymentIntentId}:${refundedCents}`;
+
+  if (customerEmail && MAIL_FROM && !(await env.STRIPE_EVENTS_KV.get(EMAIL_KEY))) {
+    const STORE_NAME = String(env.STORE_NAME || "Mosaic Pins");
+    const STORE_URL = String(env.STORE_URL || "https://mosaicpins.space");
+
+    const locale = pickLocale({ requested: order.fields?.[localeField(env)], country: order.fields?.["Shipping Country"] });
+
+    const { html, text } = buildRefundEmail({
+      locale,
+      storeName: STORE_NAME,
+      storeUrl: STORE_URL,
+      customerName: String(order.fields?.["Customer Name"] || "").trim(),
+      orderId: String(
+        order.fields?.[orderNumberField(env)] || order.fields?.["Order ID"] || order.fields?.["Stripe Session ID"] || order.id
+      ).trim(),
+      currency,
+      refunded: refundedCents / 100,
+      isFull,
+    });
+
+    await sendEmail({
+      env,
+      from: MAIL_FROM,
+      to: customerEmail,
+      replyTo: String(env.MAIL_REPLY_TO || "").trim() || undefined,
+      bcc: String(env.MAIL_BCC || "").trim() || undefined,
+      subject: t(locale, isFull ? "refund.subjectFull" : "refund.subjectPartial", { store: STORE_NAME }),
+      html,
+      text,
+      log: { order: String(order.fields?.[orderNumberField(env)] || order.fields?.["Order ID"] || order.id), template: isFull ? "refund" : "refund_partial" },
+    });
+
+    await env.STRIPE_EVENTS_KV.put(EMAIL_KEY, "1", { expirationTtl: 180 * 24 * 60 * 60 });
+    emailSent = true;
   }
+
+  if (restockError) throw new Error(`Refund restock failed: ${restockError}`);
+
+  return { orderRecordId: order.id, status: refundStatus, refunded: refundedCents / 100, currency, restocked, emailSent };
 }
 
 /* =========================================================================================
@@ -330,6 +649,7 @@ export async function onRequestGet(ctx) {
       const customerEmail = String(f["Customer Email"] || "").trim();
       const customerName = String(f["Customer Name"] || "").trim();
       const orderId = String(f["Order ID"] || f["Stripe Session ID"] || recordId).trim();
+      const orderNumber = String(f[orderNumberField(env)] || "").trim();
 
       if (!tracking || !customerEmail) {
         skipped++;
@@ -346,29 +666,46 @@ export async function onRequestGet(ctx) {
         continue;
       }
 
+      // split order: announced per parcel from Shipments (order-shipped-webhook / ship-check-worker)
+      if ((await loadShipments(env, orderId).catch(() => [])).length) {
+        skipped++;
+        details.push({ recordId, orderId, skipped: true, reason: "split_shipments" });
+        continue;
+      }
+
       // Адрес из Orders (у Вас уже есть эти поля)
       const shippingAddress = String(f["Shipping Address"] || "").trim();
       const shipCity = String(f["Shipping City"] || "").trim();
       const shipPostal = String(f["Shipping Postal Code"] || "").trim();
       const shipState = String(f["Shipping State/Region"] || "").trim();
       const shipCountry = String(f["Shipping Country"] || "").trim();
+      const locale = pickLocale({ requested: f[localeField(env)], country: shipCountry });
+
+      // lines from "Order Items" (older orders have none → list is omitted)
+      const items = await loadOrderItems(env, orderId).catch(() => []);
 
-      const subject = `${STORE_NAME}: Your order has been shipped 🚚`;
+      const carrier = resolveCarrier({ env, carrier: f[carrierField(env)], trackingNumber: tracking, country: shipCountry, locale });
+
+      const subject = t(locale, "shipped.subject", { store: STORE_NAME });
 
       const { html, text } = buildShippedEmail({
+        locale,
         storeName: STORE_NAME,
         storeUrl: STORE_URL,
         customerName,
-        orderId,
-        trackingNumber: tracking,
+        orderId: orderNumber || orderId,
+        trackingNumber: carrier.trackingNumber || tracking,
+        carrier,
         shippingAddress,
         shipCity,
         shipPostal,
         shipState,
         shipCountry,
+        items,
       });
 
-      await sendEmailMailchannels({
+      await sendEmail({
+        env,
         from: MAIL_FROM,
         to: customerEmail,
         replyTo: MAIL_REPLY_TO || undefined,
@@ -376,6 +713,7 @@ export async function onRequestGet(ctx) {
         subject,
         html,
         text,
+        log: { order: orderNumber || orderId, template: "shipped" },
       });
 
       // Mark Airtable checkbox TRUE
@@ -391,7 +729,7 @@ export async function onRequestGet(ctx) {
       await env.STRIPE_EVENTS_KV.put(KV_KEY, "1", { expirationTtl: 30 * 24 * 60 * 60 });
 
       sent++;
-      details.push({ recordId, orderId, sent: true });
+      details.push({ recordId, orderId, sent: true, carrier: carrier.name });
     }
 
     return json({ ok: true, found: records.length, sent, skipped, details }, 200);
@@ -415,6 +753,41 @@ async function stripeRetrievePaymentIntent({ secretKey, paymentIntentId }) {
   return data;
 }
 
+async function stripeRetrieveCharge({ secretKey, chargeId }) {
+  const r = await fetch(`https://api.stripe.com/v1/charges/${encodeURIComponent(chargeId)}`, {
+    headers: { Authorization: `Bearer ${secretKey}` },
+  });
+
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(`Stripe retrieve charge failed: ${r.status} ${data?.error?.message || ""}`);
+  return data;
+}
+
+async function stripeUpdatePaymentIntent({ secretKey, paymentIntentId, params }) {
+  const r = await fetch(`https://api.stripe.com/v1/payment_intents/${encodeURIComponent(paymentIntentId)}`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${secretKey}`,
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+    body: new URLSearchParams(params).toString(),
+  });
+
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(`Stripe update PI failed: ${r.status} ${data?.error?.message || ""}`);
+  return data;
+}
+
+async function stripeRetrieveCheckoutSession({ secretKey, sessionId }) {
+  const r = await fetch(`https://api.stripe.com/v1/checkout/sessions/${encodeURIComponent(sessionId)}`, {
+    headers: { Authorization: `Bearer ${secretKey}` },
+  });
+
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(`Stripe retrieve session failed: ${r.status} ${data?.error?.message || ""}`);
+  return data;
+}
+
 // ---------------- Airtable helpers ----------------
 
 async function airtableCreateRecord({ token, baseId, table, fields }) {
@@ -469,6 +842,24 @@ async function airtableFindOrderByStripeSessionId({ token, baseId, table, stripe
   return rec ? { id: rec.id, fields: rec.fields || {} } : null;
 }
 
+async function airtableFindOrderByPaymentIntentId({ token, baseId, table, paymentIntentId }) {
+  const formula = `{Payment Intent ID}="${String(paymentIntentId).replace(/"/g, '\\"')}"`;
+
+  const url = new URL(`https://api.airtable.com/v0/${baseId}/${encodeURIComponent(table)}`);
+  url.searchParams.set("filterByFormula", formula);
+  url.searchParams.set("maxRecords", "1");
+
+  const r = await fetch(url.toString(), {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(`Airtable find failed: ${r.status} ${JSON.stringify(data)}`);
+
+  const rec = data?.records?.[0];
+  return rec ? { id: rec.id, fields: rec.fields || {} } : null;
+}
+
 async function airtablePatchRecord({ token, baseId, table, recordId, fields }) {
   const url = `https://api.airtable.com/v0/${baseId}/${encodeURIComponent(table)}/${recordId}`;
 
@@ -516,111 +907,30 @@ async function airtableFetchAll({ token, baseId, table, filterByFormula, pageSiz
   return all;
 }
 
-// ---------------- Airtable stock decrement ----------------
-
-async function decrementStockByRecordIdSafe({ token, baseId, table, recordId, qty }) {
-  const url = `https://api.airtable.com/v0/${baseId}/${encodeURIComponent(table)}/${recordId}`;
-
-  const r1 = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
-  const rec = await r1.json().catch(() => ({}));
-  if (!r1.ok) throw new Error(`Airtable get failed: ${r1.status} ${JSON.stringify(rec)}`);
-
-  const current = Number(rec?.fields?.Stock ?? 0);
-  const safeCurrent = Number.isFinite(current) ? current : 0;
-
-  const q = Math.floor(Number(qty || 0));
-  const safeQty = Number.isFinite(q) ? q : 0;
-
-  const next = Math.max(0, safeCurrent - safeQty);
-
-  const r2 = await fetch(url, {
-    method: "PATCH",
-    headers: {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({ fields: { Stock: next } }),
-  });
-
-  const data = await r2.json().catch(() => ({}));
-  if (!r2.ok) throw new Error(`Airtable update failed: ${r2.status} ${JSON.stringify(data)}`);
-}
-
-// ---------------- KV lock (best-effort) ----------------
-
-async function acquireLock({ kv, key, ttlSec = 120, retries = 10, waitMs = 150 }) {
-  if (ttlSec < 60) ttlSec = 60;
-
-  const token = `${Date.now()}-${Math.random().toString(16).slice(2)}`;
-
-  for (let i = 0; i < retries; i++) {
-    const existing = await kv.get(key);
-
-    if (!existing) {
-      await kv.put(key, token, { expirationTtl: ttlSec });
-
-      const check = await kv.get(key);
-      if (check === token) return token;
-    }
-
-    await sleep(waitMs + Math.floor(Math.random() * 80));
-  }
-
-  return null;
-}
-
-async function releaseLock({ kv, key, token }) {
-  if (!token) return;
-  const existing = await kv.get(key);
-  if (existing === token) await kv.delete(key);
-}
-
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
-
-// ---------------- ✅ MailChannels send + shipped template ----------------
-
-async function sendEmailMailchannels({ from, to, subject, html, text, replyTo, bcc }) {
-  const payload = {
-    personalizations: [
-      {
-        to: [{ email: to }],
-        ...(bcc ? { bcc: [{ email: bcc }] } : {}),
-      },
-    ],
-    from: { email: from },
-    subject,
-    content: [
-      { type: "text/plain", value: text || "" },
-      { type: "text/html", value: html || "" },
-    ],
-    ...(replyTo ? { reply_to: { email: replyTo } } : {}),
-  };
-
-  const r = await fetch("https://api.mailchannels.net/tx/v1/send", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(payload),
-  });
-
-  const respText = await r.text().catch(() => "");
-  if (!r.ok) throw new Error(`Mail send failed: ${r.status} ${respText}`);
-}
+// ---------------- ✅ shipped template ----------------
 
 function buildShippedEmail({
+  locale,
   storeName,
   storeUrl,
   customerName,
   orderId,
   trackingNumber,
+  carrier = null,
   shippingAddress,
   shipCity,
   shipPostal,
   shipState,
   shipCountry,
+  items = [],
 }) {
-  const hello = customerName ? `Hello ${customerName}!` : "Hello!";
+  const hello = customerName ? t(locale, "hello", { name: customerName }) : t(locale, "hello.anon");
+
+  const itemsText = items.length ? items.map((it) => `• ${it.title} × ${it.qty}`).join("\n") : "";
+  const itemsHtml = items.length
+    ? `<p style="margin:12px 0 6px"><b>${escapeHtml(t(locale, "items"))}:</b></p>
+  <ul style="margin:0 0 12px 18px;padding:0">${items.map((it) => `<li>${escapeHtml(it.title)} × ${it.qty}</li>`).join("")}</ul>`
+    : "";
 
   const addressBlock = formatAddress({
     shippingAddress,
@@ -633,35 +943,88 @@ function buildShippedEmail({
   const text =
 `${hello}
 
-Good news — your order has been shipped 🚚
+${t(locale, "shipped.leadText")}
 
-Order ID: ${orderId}
-Tracking Number: ${trackingNumber}
-
-Shipping address:
+${t(locale, "orderId")}: ${orderId}
+${carrier ? `${t(locale, "shipped.carrier")}: ${carrier.name}\n` : ""}${t(locale, "shipped.tracking")}: ${trackingNumber}
+${carrier?.trackingUrl ? `${t(locale, "shipped.trackLink")}: ${carrier.trackingUrl}\n` : ""}${itemsText ? `\n${t(locale, "items")}:\n${itemsText}\n` : ""}
+${t(locale, "shippingAddress")}:
 ${addressBlock || "-"}
 
-If you have any questions, just reply to this email.
+${t(locale, "questions")}
 
 ${storeUrl || storeName}
 `;
 
   const html =
 `<div style="font-family:Arial,sans-serif;line-height:1.45;color:#111">
-  <h2 style="margin:0 0 12px">${escapeHtml(storeName)} — Order shipped 🚚</h2>
+  <h2 style="margin:0 0 12px">${escapeHtml(storeName)} — ${escapeHtml(t(locale, "shipped.title"))}</h2>
   <p style="margin:0 0 10px">${escapeHtml(hello)}</p>
 
-  <p style="margin:0 0 12px">Good news — your order has been shipped.</p>
+  <p style="margin:0 0 12px">${escapeHtml(t(locale, "shipped.lead"))}</p>
 
   <div style="padding:12px 14px;border:1px solid #e5e7eb;border-radius:12px;background:#fafafa;margin:12px 0">
-    <div><b>Order ID:</b> ${escapeHtml(orderId)}</div>
-    <div style="margin-top:6px"><b>Tracking Number:</b> ${escapeHtml(trackingNumber)}</div>
+    <div><b>${escapeHtml(t(locale, "orderId"))}:</b> ${escapeHtml(orderId)}</div>
+    ${carrier ? `<div style="margin-top:6px"><b>${escapeHtml(t(locale, "shipped.carrier"))}:</b> ${escapeHtml(carrier.name)}</div>` : ""}
+    <div style="margin-top:6px"><b>${escapeHtml(t(locale, "shipped.tracking"))}:</b> ${
+      carrier?.trackingUrl
+        ? `<a href="${escapeHtml(carrier.trackingUrl)}" style="color:#111">${escapeHtml(trackingNumber)}</a>`
+        : escapeHtml(trackingNumber)
+    }</div>
+    ${
+      carrier?.trackingUrl
+        ? `<div style="margin-top:12px"><a href="${escapeHtml(carrier.trackingUrl)}" style="display:inline-block;padding:10px 16px;border-radius:10px;background:#111;color:#fff;text-decoration:none;font-weight:bold">${escapeHtml(t(locale, "shipped.trackLink"))} →</a></div>`
+        : ""
+    }
   </div>
 
-  <p style="margin:12px 0 6px"><b>Shipping address:</b></p>
+  ${itemsHtml}
+
+  <p style="margin:12px 0 6px"><b>${escapeHtml(t(locale, "shippingAddress"))}:</b></p>
   <div style="white-space:pre-line;border:1px solid #e5e7eb;border-radius:12px;padding:12px 14px;background:#fff">${escapeHtml(addressBlock || "-")}</div>
 
-  <p style="margin:14px 0 8px">If you have any questions, just reply to this email.</p>
+  <p style="margin:14px 0 8px">${escapeHtml(t(locale, "questions"))}</p>
+
+  ${storeUrl ? `<p style="margin:0"><a href="${escapeHtml(storeUrl)}">${escapeHtml(storeUrl)}</a></p>` : ""}
+</div>`;
+
+  return { html, text };
+}
+
+function buildRefundEmail({ locale, storeName, storeUrl, customerName, orderId, currency, refunded, isFull }) {
+  const hello = customerName ? t(locale, "hello", { name: customerName }) : t(locale, "hello.anon");
+  const amountLine = `${Number(refunded || 0).toFixed(2)} ${currency}`;
+  const lead = t(locale, isFull ? "refund.leadFull" : "refund.leadPartial");
+
+  const text =
+`${hello}
+
+${lead}
+
+${t(locale, "orderId")}: ${orderId}
+${t(locale, "refund.amount")}: ${amountLine}
+
+${t(locale, "refund.bank")}
+
+${t(locale, "questions")}
+
+${storeUrl || storeName}
+`;
+
+  const html =
+`<div style="font-family:Arial,sans-serif;line-height:1.45;color:#111">
+  <h2 style="margin:0 0 12px">${escapeHtml(storeName)} — ${escapeHtml(t(locale, "refund.title"))}</h2>
+  <p style="margin:0 0 10px">${escapeHtml(hello)}</p>
+
+  <p style="margin:0 0 12px">${escapeHtml(lead)}</p>
+
+  <div style="padding:12px 14px;border:1px solid #e5e7eb;border-radius:12px;background:#fafafa;margin:12px 0">
+    <div><b>${escapeHtml(t(locale, "orderId"))}:</b> ${escapeHtml(orderId)}</div>
+    <div style="margin-top:6px"><b>${escapeHtml(t(locale, "refund.amount"))}:</b> ${escapeHtml(amountLine)}</div>
+  </div>
+
+  <p style="margin:12px 0 8px">${escapeHtml(t(locale, "refund.bank"))}</p>
+  <p style="margin:0 0 8px">${escapeHtml(t(locale, "questions"))}</p>
 
   ${storeUrl ? `<p style="margin:0"><a href="${escapeHtml(storeUrl)}">${escapeHtml(storeUrl)}</a></p>` : ""}
 </div>`;
@@ -0,0 +1,387 @@
+// /i18n.js — EN / DE storefront strings (index.html, product.html, reviews.html)
+// locale: saved choice (mp_locale) → browser languages → shipping country (mp_ship_country DE → de) → en
+// markup: data-i18n (text), data-i18n-html (trusted catalog markup), data-i18n-placeholder, data-i18n-title, data-i18n-aria
+// pages send getLocale() as body.locale to /api/checkout + /api/paypal/create-order → emails in the same language
+(function () {
+  const MP_LOCALE_KEY = "mp_locale";
+  const MP_SHIP_KEY = "mp_ship_country";
+  const LOCALES = ["en", "de"];
+
+  const MESSAGES = {
+    en: {
+      "nav.shop": "Shop",
+      "nav.about": "About",
+      "nav.shipping": "Shipping",
+      "nav.returns": "Returns",
+      "nav.reviews": "Reviews",
+      "nav.product": "Product",
+      "nav.backToShop": "← Back to shop",
+      "footer.returns": "Returns & Refunds",
+      "footer.privacy": "Privacy Policy",
+      "footer.support": "Support",
+
+      "top.cart": "Cart",
+      "top.currency": "Currency",
+      "top.shipCountry": "Shipping country",
+      "top.language": "Language",
+      "ship.DE": "Germany (DE)",
+      "ship.EU": "Europe (EU)",
+      "ship.US": "United States (US)",
+      "ship.CA": "Canada (CA)",
+
+      "shop.subtitle": "High-quality handcrafted mosaic pins for knife handles",
+      "shop.search": "Search pins (e.g. G10N11gt, Mosaic, Brass…)",
+      "shop.searchTitle": "Search by title or PIN code",
+      "shop.filters": "Filters",
+      "shop.inStock": "In stock",
+      "shop.inStockTitle": "Show only in-stock pins",
+      "shop.selected": "Selected",
+      "shop.clear": "Clear",
+      "shop.diameter": "Diameter (Ø)",
+      "shop.items": "{n} items",
+      "shop.all": "All",
+      "shop.anySize": "Any size",
+      "shop.exact": "Exact",
+      "shop.buy": "Buy",
+      "shop.productsError": "Products API is not reachable",
+
+      "stock.soldOut": "Sold out",
+      "stock.inStock": "In stock: {n}",
+      "product.addToCart": "Add to cart",
+      "product.buyNow": "Buy now",
+      "product.quantity": "Quantity",
+      "product.loading": "Loading…",
+      "product.noImage": "No image",
+      "product.images": "Product images",
+      "product.prevImage": "Previous image",
+      "product.nextImage": "Next image",
+      "product.ppOne": "PayPal for this item",
+      "product.networkError": "Network error",
+      "product.apiDown": "API is not reachable",
+      "product.apiError": "Product API is not reachable",
+      "product.notFound": "Not found",
+      "product.notFoundSub": "Product not found",
+      "product.color": "Color: {color}",
+      "product.reviews": "Reviews",
+      "product.reviewCount": "{n} reviews",
+      "product.noReviews": "No reviews for this pin yet.",
+      "product.writeReview": "Write a review",
+      "product.allReviews": "All reviews",
+      "rating.summary": "{avg} out of 5 ({n} reviews)",
+
+      "cart.title": "Cart",
+      "cart.coupon": "Discount code",
+      "cart.apply": "Apply",
+      "cart.remove": "Remove",
+      "cart.discount": "Discount",
+      "cart.discountCode": "Discount ({code})",
+      "cart.shipping": "Shipping",
+      "cart.total": "Total",
+      "cart.checkout": "Checkout",
+      "cart.clear": "Clear cart",
+      "cart.redirecting": "Redirecting…",
+      "cart.empty": "Your cart is empty.",
+      "cart.free": "Free",
+      "cart.untilFree": "{amount} until free shipping",
+      "cart.freeShipping": "Free shipping ✅",
+      "cart.stock": "Stock: {n}",
+      "pp.loading": "PayPal is loading…",
+      "pp.unavailable": "PayPal unavailable: {error}",
+
+      "toast.notice": "Notice",
+      "toast.cart": "Cart",
+      "toast.added": "Added ✅",
+      "toast.cleared": "Cleared",
+      "toast.cartEmpty": "Cart is empty",
+      "toast.checkout": "Checkout",
+      "toast.checkoutFailed": "Checkout failed",
+      "toast.discount": "Discount",
+      "toast.codeRemoved": "Code removed",
+      "toast.enterCode": "Enter a code",
+      "toast.codeCheckFailed": "Could not check the code",
+      "toast.shipping": "Shipping",
+      "toast.destination": "Destination: {ship}",
+      "toast.payment": "Payment",
+      "toast.paySuccess": "Payment success ✅",
+      "toast.paySuccessOrder": "Payment success ✅ Order {code}",
+      "toast.success": "Success ✅",
+      "toast.successOrder": "Success ✅ Order {code}",
+      "toast.canceled": "Canceled",
+      "toast.error": "Error",
+
+      "reviews.pill": "Reviews",
+      "reviews.howTitle": "How it works",
+      "reviews.howText": "Leave a review — it will appear after approval.<br/>Rating: 1–5 stars.",
+      "reviews.contact": "Contact",
+      "reviews.title": "Reviews",
+      "reviews.heroTitle": "Customer reviews",
+      "reviews.avg": "Average rating",
+      "reviews.leave": "Leave a review",
+      "reviews.afterApproval": "Will be published after approval",
+      "reviews.name": "Name",
+      "reviews.namePh": "Your name",
+      "reviews.country": "Country (optional)",
+      "reviews.countryPh": "Germany, USA…",
+      "reviews.rating": "Rating",
+      "reviews.selected": "Selected: {n}/5",
+      "reviews.text": "Review text",
+      "reviews.textPh": "Tell us what you liked…",
+      "reviews.send": "Send review",
+      "reviews.sending": "Sending…",
+      "reviews.thanks": "Thank you very much for your feedback! 😉",
+      "reviews.backToShop": "← Back to Shop",
+      "reviews.approved": "Approved reviews",
+      "reviews.anonymous": "Anonymous",
+      "reviews.photo": "Photo",
+      "reviews.showing": "Showing approved reviews from customers.",
+      "reviews.none": "No approved reviews yet. Be the first 🙂",
+      "reviews.count": "{n} reviews",
+      "reviews.noRatings": "No ratings yet",
+      "reviews.ratings": "{n} ratings",
+      "reviews.emptyList": "No reviews yet. Your review will appear after approval.",
+      "reviews.loadFailed": "Failed to load reviews.",
+      "reviews.loadError": "Failed to load reviews",
+      "reviews.error": "Error: {error}",
+      "reviews.toast": "Reviews",
+      "reviews.verifiedBuyer": "Verified buyer",
+      "reviews.forPins": "Your review for: {pins}",
+      "reviews.photos": "Photos (optional)",
+      "reviews.addPhotos": "📷 Add photos",
+      "reviews.photosHint": "Up to {n} photos, JPEG / PNG / WebP / GIF, max {mb} MB each.",
+      "reviews.photosTooMany": "You can add up to {n} photos.",
+      "reviews.photoType": "{name}: only JPEG, PNG, WebP or GIF images.",
+      "reviews.photoTooLarge": "{name} is larger than {mb} MB.",
+      "reviews.invite": "thank you for order {order}!",
+      "reviews.invitePins": "Purchased: {pins}",
+      "reviews.inviteUsed": "This review link was already used. You can still leave a regular review.",
+      "reviews.inviteInvalid": "This review link is invalid or has expired. You can still leave a regular review.",
+      "review.toast": "Review",
+      "review.nameShort": "Name is too short",
+      "review.ratingRange": "Rating must be 1..5",
+      "review.textShort": "Text is too short (min 10 chars)",
+      "review.sent": "Sent ✅ Waiting for approval",
+      "review.sendFailed": "Failed to send review",
+    },
+    de: {
+      "nav.shop": "Shop",
+      "nav.about": "Über uns",
+      "nav.shipping": "Versand",
+      "nav.returns": "Rückgabe",
+      "nav.reviews": "Bewertungen",
+      "nav.product": "Produkt",
+      "nav.backToShop": "← Zurück zum Shop",
+      "footer.returns": "Rückgabe & Erstattung",
+      "footer.privacy": "Datenschutz",
+      "footer.support": "Support",
+
+      "top.cart": "Warenkorb",
+      "top.currency": "Währung",
+      "top.shipCountry": "Lieferland",
+      "top.language": "Sprache",
+      "ship.DE": "Deutschland (DE)",
+      "ship.EU": "Europa (EU)",
+      "ship.US": "USA (US)",
+      "ship.CA": "Kanada (CA)",
+
+      "shop.subtitle": "Hochwertige, handgefertigte Mosaikpins für Messergriffe",
+      "shop.search": "Pins suchen (z. B. G10N11gt, Mosaik, Messing…)",
+      "shop.searchTitle": "Nach Titel oder PIN-Code suchen",
+      "shop.filters": "Filter",
+      "shop.inStock": "Auf Lager",
+      "shop.inStockTitle": "Nur verfügbare Pins anzeigen",
+      "shop.selected": "Ausgewählt",
+      "shop.clear": "Zurücksetzen",
+      "shop.diameter": "Durchmesser (Ø)",
+      "shop.items": "{n} Artikel",
+      "shop.all": "Alle",
+      "shop.anySize": "Jede Größe",
+      "shop.exact": "Exakt",
+      "shop.buy": "Kaufen",
+      "shop.productsError": "Produkte konnten nicht geladen werden",
+
+      "stock.soldOut": "Ausverkauft",
+      "stock.inStock": "Auf Lager: {n}",
+      "product.addToCart": "In den Warenkorb",
+      "product.buyNow": "Jetzt kaufen",
+      "product.quantity": "Menge",
+      "product.loading": "Wird geladen…",
+      "product.noImage": "Kein Bild",
+      "product.images": "Produktbilder",
+      "product.prevImage": "Vorheriges Bild",
+      "product.nextImage": "Nächstes Bild",
+      "product.ppOne": "PayPal für diesen Artikel",
+      "product.networkError": "Netzwerkfehler",
+      "product.apiDown": "API nicht erreichbar",
+      "product.apiError": "Produkt konnte nicht geladen werden",
+      "product.notFound": "Nicht gefunden",
+      "product.notFoundSub": "Produkt nicht gefunden",
+      "product.color": "Farbe: {color}",
+      "product.reviews": "Bewertungen",
+      "product.reviewCount": "{n} Bewertungen",
+      "product.noReviews": "Für diesen Pin gibt es noch keine Bewertungen.",
+      "product.writeReview": "Bewertung schreiben",
+      "product.allReviews": "Alle Bewertungen",
+      "rating.summary": "{avg} von 5 ({n} Bewertungen)",
+
+      "cart.title": "Warenkorb",
+      "cart.coupon": "Rabattcode",
+      "cart.apply": "Einlösen",
+      "cart.remove": "Entfernen",
+      "cart.discount": "Rabatt",
+      "cart.discountCode": "Rabatt ({code})",
+      "cart.shipping": "Versand",
+      "cart.total": "Gesamt",
+      "cart.checkout": "Zur Kasse",
+      "cart.clear": "Warenkorb leeren",
+      "cart.redirecting": "Weiterleitung…",
+      "cart.empty": "Ihr Warenkorb ist leer.",
+      "cart.free": "Kostenlos",
+      "cart.untilFree": "Noch {amount} bis zum kostenlosen Versand",
+      "cart.freeShipping": "Kostenloser Versand ✅",
+      "cart.stock": "Bestand: {n}",
+      "pp.loading": "PayPal wird geladen…",
+      "pp.unavailable": "PayPal nicht verfügbar: {error}",
+
+      "toast.notice": "Hinweis",
+      "toast.cart": "Warenkorb",
+      "toast.added": "Hinzugefügt ✅",
+      "toast.cleared": "Geleert",
+      "toast.cartEmpty": "Warenkorb ist leer",
+      "toast.checkout": "Kasse",
+      "toast.checkoutFailed": "Checkout fehlgeschlagen",
+      "toast.discount": "Rabatt",
+      "toast.codeRemoved": "Code entfernt",
+      "toast.enterCode": "Bitte Code eingeben",
+      "toast.codeCheckFailed": "Code konnte nicht geprüft werden",
+      "toast.shipping": "Versand",
+      "toast.destination": "Lieferziel: {ship}",
+      "toast.payment": "Zahlung",
+      "toast.paySuccess": "Zahlung erfolgreich ✅",
+      "toast.paySuccessOrder": "Zahlung erfolgreich ✅ Bestellung {code}",
+      "toast.success": "Erfolgreich ✅",
+      "toast.successOrder": "Erfolgreich ✅ Bestellung {code}",
+      "toast.canceled": "Abgebrochen",
+      "toast.error": "Fehler",
+
+      "reviews.pill": "Bewertungen",
+      "reviews.howTitle": "So funktioniert's",
+      "reviews.howText": "Schreiben Sie eine Bewertung — sie erscheint nach der Freigabe.<br/>Bewertung: 1–5 Sterne.",
+      "reviews.contact": "Kontakt",
+      "reviews.title": "Bewertungen",
+      "reviews.heroTitle": "Kundenbewertungen",
+      "reviews.avg": "Durchschnittliche Bewertung",
+      "reviews.leave": "Bewertung schreiben",
+      "reviews.afterApproval": "Wird nach der Freigabe veröffentlicht",
+      "reviews.name": "Name",
+      "reviews.namePh": "Ihr Name",
+      "reviews.country": "Land (optional)",
+      "reviews.countryPh": "Deutschland, USA…",
+      "reviews.rating": "Bewertung",
+      "reviews.selected": "Ausgewählt: {n}/5",
+      "reviews.text": "Bewertungstext",
+      "reviews.textPh": "Erzählen Sie uns, was Ihnen gefallen hat…",
+      "reviews.send": "Bewertung senden",
+      "reviews.sending": "Wird gesendet…",
+      "reviews.thanks": "Vielen Dank für Ihr Feedback! 😉",
+      "reviews.backToShop": "← Zurück zum Shop",
+      "reviews.approved": "Freigegebene Bewertungen",
+      "reviews.anonymous": "Anonym",
+      "reviews.photo": "Foto",
+      "reviews.showing": "Freigegebene Bewertungen unserer Kunden.",
+      "reviews.none": "Noch keine freigegebenen Bewertungen. Schreiben Sie die erste 🙂",
+      "reviews.count": "{n} Bewertungen",
+      "reviews.noRatings": "Noch keine Bewertungen",
+      "reviews.ratings": "{n} Bewertungen",
+      "reviews.emptyList": "Noch keine Bewertungen. Ihre Bewertung erscheint nach der Freigabe.",
+      "reviews.loadFailed": "Bewertungen konnten nicht geladen werden.",
+      "reviews.loadError": "Bewertungen konnten nicht geladen werden",
+      "reviews.error": "Fehler: {error}",
+      "reviews.toast": "Bewertungen",
+      "reviews.verifiedBuyer": "Verifizierter Kauf",
+      "reviews.forPins": "Ihre Bewertung für: {pins}",
+      "reviews.photos": "Fotos (optional)",
+      "reviews.addPhotos": "📷 Fotos hinzufügen",
+      "reviews.photosHint": "Bis zu {n} Fotos, JPEG / PNG / WebP / GIF, max. {mb} MB pro Foto.",
+      "reviews.photosTooMany": "Sie können bis zu {n} Fotos hinzufügen.",
+      "reviews.photoType": "{name}: nur JPEG-, PNG-, WebP- oder GIF-Bilder.",
+      "reviews.photoTooLarge": "{name} ist größer als {mb} MB.",
+      "reviews.invite": "danke für Ihre Bestellung {order}!",
+      "reviews.invitePins": "Gekauft: {pins}",
+      "reviews.inviteUsed": "Dieser Bewertungslink wurde bereits verwendet. Sie können trotzdem eine normale Bewertung schreiben.",
+      "reviews.inviteInvalid": "Dieser Bewertungslink ist ungültig oder abgelaufen. Sie können trotzdem eine normale Bewertung schreiben.",
+      "review.toast": "Bewertung",
+      "review.nameShort": "Name ist zu kurz",
+      "review.ratingRange": "Bewertung muss zwischen 1 und 5 liegen",
+      "review.textShort": "Text ist zu kurz (mind. 10 Zeichen)",
+      "review.sent": "Gesendet ✅ Wartet auf Freigabe",
+      "review.sendFailed": "Bewertung konnte nicht gesendet werden",
+    },
+  };
+
+  function safeGet(key) {
+    try { return localStorage.getItem(key); } catch (_) { return null; }
+  }
+  function safeSet(key, val) {
+    try { localStorage.setItem(key, val); } catch (_) {}
+  }
+
+  function normalizeLocale(v) {
+    v = String(v || "").trim().toLowerCase().slice(0, 2);
+    return LOCALES.includes(v) ? v : null;
+  }
+
+  function fromBrowser() {
+    const langs = (navigator.languages && navigator.languages.length) ? navigator.languages : [navigator.language];
+    for (const l of langs) {
+      const n = normalizeLocale(l);
+      if (n) return n;
+    }
+    return null;
+  }
+
+  function fromShipCountry() {
+    return String(safeGet(MP_SHIP_KEY) || "").toUpperCase() === "DE" ? "de" : null;
+  }
+
+  let locale = normalizeLocale(safeGet(MP_LOCALE_KEY)) || fromBrowser() || fromShipCountry() || "en";
+
+  function getLocale() { return locale; }
+
+  function t(key, vars) {
+    const s = MESSAGES[locale][key] ?? MESSAGES.en[key] ?? key;
+    return s.replace(/\{(\w+)\}/g, (m, k) => (vars && vars[k] != null ? String(vars[k]) : m));
+  }
+
+  function apply(root) {
+    root = root || document;
+    if (root === document) document.documentElement.lang = locale;
+
+    root.querySelectorAll("[data-i18n]").forEach(el => { el.textContent = t(el.getAttribute("data-i18n")); });
+    root.querySelectorAll("[data-i18n-html]").forEach(el => { el.innerHTML = t(el.getAttribute("data-i18n-html")); });
+    root.querySelectorAll("[data-i18n-placeholder]").forEach(el => { el.placeholder = t(el.getAttribute("data-i18n-placeholder")); });
+    root.querySelectorAll("[data-i18n-title]").forEach(el => { el.title = t(el.getAttribute("data-i18n-title")); });
+    root.querySelectorAll("[data-i18n-aria]").forEach(el => { el.setAttribute("aria-label", t(el.getAttribute("data-i18n-aria"))); });
+  }
+
+  // explicit choice (language select) → saved, page re-renders on "mp:locale"
+  function setLocale(v) {
+    const next = normalizeLocale(v);
+    if (!next) return locale;
+    safeSet(MP_LOCALE_KEY, next);
+    if (next !== locale) {
+      locale = next;
+      apply();
+      window.dispatchEvent(new CustomEvent("mp:locale", { detail: { locale } }));
+    }
+    return locale;
+  }
+
+  // <select id="lang"> with en/de options
+  function mountSwitch(el) {
+    if (!el) return;
+    el.value = locale;
+    el.addEventListener("change", () => setLocale(el.value));
+  }
+
+  window.MPI18n = { t, getLocale, setLocale, apply, mountSwitch, locales: LOCALES.slice() };
+})();
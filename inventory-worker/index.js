@@ -0,0 +1,482 @@
+// index.js (Cloudflare Worker + Durable Object)
+// InventoryDO owns the stock counts of all pins (one instance, idFromName("global")):
+// - reserve / commit / release / restock are atomic (blockConcurrencyWhile, no KV races)
+// - pins are seeded lazily from Airtable Products (Stock + record id)
+// - after every change the authoritative stock is written back to Airtable "Stock"
+//   (failed writes stay "dirty" and are retried by the alarm)
+// - cron reconcile: a Stock value edited by hand in Airtable (restock, new batch) is adopted
+//
+// Used from Pages Functions via the Durable Object binding INVENTORY (functions/_lib/inventory.js)
+// Manual run: https://YOUR-WORKER-URL/reconcile?secret=CRON_SECRET
+//
+// DO storage:
+// item:<pin>       { pin, recordId, stock, airtableStock, dirty }
+// hold:<holdId>    { items:[{ pin, qty }], expiresAt }
+// done:<opId>      { at }   commit:<holdId> / restock:<opId> idempotency (pruned after 180 days)
+// seq:<name>       number   named counters (order codes MP-<year>-<n>, functions/_lib/order-codes.js; coupon redemptions, _lib/coupons.js)
+// seqref:<name>:<ref> number  value already handed out for <ref> (one order code per Stripe session / PayPal order)
+
+const DONE_TTL_MS = 180 * 24 * 60 * 60 * 1000;
+const SYNC_RETRY_MS = 60 * 1000;
+
+export default {
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(inventoryStub(env).fetch("https://inventory/reconcile", { method: "POST", body: "{}" }));
+  },
+
+  async fetch(request, env, ctx) {
+    const url = new URL(request.url);
+
+    // Manual reconcile / state for testing:
+    // https://YOUR-WORKER-URL/reconcile?secret=XXX
+    // https://YOUR-WORKER-URL/state?secret=XXX&pins=G7N21g,G10N11gt
+    if (url.pathname === "/reconcile" || url.pathname === "/state") {
+      const secret = url.searchParams.get("secret") || "";
+      if (!env.CRON_SECRET || secret !== env.CRON_SECRET) {
+        return json({ ok: false, error: "Unauthorized" }, 401);
+      }
+
+      const pins = String(url.searchParams.get("pins") || "").split(",").map((p) => p.trim()).filter(Boolean);
+      return inventoryStub(env).fetch(`https://inventory${url.pathname}`, {
+        method: "POST",
+        body: JSON.stringify(pins.length ? { pins } : {}),
+      });
+    }
+
+    return json({ ok: true, info: "Use /reconcile?secret=... or /state?secret=...&pins=..." }, 200);
+  },
+};
+
+function inventoryStub(env) {
+  return env.INVENTORY.get(env.INVENTORY.idFromName("global"));
+}
+
+export class InventoryDO {
+  constructor(state, env) {
+    this.state = state;
+    this.storage = state.storage;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    const body = await request.json().catch(() => ({}));
+
+    try {
+      switch (url.pathname) {
+        case "/state":
+          return json(await this.getState(body));
+        case "/reserve":
+          return json(await this.reserve(body));
+        case "/release":
+          return json(await this.release(body));
+        case "/commit":
+          return json(await this.commit(body));
+        case "/restock":
+          return json(await this.restock(body));
+        case "/reconcile":
+          return json(await this.reconcile());
+        case "/sequence":
+          return json(await this.sequence(body));
+        default:
+          return json({ ok: false, error: "Not found" }, 404);
+      }
+    } catch (e) {
+      return json({ ok: false, error: String(e?.message || e) }, 500);
+    }
+  }
+
+  // ---------------- operations ----------------
+
+  // { pins? } → { ok, items: { pin: { stock, reserved, available } } }  (known pins only, no seeding)
+  async getState({ pins = null } = {}) {
+    const holds = await this.activeHolds();
+    const reserved = reservedByPin(holds);
+
+    const items = {};
+    if (Array.isArray(pins) && pins.length) {
+      const stored = await this.getMany(pins.map((p) => `item:${p}`));
+      for (const [, it] of stored) items[it.pin] = view(it, reserved);
+    } else {
+      const stored = await this.storage.list({ prefix: "item:" });
+      for (const [, it] of stored) items[it.pin] = view(it, reserved);
+    }
+
+    // pins with holds but not seeded yet (should not happen, reserve seeds first)
+    for (const [pin, qty] of reserved) {
+      if (!items[pin]) items[pin] = { stock: null, reserved: qty, available: null };
+    }
+
+    return { ok: true, items };
+  }
+
+  // { holdId, items:[{ pin, qty }], expiresAt } → all-or-nothing
+  // same holdId again = replace (e.g. extend a pending SEPA payment)
+  async reserve({ holdId, items, expiresAt }) {
+    const list = normalizeItems(items);
+    if (!holdId || !list.length) return { ok: false, error: "holdId and items are required" };
+
+    return this.state.blockConcurrencyWhile(async () => {
+      if (await this.storage.get(`done:commit:${holdId}`)) return { ok: false, error: "Checkout already completed" };
+
+      const known = await this.ensureItems(list.map((it) => it.pin));
+      const holds = await this.activeHolds();
+      holds.delete(`hold:${holdId}`);
+      const reserved = reservedByPin(holds);
+
+      for (const it of list) {
+        const item = known.get(it.pin);
+        if (!item) return { ok: false, pin: it.pin, available: 0, error: `Unknown product pin: ${it.pin}` };
+
+        const available = Math.max(0, item.stock - (reserved.get(it.pin) || 0));
+        if (it.qty > available) {
+          return {
+            ok: false,
+            pin: it.pin,
+            available,
+            error: available > 0 ? `Not enough stock for ${it.pin}. Available: ${available}` : `Sold out: ${it.pin}`,
+          };
+        }
+      }
+
+      const exp = Number(expiresAt) || Date.now() + 30 * 60 * 1000;
+      await this.storage.put(`hold:${holdId}`, { items: list, expiresAt: exp });
+      await this.scheduleAlarm(exp);
+      return { ok: true, holdId, expiresAt: exp };
+    });
+  }
+
+  // { holdId } → { ok, released }
+  async release({ holdId }) {
+    if (!holdId) return { ok: true, released: 0 };
+
+    return this.state.blockConcurrencyWhile(async () => {
+      const hold = await this.storage.get(`hold:${holdId}`);
+      if (!hold) return { ok: true, released: 0 };
+      await this.storage.delete(`hold:${holdId}`);
+      return { ok: true, released: hold.items.length };
+    });
+  }
+
+  // { holdId, items? } → decrement stock once per holdId (hold items win; items = fallback when the hold expired)
+  async commit({ holdId, items }) {
+    if (!holdId) return { ok: false, error: "holdId is required" };
+
+    const result = await this.state.blockConcurrencyWhile(async () => {
+      const DONE_KEY = `done:commit:${holdId}`;
+      if (await this.storage.get(DONE_KEY)) return { ok: true, duplicate: true, pins: [], changes: [] };
+
+      const hold = await this.storage.get(`hold:${holdId}`);
+      const list = normalizeItems(hold?.items?.length ? hold.items : items);
+      const known = await this.ensureItems(list.map((it) => it.pin));
+
+      const changed = [];
+      const changes = []; // { pin, before, stock } → low-stock alerts (functions/_lib/stock-alerts.js)
+      const missing = [];
+      for (const it of list) {
+        const item = known.get(it.pin);
+        if (!item) {
+          missing.push(it.pin);
+          continue;
+        }
+        const before = item.stock;
+        item.stock = Math.max(0, item.stock - it.qty);
+        item.dirty = true;
+        await this.storage.put(`item:${it.pin}`, item);
+        changed.push(it.pin);
+        changes.push({ pin: it.pin, before, stock: item.stock });
+      }
+
+      await this.storage.delete(`hold:${holdId}`);
+      await this.storage.put(DONE_KEY, { at: Date.now() });
+      return { ok: true, pins: changed, changes, missing };
+    });
+
+    const sync = result.pins.length ? await this.syncToAirtable(result.pins) : null;
+    return { ...result, sync };
+  }
+
+  // { opId, items:[{ pin, qty }] } → increment stock once per opId (refunds)
+  async restock({ opId, items }) {
+    if (!opId) return { ok: false, error: "opId is required" };
+
+    const result = await this.state.blockConcurrencyWhile(async () => {
+      const DONE_KEY = `done:restock:${opId}`;
+      if (await this.storage.get(DONE_KEY)) return { ok: true, duplicate: true, pins: [], changes: [] };
+
+      const list = normalizeItems(items);
+      const known = await this.ensureItems(list.map((it) => it.pin));
+
+      const changed = [];
+      const changes = [];
+      for (const it of list) {
+        const item = known.get(it.pin);
+        if (!item) continue;
+        const before = item.stock;
+        item.stock += it.qty;
+        item.dirty = true;
+        await this.storage.put(`item:${it.pin}`, item);
+        changed.push(it.pin);
+        changes.push({ pin: it.pin, before, stock: item.stock });
+      }
+
+      await this.storage.put(DONE_KEY, { at: Date.now() });
+      return { ok: true, pins: changed, changes };
+    });
+
+    const sync = result.pins.length ? await this.syncToAirtable(result.pins) : null;
+    return { ...result, sync };
+  }
+
+  // { name, min?, ref? } → { ok, value }  next value of a named counter (never repeats, min = starting value)
+  // ref: the same ref always gets the same value (webhook retries / both Stripe webhooks → one number, no gaps)
+  async sequence({ name, min = 0, ref = "" }) {
+    if (!name) return { ok: false, error: "name is required" };
+
+    return this.state.blockConcurrencyWhile(async () => {
+      const REF_KEY = ref ? `seqref:${name}:${ref}` : null;
+      if (REF_KEY) {
+        const known = await this.storage.get(REF_KEY);
+        if (known) return { ok: true, name, value: known };
+      }
+
+      const KEY = `seq:${name}`;
+      const current = Number((await this.storage.get(KEY)) || 0);
+      const value = Math.max(current + 1, Math.floor(Number(min) || 0));
+      await this.storage.put(KEY, value);
+      if (REF_KEY) await this.storage.put(REF_KEY, value);
+      return { ok: true, name, value };
+    });
+  }
+
+  // adopt Stock values edited by hand in Airtable (only for pins without unsynced local changes)
+  async reconcile() {
+    const stored = await this.storage.list({ prefix: "item:" });
+    if (!stored.size) return { ok: true, checked: 0, adopted: [] };
+
+    const dirty = [...stored.values()].filter((it) => it.dirty).map((it) => it.pin);
+    if (dirty.length) await this.syncToAirtable(dirty);
+
+    // snapshot before the (slow) Airtable read: a commit + sync in between must not be undone by stale Stock
+    const snapshot = new Map();
+    for (const [, it] of await this.storage.list({ prefix: "item:" })) {
+      snapshot.set(it.pin, { stock: it.stock, airtableStock: it.airtableStock });
+    }
+
+    const records = await airtableFetchProducts(this.env, [...snapshot.keys()]);
+
+    return this.state.blockConcurrencyWhile(async () => {
+      const adopted = [];
+      for (const rec of records) {
+        const item = await this.storage.get(`item:${rec.pin}`);
+        const snap = snapshot.get(rec.pin);
+        if (!item || item.dirty || !snap) continue;
+        if (item.stock !== snap.stock || item.airtableStock !== snap.airtableStock) continue; // changed meanwhile
+        if (rec.stock !== item.airtableStock) {
+          adopted.push({ pin: rec.pin, from: item.stock, to: rec.stock });
+          item.stock = rec.stock;
+          item.airtableStock = rec.stock;
+          item.recordId = rec.recordId;
+          await this.storage.put(`item:${rec.pin}`, item);
+        }
+      }
+      return { ok: true, checked: records.length, adopted };
+    });
+  }
+
+  // ---------------- alarm: expire holds, retry Airtable sync, prune idempotency markers ----------------
+
+  async alarm() {
+    const now = Date.now();
+
+    const holds = await this.storage.list({ prefix: "hold:" });
+    let next = null;
+    for (const [key, h] of holds) {
+      if (Number(h?.expiresAt || 0) <= now) await this.storage.delete(key);
+      else next = next === null ? h.expiresAt : Math.min(next, h.expiresAt);
+    }
+
+    const done = await this.storage.list({ prefix: "done:" });
+    for (const [key, d] of done) {
+      if (Number(d?.at || 0) + DONE_TTL_MS < now) await this.storage.delete(key);
+    }
+
+    const items = await this.storage.list({ prefix: "item:" });
+    const dirty = [...items.values()].filter((it) => it.dirty).map((it) => it.pin);
+    if (dirty.length) {
+      const sync = await this.syncToAirtable(dirty);
+      if (!sync.ok) next = next === null ? now + SYNC_RETRY_MS : Math.min(next, now + SYNC_RETRY_MS);
+    }
+
+    if (next !== null) await this.storage.setAlarm(next);
+  }
+
+  async scheduleAlarm(at) {
+    const current = await this.storage.getAlarm();
+    if (current === null || at < current) await this.storage.setAlarm(at);
+  }
+
+  // ---------------- helpers ----------------
+
+  // storage.get() accepts max 128 keys per call
+  async getMany(keys) {
+    const out = new Map();
+    for (let i = 0; i < keys.length; i += 128) {
+      for (const [k, v] of await this.storage.get(keys.slice(i, i + 128))) out.set(k, v);
+    }
+    return out;
+  }
+
+  // Map "hold:<id>" → hold (expired ones are dropped)
+  async activeHolds() {
+    const now = Date.now();
+    const holds = await this.storage.list({ prefix: "hold:" });
+    for (const [key, h] of holds) {
+      if (Number(h?.expiresAt || 0) <= now) {
+        holds.delete(key);
+        await this.storage.delete(key);
+      }
+    }
+    return holds;
+  }
+
+  // Map pin → item; unknown pins are loaded from Airtable Products
+  async ensureItems(pins) {
+    const unique = [...new Set(pins)];
+    const stored = await this.getMany(unique.map((p) => `item:${p}`));
+
+    const known = new Map();
+    for (const [, it] of stored) known.set(it.pin, it);
+
+    const missing = unique.filter((p) => !known.has(p));
+    if (missing.length) {
+      for (const rec of await airtableFetchProducts(this.env, missing)) {
+        const item = { pin: rec.pin, recordId: rec.recordId, stock: rec.stock, airtableStock: rec.stock, dirty: false };
+        await this.storage.put(`item:${rec.pin}`, item);
+        known.set(rec.pin, item);
+      }
+    }
+
+    return known;
+  }
+
+  // write authoritative stock → Airtable "Stock" (10 records per PATCH)
+  async syncToAirtable(pins) {
+    const stored = await this.getMany([...new Set(pins)].map((p) => `item:${p}`));
+    const items = [...stored.values()].filter((it) => it.recordId);
+
+    try {
+      for (let i = 0; i < items.length; i += 10) {
+        const chunk = items.slice(i, i + 10);
+        await airtablePatchStock(this.env, chunk.map((it) => ({ id: it.recordId, fields: { Stock: it.stock } })));
+
+        for (const it of chunk) {
+          // re-read: the stock may have changed while the request was in flight
+          const cur = await this.storage.get(`item:${it.pin}`);
+          if (!cur) continue;
+          cur.airtableStock = it.stock;
+          cur.dirty = cur.stock !== it.stock;
+          await this.storage.put(`item:${it.pin}`, cur);
+        }
+      }
+      return { ok: true, synced: items.length };
+    } catch (e) {
+      await this.scheduleAlarm(Date.now() + SYNC_RETRY_MS);
+      return { ok: false, error: String(e?.message || e) };
+    }
+  }
+}
+
+function normalizeItems(items) {
+  const map = new Map();
+  for (const it of Array.isArray(items) ? items : []) {
+    const pin = String(it?.pin || "").trim();
+    const qty = Math.floor(Number(it?.qty || 0));
+    if (!pin || !(qty > 0)) continue;
+    map.set(pin, (map.get(pin) || 0) + qty);
+  }
+  return [...map.entries()].map(([pin, qty]) => ({ pin, qty }));
+}
+
+function reservedByPin(holds) {
+  const reserved = new Map();
+  for (const [, h] of holds) {
+    for (const it of h?.items || []) reserved.set(it.pin, (reserved.get(it.pin) || 0) + it.qty);
+  }
+  return reserved;
+}
+
+function view(item, reserved) {
+  const r = reserved.get(item.pin) || 0;
+  return { stock: item.stock, reserved: r, available: Math.max(0, item.stock - r) };
+}
+
+// ---------------- Airtable ----------------
+
+async function airtableFetchProducts(env, pins) {
+  must(env.AIRTABLE_TOKEN, "AIRTABLE_TOKEN");
+  must(env.AIRTABLE_BASE_ID, "AIRTABLE_BASE_ID");
+
+  const table = env.AIRTABLE_TABLE_NAME || "Products";
+  const pinField = env.AIRTABLE_PIN_FIELD || "PIN Code";
+
+  const out = [];
+  // formula length: 50 pins per request
+  for (let i = 0; i < pins.length; i += 50) {
+    const chunk = pins.slice(i, i + 50);
+    const or = chunk.map((p) => `{${pinField}}="${escapeAirtableString(p)}"`).join(",");
+
+    let offset = null;
+    for (let page = 0; page < 10; page++) {
+      const url = new URL(`https://api.airtable.com/v0/${env.AIRTABLE_BASE_ID}/${encodeURIComponent(table)}`);
+      url.searchParams.set("filterByFormula", `OR(${or})`);
+      url.searchParams.set("pageSize", "100");
+      if (offset) url.searchParams.set("offset", offset);
+
+      const r = await fetch(url.toString(), { headers: { Authorization: `Bearer ${env.AIRTABLE_TOKEN}` } });
+      const data = await r.json().catch(() => ({}));
+      if (!r.ok) throw new Error(`Airtable products fetch failed: ${r.status} ${JSON.stringify(data)}`);
+
+      for (const rec of Array.isArray(data.records) ? data.records : []) {
+        const pin = String(rec?.fields?.[pinField] ?? "").trim();
+        const stock = Math.floor(Number(rec?.fields?.Stock ?? 0));
+        if (pin && rec?.id) out.push({ pin, recordId: rec.id, stock: Number.isFinite(stock) ? Math.max(0, stock) : 0 });
+      }
+
+      offset = data.offset || null;
+      if (!offset) break;
+    }
+  }
+  return out;
+}
+
+async function airtablePatchStock(env, records) {
+  const table = env.AIRTABLE_TABLE_NAME || "Products";
+
+  const r = await fetch(`https://api.airtable.com/v0/${env.AIRTABLE_BASE_ID}/${encodeURIComponent(table)}`, {
+    method: "PATCH",
+    headers: {
+      Authorization: `Bearer ${env.AIRTABLE_TOKEN}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ records }),
+  });
+
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(`Airtable stock update failed: ${r.status} ${JSON.stringify(data)}`);
+}
+
+function must(v, name) {
+  if (!v) throw new Error(`${name} missing`);
+}
+
+function json(obj, status = 200) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json; charset=utf-8" },
+  });
+}
+
+function escapeAirtableString(s) {
+  return String(s || "").replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+}
@@ -2,8 +2,16 @@
 // - Scheduled cron runs runPaidCheck()
 // - Manual test: https://YOUR-WORKER-URL/run?secret=CRON_SECRET
 // - Reads Orders from Airtable where Order Status = "paid" AND Paid Email Sent is NOT checked
-// - Sends email via MailChannels (uses X-Api-Key header if MAILCHANNELS_API_KEY is set)
-// - Marks Paid Email Sent = true in Airtable
+// - Sends email through functions/_lib/mail.js (MAIL_PROVIDER: MailChannels by default, resend / relay / outbox, MAIL_FALLBACK_PROVIDER)
+// - Marks Paid Email Sent = true in Airtable (after the email went out)
+// - Failed emails: KV queue (MAIL_QUEUE_KV) with exponential retry + dead letter; every attempt → Airtable EmailLog
+//   queued / dead → Orders "Paid Email Status" when AIRTABLE_PAID_EMAIL_STATUS_FIELD is set (skipped by the list until it is cleared)
+// - Language (en/de): Orders "Locale" (written by the Pages webhooks), else Shipping Country (DE/AT/CH/LI → de), strings in functions/_lib/i18n.js
+
+// same transport + queue as the Pages Functions (wrangler bundles the relative imports)
+import { escapeHtml } from "../functions/_lib/mail.js";
+import { t as tr, pickLocale } from "../functions/_lib/i18n.js";
+import { deliverEmail, drainMailQueue } from "../functions/_lib/mail-queue.js";
 
 export default {
   async scheduled(event, env, ctx) {
@@ -56,18 +64,31 @@ async function runPaidCheck(env) {
   const ORDER_ID_FIELD = env.AIRTABLE_ORDER_ID_FIELD || "Order ID"; // если у Вас есть
   const ORDER_CODE_FIELD = env.AIRTABLE_ORDER_CODE_FIELD || "OrderCode";
   // (у Вас ещё есть AIRTABLE_ORDER_ID_FIELDI = OrderCode — не используем, чтобы не путаться)
+  // ✅ номер от сервера (MP-2026-00421): checkout / PayPal пишут его в "Order Number", OrderCode — fallback
+  const ORDER_NUMBER_FIELD = env.AIRTABLE_ORDER_NUMBER_FIELD || "Order Number";
 
   // ✅ Галочка paid письма
   const PAID_SENT_FIELD = env.AIRTABLE_PAID_SENT_FIELD || "Paid Email Sent";
+  // ✅ queued / dead письма (text, _lib/mail-queue.js) — такие заказы не выбираем снова
+  // только если поле задано: Airtable отклоняет формулу с неизвестным полем
+  const PAID_STATUS_FIELD = String(env.AIRTABLE_PAID_EMAIL_STATUS_FIELD || "").trim();
+
+  // ✅ язык письма
+  const LOCALE_FIELD = env.AIRTABLE_LOCALE_FIELD || "Locale";
+  const COUNTRY_FIELD = env.AIRTABLE_SHIPPING_COUNTRY_FIELD || "Shipping Country";
 
   // Какой статус считать оплаченным (у Вас на скрине "paid")
   const PAID_STATUS_VALUE = env.PAID_STATUS_VALUE || "paid";
 
+  // ---------- RETRIES FROM EARLIER RUNS (MAIL_QUEUE_KV) ----------
+  // before the list: orders checked off here are not picked up again below
+  const queue = await drainMailQueue(env);
+
   // ---------- FIND ORDERS READY ----------
-  // AND({Order Status}="paid", NOT({Paid Email Sent}))
+  // AND({Order Status}="paid", NOT({Paid Email Sent}) [, {Paid Email Status}=''])
   const formula = `AND({${ORDER_STATUS_FIELD}}='${escapeAirtableString(
     PAID_STATUS_VALUE
-  )}', NOT({${PAID_SENT_FIELD}}))`;
+  )}', NOT({${PAID_SENT_FIELD}})${PAID_STATUS_FIELD ? `, {${PAID_STATUS_FIELD}}=''` : ""})`;
 
   const list = await airtableList({
     token: env.AIRTABLE_TOKEN,
@@ -90,11 +111,14 @@ async function runPaidCheck(env) {
     const amount = f[AMOUNT_FIELD];
     const currency = String(f[CURRENCY_FIELD] || "").trim();
 
-    const orderCode = String(f[ORDER_CODE_FIELD] || "").trim();
+    const orderCode = String(f[ORDER_NUMBER_FIELD] || f[ORDER_CODE_FIELD] || "").trim();
     const stripeSession = String(f[STRIPE_SESSION_FIELD] || "").trim();
     const orderId = String(f[ORDER_ID_FIELD] || "").trim();
 
     const niceOrderId = orderCode || orderId || stripeSession || rec.id;
+    const locale = pickLocale({ requested: f[LOCALE_FIELD], country: f[COUNTRY_FIELD] });
+    const t = (key, vars) => tr(locale, key, vars);
+    const hello = name ? t("greeting", { name }) : t("greeting.anon");
 
     if (!email) {
       skipped++;
@@ -108,23 +132,24 @@ async function runPaidCheck(env) {
     }
 
     try {
-      const subject = `${env.STORE_NAME || "Mosaic Pins"}: Thanks for your order 💚`;
+      const subject = t("paid.subject", { store: env.STORE_NAME || "Mosaic Pins" });
 
-      const amountLine =
+      const amountValue =
         amount !== undefined && amount !== null && String(amount).trim() !== ""
-          ? `Total: ${amount} ${currency || ""}`.trim()
+          ? `${amount} ${currency || ""}`.trim()
           : "";
+      const amountLine = amountValue ? `${t("total")}: ${amountValue}` : "";
 
-      const text = `Hello ${name || "friend"},
+      const text = `${hello}
 
-Thank you for your order ${niceOrderId}!
-We’ve received your payment and your order is now in processing.
+${t("paid.thanks", { order: niceOrderId })}
+${t("paid.received")}
 
 ${amountLine}
 
-We’ll email you again as soon as your order is shipped.
+${t("paid.nextEmail")}
 
-If you have any questions, just reply to this email.
+${t("questions")}
 `;
 
       const html = `
@@ -153,18 +178,18 @@ If you have any questions, just reply to this email.
         🟢 ${escapeHtml(env.STORE_NAME || "Mosaic Pins")}
       </div>
       <div style="color:#a8b3c7; font-size:13px; margin-top:4px;">
-        Order confirmation
+        ${escapeHtml(t("paid.header"))}
       </div>
     </div>
 
     <div style="padding:20px;">
       <div style="font-size:18px; font-weight:900; margin-bottom:10px;">
-        Hello ${escapeHtml(name || "friend")},
+        ${escapeHtml(hello)}
       </div>
 
       <div style="color:#a8b3c7; font-size:14px; line-height:1.5; margin-bottom:16px;">
-        Thank you for your order <b style="color:#e9eef7;">${escapeHtml(niceOrderId)}</b> ✅<br/>
-        We’ve received your payment. Your order is being processed now.
+        ${escapeHtml(t("paid.thanksHtml"))} <b style="color:#e9eef7;">${escapeHtml(niceOrderId)}</b> ✅<br/>
+        ${escapeHtml(t("paid.receivedHtml"))}
       </div>
 
       <div style="
@@ -174,20 +199,20 @@ If you have any questions, just reply to this email.
         padding:14px;
       ">
         <div style="font-size:13px; color:#a8b3c7; margin-bottom:6px;">
-          Order
+          ${escapeHtml(t("paid.order"))}
         </div>
         <div style="font-size:15px; font-weight:900; margin-bottom:12px;">
           ${escapeHtml(niceOrderId)}
         </div>
 
         ${
-          amountLine
+          amountValue
             ? `
         <div style="font-size:13px; color:#a8b3c7; margin-bottom:6px;">
-          Total
+          ${escapeHtml(t("total"))}
         </div>
         <div style="font-size:15px; font-weight:900; margin-bottom:0;">
-          ${escapeHtml(amountLine.replace("Total: ", ""))}
+          ${escapeHtml(amountValue)}
         </div>
         `
             : ""
@@ -195,8 +220,8 @@ If you have any questions, just reply to this email.
       </div>
 
       <div style="color:#a8b3c7; font-size:13px; margin-top:16px;">
-        We’ll email you again as soon as your order is shipped.<br/>
-        If you have any questions, just reply to this email.
+        ${escapeHtml(t("paid.nextEmail"))}<br/>
+        ${escapeHtml(t("questions"))}
       </div>
     </div>
 
@@ -208,35 +233,34 @@ If you have any questions, just reply to this email.
       font-size:12px;
       text-align:center;
     ">
-      Thank you for your purchase 💚
+      ${escapeHtml(t("footer.thanks"))}
     </div>
 
   </div>
 </div>
 `;
 
-      await sendEmailMailchannels({
-        env,
-        from: env.MAIL_FROM,
-        to: email,
-        replyTo: env.MAIL_REPLY_TO,
-        bcc: env.MAIL_BCC || "",
-        subject,
-        text,
-        html,
+      // ✅ send → checkbox PAID_SENT_FIELD (queue: retries with backoff, see deliverEmail)
+      const delivery = await deliverEmail(env, {
+        key: `paid:${rec.id}`,
+        template: "paid",
+        order: niceOrderId,
+        mark: { table: ORDERS_TABLE, recordId: rec.id, field: PAID_SENT_FIELD },
+        status: PAID_STATUS_FIELD ? { table: ORDERS_TABLE, recordId: rec.id, field: PAID_STATUS_FIELD } : null,
+        msg: {
+          from: env.MAIL_FROM,
+          to: email,
+          replyTo: env.MAIL_REPLY_TO,
+          bcc: env.MAIL_BCC || "",
+          subject,
+          text,
+          html,
+        },
       });
 
-      // ✅ Ставим галочку Paid Email Sent
-      await airtableUpdate({
-        token: env.AIRTABLE_TOKEN,
-        baseId: env.AIRTABLE_BASE_ID,
-        table: ORDERS_TABLE,
-        recordId: rec.id,
-        fields: { [PAID_SENT_FIELD]: true },
-      });
-
-      sent++;
-      results.push({ id: rec.id, orderId: niceOrderId, status: "sent", to: email });
+      if (delivery.status === "sent") sent++;
+      else skipped++;
+      results.push({ id: rec.id, orderId: niceOrderId, to: email, ...delivery });
     } catch (e) {
       skipped++;
       results.push({
@@ -253,6 +277,7 @@ If you have any questions, just reply to this email.
     found: (list.records || []).length,
     sent,
     skipped,
+    queue,
     results,
   };
 }
@@ -273,60 +298,6 @@ async function airtableList({ token, baseId, table, filterByFormula, maxRecords
   return data;
 }
 
-async function airtableUpdate({ token, baseId, table, recordId, fields }) {
-  const url = `https://api.airtable.com/v0/${baseId}/${encodeURIComponent(table)}/${recordId}`;
-
-  const r = await fetch(url, {
-    method: "PATCH",
-    headers: {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({ fields }),
-  });
-
-  const data = await r.json().catch(() => ({}));
-  if (!r.ok) throw new Error(`Airtable update failed: ${r.status} ${JSON.stringify(data)}`);
-  return data;
-}
-
-/* ---------------- MailChannels ---------------- */
-
-async function sendEmailMailchannels({ env, from, to, replyTo, bcc, subject, text, html }) {
-  const personalizations = [
-    {
-      to: [{ email: to }],
-      ...(bcc ? { bcc: [{ email: bcc }] } : {}),
-    },
-  ];
-
-  const payload = {
-    personalizations,
-    from: { email: from },
-    reply_to: { email: replyTo },
-    subject,
-    content: [
-      { type: "text/plain", value: text || "" },
-      { type: "text/html", value: html || "" },
-    ],
-  };
-
-  const headers = { "Content-Type": "application/json" };
-
-  if (env.MAILCHANNELS_API_KEY) {
-    headers["X-Api-Key"] = env.MAILCHANNELS_API_KEY;
-  }
-
-  const r = await fetch("https://api.mailchannels.net/tx/v1/send", {
-    method: "POST",
-    headers,
-    body: JSON.stringify(payload),
-  });
-
-  const body = await r.text().catch(() => "");
-  if (!r.ok) throw new Error(`MailChannels failed: ${r.status} ${body}`);
-}
-
 /* ---------------- Utils ---------------- */
 
 function must(v, name) {
@@ -340,14 +311,6 @@ function json(obj, status = 200) {
   });
 }
 
-function escapeHtml(s) {
-  return String(s || "")
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&#039;");
-}
 
 // для формулы Airtable (экранируем одинарные кавычки)
 function escapeAirtableString(s) {
@@ -0,0 +1,69 @@
+// index.js (Cloudflare Worker)
+// - Scheduled cron calls the review endpoints of the Pages project (Pages Functions have no cron triggers):
+//   GET <STORE_URL>/api/admin/review-requests  (review invitations, daily, functions/api/admin/review-requests.js)
+//   GET <STORE_URL>/api/admin/review-photos    (uploaded photos past the serve window, hourly, functions/api/admin/review-photos.js)
+//   GET <STORE_URL>/api/admin/stock-digest     (low-stock / sold-out list to the owner, daily, functions/api/admin/stock-digest.js)
+// - Header X-CRON-SECRET = CRON_SECRET (same secret as the Pages project)
+// - Manual test: https://YOUR-WORKER-URL/run?secret=CRON_SECRET
+
+// cron expression (wrangler.toml [triggers]) → endpoints
+const JOBS = {
+  "0 9 * * *": ["/api/admin/review-requests"],
+  "15 * * * *": ["/api/admin/review-photos"],
+  "0 7 * * *": ["/api/admin/stock-digest"],
+};
+
+export default {
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(runReviewJobs(env, JOBS[event.cron] || []));
+  },
+
+  async fetch(request, env, ctx) {
+    const url = new URL(request.url);
+
+    if (url.pathname === "/run") {
+      const secret = url.searchParams.get("secret") || "";
+      if (!env.CRON_SECRET || secret !== env.CRON_SECRET) {
+        return json({ ok: false, error: "Unauthorized" }, 401);
+      }
+
+      try {
+        const out = await runReviewJobs(env, [...new Set(Object.values(JOBS).flat())]);
+        return json({ ok: true, ...out }, 200);
+      } catch (e) {
+        return json({ ok: false, error: String(e?.message || e) }, 500);
+      }
+    }
+
+    return json({ ok: true, info: "Use /run?secret=... to test" }, 200);
+  },
+};
+
+async function runReviewJobs(env, paths) {
+  must(env.STORE_URL, "STORE_URL");
+  must(env.CRON_SECRET, "CRON_SECRET");
+
+  const base = String(env.STORE_URL).trim().replace(/\/+$/, "");
+  const results = {};
+
+  for (const path of paths) {
+    const r = await fetch(`${base}${path}`, { headers: { "X-CRON-SECRET": env.CRON_SECRET } });
+    const data = await r.json().catch(() => ({}));
+    results[path] = { status: r.status, ...data };
+  }
+
+  return { results };
+}
+
+/* ---------------- Utils ---------------- */
+
+function must(v, name) {
+  if (!v) throw new Error(`${name} missing`);
+}
+
+function json(obj, status = 200) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json; charset=utf-8" },
+  });
+}
@@ -2,8 +2,23 @@
 // - Scheduled cron runs runShipCheck()
 // - Manual test: https://YOUR-WORKER-URL/run?secret=CRON_SECRET
 // - Reads Orders from Airtable where Tracking Number != '' AND Shipped Email Sent is NOT checked
-// - Sends email via MailChannels (uses X-Api-Key header if MAILCHANNELS_API_KEY is set)
-// - Marks Shipped Email Sent = true in Airtable
+// - Sends email through functions/_lib/mail.js (MAIL_PROVIDER: MailChannels by default, resend / relay / outbox, MAIL_FALLBACK_PROVIDER)
+// - Marks Shipped Email Sent = true in Airtable (after the email went out)
+// - Failed emails: KV queue (MAIL_QUEUE_KV) with exponential retry + dead letter; every attempt → Airtable EmailLog
+//   queued / dead → Orders "Shipped Email Status" / Shipments "Email Status" when AIRTABLE_SHIPPED_EMAIL_STATUS_FIELD /
+//   AIRTABLE_SHIPMENT_EMAIL_STATUS_FIELD are set (skipped by the lists until cleared)
+// - Split parcels: Airtable "Shipments" rows → one email per parcel, order marked shipped when all lines are covered
+// - Item list from "Order Items" (Order ID = Stripe session / PayPal order id), omitted for older orders
+// - Carrier + tracking link: Orders "Carrier", else tracking-number format, else zone (Europe → DPD, US/CA → DHL)
+// - Language (en/de): Orders "Locale" (written by the Pages webhooks), else Shipping Country (DE/AT/CH/LI → de), strings in functions/_lib/i18n.js
+
+// same transport + queue as the Pages Functions (wrangler bundles the relative imports)
+import { escapeHtml } from "../functions/_lib/mail.js";
+import { t as tr, pickLocale } from "../functions/_lib/i18n.js";
+import { deliverEmail, drainMailQueue } from "../functions/_lib/mail-queue.js";
+import { resolveCarrier } from "../functions/_lib/carriers.js";
+import { shipmentCoverage, loadShipments, shipmentsTable } from "../functions/_lib/shipments.js";
+import { loadOrderItems } from "../functions/_lib/order-items.js";
 
 export default {
   async scheduled(event, env, ctx) {
@@ -49,6 +64,10 @@ async function runShipCheck(env) {
   // Field names (defaults match your Airtable)
   const TRACKING_FIELD = env.AIRTABLE_TRACKING_FIELD || "Tracking Number";
   const SHIPPED_FIELD = env.AIRTABLE_SHIPPED_FIELD || "Shipped Email Sent";
+  // ✅ queued / dead emails (text, _lib/mail-queue.js): not listed again until cleared
+  // only when configured: Airtable rejects a formula with an unknown field
+  const SHIPPED_STATUS_FIELD = String(env.AIRTABLE_SHIPPED_EMAIL_STATUS_FIELD || "").trim();
+  const SHIPMENT_STATUS_FIELD = String(env.AIRTABLE_SHIPMENT_EMAIL_STATUS_FIELD || "").trim();
 
   const EMAIL_FIELD = env.AIRTABLE_CUSTOMER_EMAIL_FIELD || "Customer Email";
   const NAME_FIELD = env.AIRTABLE_CUSTOMER_NAME_FIELD || "Customer Name";
@@ -60,13 +79,39 @@ async function runShipCheck(env) {
   // You named it intentionally AIRTABLE_ORDER_ID_FIELDI
   const ORDER_CODE_FIELD = env.AIRTABLE_ORDER_ID_FIELDI || "OrderCode";
 
-  // ✅ Carrier logic:
-  // (You said: Europe = DPD, America = DHL, for now we show DPD / DHL)
-  // If later you add Airtable field like "Carrier", just plug it here.
-  const CARRIER_FIELD = env.AIRTABLE_CARRIER_FIELD || ""; // optional
+  // ✅ Server order number (MP-2026-00421, written by checkout / PayPal capture) wins over OrderCode
+  const ORDER_NUMBER_FIELD = env.AIRTABLE_ORDER_NUMBER_FIELD || "Order Number";
+
+  // ✅ Carrier: Airtable "Carrier" → tracking-number format → zone (Europe = DPD, US/CA = DHL), see resolveCarrier()
+  const CARRIER_FIELD = env.AIRTABLE_CARRIER_FIELD || "Carrier";
+
+  // ✅ Email language
+  const LOCALE_FIELD = env.AIRTABLE_LOCALE_FIELD || "Locale";
+  const COUNTRY_FIELD = env.AIRTABLE_SHIPPING_COUNTRY_FIELD || "Shipping Country";
+
+  // ---------- RETRIES FROM EARLIER RUNS (MAIL_QUEUE_KV) ----------
+  // before the list: orders checked off here are not picked up again below
+  const queue = await drainMailQueue(env);
+
+  // ---------- SPLIT SHIPMENTS (one email per parcel) ----------
+  const SHIPPING_STATUS_FIELD = env.AIRTABLE_SHIPPING_STATUS_FIELD || "Shipping Status";
+
+  const shipments = await runShipmentsCheck(env, {
+    ORDERS_TABLE,
+    SHIPPED_FIELD,
+    SHIPPING_STATUS_FIELD,
+    SHIPMENT_STATUS_FIELD,
+    EMAIL_FIELD,
+    NAME_FIELD,
+    ORDER_ID_FIELD,
+    ORDER_CODE_FIELD,
+    ORDER_NUMBER_FIELD,
+    LOCALE_FIELD,
+    COUNTRY_FIELD,
+  });
 
   // ---------- FIND ORDERS READY ----------
-  const formula = `AND({${TRACKING_FIELD}}!='', NOT({${SHIPPED_FIELD}}))`;
+  const formula = `AND({${TRACKING_FIELD}}!='', NOT({${SHIPPED_FIELD}})${SHIPPED_STATUS_FIELD ? `, {${SHIPPED_STATUS_FIELD}}=''` : ""})`;
 
   const list = await airtableList({
     token: env.AIRTABLE_TOKEN,
@@ -90,17 +135,23 @@ async function runShipCheck(env) {
     // Stripe ID (long)
     const stripeOrderId = String(f[ORDER_ID_FIELD] || "").trim();
 
-    // ✅ Short code (OrderCode)
-    const orderCode = String(f[ORDER_CODE_FIELD] || "").trim();
+    // ✅ Short code (Order Number → OrderCode)
+    const orderCode = String(f[ORDER_NUMBER_FIELD] || f[ORDER_CODE_FIELD] || "").trim();
 
     // We will show OrderCode if exists, otherwise fallback
     const niceOrderId = orderCode || stripeOrderId || rec.id;
 
-    // Carrier (if you add it later in Airtable)
-    let carrier = "DPD / DHL";
-    if (CARRIER_FIELD && f[CARRIER_FIELD]) {
-      carrier = String(f[CARRIER_FIELD] || "").trim() || carrier;
-    }
+    const locale = pickLocale({ requested: f[LOCALE_FIELD], country: f[COUNTRY_FIELD] });
+    const t = (key, vars) => tr(locale, key, vars);
+    const hello = name ? t("greeting", { name }) : t("greeting.anon");
+
+    const carrier = resolveCarrier({
+      env,
+      carrier: f[CARRIER_FIELD],
+      trackingNumber: tracking,
+      country: f[COUNTRY_FIELD],
+      locale,
+    });
 
     if (!email || !tracking) {
       skipped++;
@@ -113,20 +164,221 @@ async function runShipCheck(env) {
       continue;
     }
 
+    // parcels of this order are announced from Shipments (see runShipmentsCheck), no whole-order email
+    if (f[SHIPPING_STATUS_FIELD] || (await loadShipments(env, stripeOrderId).catch(() => [])).length) {
+      skipped++;
+      results.push({ id: rec.id, orderId: niceOrderId, status: "skipped", reason: "split_shipments" });
+      continue;
+    }
+
     try {
-      const subject = `${env.STORE_NAME || "Mosaic Pins"}: Your order has been shipped 🚚`;
+      // ✅ Order Items (table may be missing → no list)
+      const items = await loadOrderItems(env, stripeOrderId).catch(() => []);
+
+      const { subject, text, html } = buildShippedEmail({
+        t,
+        hello,
+        storeName: env.STORE_NAME || "Mosaic Pins",
+        orderId: niceOrderId,
+        carrier,
+        tracking,
+        items,
+      });
+
+      // ✅ send → checkbox SHIPPED_FIELD (queue: retries with backoff, see deliverEmail)
+      const delivery = await deliverEmail(env, {
+        key: `shipped:${rec.id}`,
+        template: "shipped",
+        order: niceOrderId,
+        mark: { table: ORDERS_TABLE, recordId: rec.id, field: SHIPPED_FIELD },
+        status: SHIPPED_STATUS_FIELD ? { table: ORDERS_TABLE, recordId: rec.id, field: SHIPPED_STATUS_FIELD } : null,
+        msg: {
+          from: env.MAIL_FROM,
+          to: email,
+          replyTo: env.MAIL_REPLY_TO,
+          bcc: env.MAIL_BCC || "",
+          subject,
+          text,
+          html,
+        },
+      });
+
+      if (delivery.status === "sent") sent++;
+      else skipped++;
+      results.push({ id: rec.id, orderId: niceOrderId, to: email, ...delivery });
+    } catch (e) {
+      skipped++;
+      results.push({
+        id: rec.id,
+        orderId: niceOrderId,
+        status: "error",
+        error: String(e?.message || e),
+      });
+    }
+  }
+
+  return {
+    table: ORDERS_TABLE,
+    found: (list.records || []).length,
+    sent,
+    skipped,
+    queue,
+    shipments,
+    results,
+  };
+}
+
+/* ---------------- Split shipments ---------------- */
+// Airtable "Shipments" (AIRTABLE_SHIPMENTS_TABLE), one row per parcel — functions/_lib/shipments.js:
+//   Order ID, Carrier, Tracking Number, Items ("MP-014 x2, MP-101"; empty = everything not in another parcel),
+//   Shipped At, Notified, Email Status (queued | dead, _lib/mail-queue.js — only with AIRTABLE_SHIPMENT_EMAIL_STATUS_FIELD)
+// Tracking Number filled + not Notified → email with this parcel's items ("more parcels follow" until all lines are covered)
+// after sending: Shipments Notified + Shipped At, Orders "Shipping Status" = partially_shipped | shipped,
+// Shipped Email Sent only when the order is fully shipped — computed when the mark is written (retries included)
+// No Shipments table → skipped (orders with one Tracking Number keep working as before)
+
+async function runShipmentsCheck(env, cfg) {
+  const SHIPMENTS_TABLE = shipmentsTable(env);
+
+  let list;
+  try {
+    list = await airtableList({
+      token: env.AIRTABLE_TOKEN,
+      baseId: env.AIRTABLE_BASE_ID,
+      table: SHIPMENTS_TABLE,
+      filterByFormula: `AND({Tracking Number}!='', NOT({Notified})${cfg.SHIPMENT_STATUS_FIELD ? `, {${cfg.SHIPMENT_STATUS_FIELD}}=''` : ""})`,
+      maxRecords: 10,
+    });
+  } catch (e) {
+    return { table: SHIPMENTS_TABLE, found: 0, sent: 0, skipped: 0, error: String(e?.message || e), results: [] };
+  }
+
+  let sent = 0;
+  let skipped = 0;
+  const results = [];
+  const announced = new Set(); // parcels sent in this run (count as covered for the next parcel of the same order)
+
+  for (const shp of list.records || []) {
+    const sf = shp.fields || {};
+    const orderId = String(sf["Order ID"] || "").trim();
+    const tracking = String(sf["Tracking Number"] || "").trim();
+
+    if (!orderId) {
+      skipped++;
+      results.push({ id: shp.id, status: "skipped", reason: "missing_order_id" });
+      continue;
+    }
+
+    try {
+      const orders = await airtableList({
+        token: env.AIRTABLE_TOKEN,
+        baseId: env.AIRTABLE_BASE_ID,
+        table: cfg.ORDERS_TABLE,
+        filterByFormula: `{${cfg.ORDER_ID_FIELD}}='${escapeAirtableString(orderId)}'`,
+        maxRecords: 1,
+      });
+      const order = orders.records?.[0];
+      const f = order?.fields || {};
+      const email = String(f[cfg.EMAIL_FIELD] || "").trim();
+
+      if (!order || !email) {
+        skipped++;
+        results.push({ id: shp.id, orderId, status: "skipped", reason: order ? "missing_email" : "order_not_found" });
+        continue;
+      }
+
+      const name = String(f[cfg.NAME_FIELD] || "").trim();
+      const niceOrderId = String(f[cfg.ORDER_NUMBER_FIELD] || f[cfg.ORDER_CODE_FIELD] || "").trim() || orderId;
+
+      const locale = pickLocale({ requested: f[cfg.LOCALE_FIELD], country: f[cfg.COUNTRY_FIELD] });
+      const t = (key, vars) => tr(locale, key, vars);
+      const hello = name ? t("greeting", { name }) : t("greeting.anon");
+
+      const carrier = resolveCarrier({
+        env,
+        carrier: sf["Carrier"],
+        trackingNumber: tracking,
+        country: f[cfg.COUNTRY_FIELD],
+        locale,
+      });
+
+      // parcels already announced + this one
+      const [orderItems, all] = await Promise.all([loadOrderItems(env, orderId).catch(() => []), loadShipments(env, orderId)]);
+      const covering = all
+        .filter((r) => r.id !== shp.id && (r.fields?.["Notified"] || announced.has(r.id)))
+        .concat(shp);
+      const { complete, parcelItems } = shipmentCoverage(orderItems, covering, shp.id);
+
+      const { subject, text, html } = buildShippedEmail({
+        t,
+        hello,
+        storeName: env.STORE_NAME || "Mosaic Pins",
+        orderId: niceOrderId,
+        carrier,
+        tracking,
+        items: parcelItems,
+        partial: !complete,
+      });
 
-      const text = `Hello ${name || ""}
+      const delivery = await deliverEmail(env, {
+        key: `shipment:${shp.id}`,
+        template: "shipped_parcel",
+        order: niceOrderId,
+        mark: [
+          {
+            table: SHIPMENTS_TABLE,
+            recordId: shp.id,
+            fields: { Notified: true, ...(sf["Shipped At"] ? {} : { "Shipped At": new Date().toISOString().slice(0, 10) }) },
+          },
+          // Shipping Status from the parcels notified when this is written (not frozen here)
+          { table: cfg.ORDERS_TABLE, recordId: order.id, orderShipping: { orderId, shippedField: cfg.SHIPPED_FIELD } },
+        ],
+        status: cfg.SHIPMENT_STATUS_FIELD ? { table: SHIPMENTS_TABLE, recordId: shp.id, field: cfg.SHIPMENT_STATUS_FIELD } : null,
+        msg: {
+          from: env.MAIL_FROM,
+          to: email,
+          replyTo: env.MAIL_REPLY_TO,
+          bcc: env.MAIL_BCC || "",
+          subject,
+          text,
+          html,
+        },
+      });
+
+      if (delivery.status === "sent") {
+        sent++;
+        announced.add(shp.id);
+      } else {
+        skipped++;
+      }
+      results.push({ id: shp.id, orderId: niceOrderId, to: email, complete, ...delivery });
+    } catch (e) {
+      skipped++;
+      results.push({ id: shp.id, orderId, status: "error", error: String(e?.message || e) });
+    }
+  }
 
-Good news — your order ${niceOrderId} has been shipped 🚚📦
+  return { table: SHIPMENTS_TABLE, found: (list.records || []).length, sent, skipped, results };
+}
 
-Carrier: ${carrier}
-Tracking number: ${tracking}
+/* ---------------- Shipped email ---------------- */
 
-Thank you for your purchase!
+// "Order shipped" email (one per order, or one per parcel from Shipments)
+// partial = more parcels follow (items = this parcel only)
+function buildShippedEmail({ t, hello, storeName, orderId, carrier, tracking, items = [], partial = false }) {
+  const subject = t(partial ? "shipped.subjectPartial" : "shipped.subject", { store: storeName });
+
+  const text = `${hello}
+
+${t(partial ? "shipped.leadOrderPartial" : "shipped.leadOrder", { order: orderId })}
+
+${t("shipped.carrier")}: ${carrier.name}
+${t("shipped.tracking")}: ${carrier.trackingNumber || tracking}
+${carrier.trackingUrl ? `${t("shipped.trackLink")}: ${carrier.trackingUrl}\n` : ""}${items.length ? `\n${t(partial ? "shipped.parcelItems" : "items")}:\n${items.map((it) => `• ${it.title} × ${it.qty}`).join("\n")}\n` : ""}
+${t("thanks.purchase")}
 `;
 
-      const html = `
+  const html = `
 <div style="
   background:#0b0d11;
   padding:24px;
@@ -149,20 +401,20 @@ Thank you for your purchase!
       background:linear-gradient(180deg, rgba(34,197,94,.14), rgba(0,0,0,0));
     ">
       <div style="font-weight:900; font-size:16px; letter-spacing:.2px;">
-        🟢 ${escapeHtml(env.STORE_NAME || "Mosaic Pins")}
+        🟢 ${escapeHtml(storeName)}
       </div>
       <div style="color:#a8b3c7; font-size:13px; margin-top:4px;">
-        Shipping update
+        ${escapeHtml(t("shipped.header"))}
       </div>
     </div>
 
     <div style="padding:20px;">
       <div style="font-size:18px; font-weight:900; margin-bottom:10px;">
-        Hello ${escapeHtml(name || "friend")},
+        ${escapeHtml(hello)}
       </div>
 
       <div style="color:#a8b3c7; font-size:14px; line-height:1.5; margin-bottom:16px;">
-        Good news — your order <b style="color:#e9eef7;">${escapeHtml(niceOrderId)}</b> has been shipped 🚚📦
+        ${escapeHtml(t("shipped.leadBefore"))} <b style="color:#e9eef7;">${escapeHtml(orderId)}</b> ${escapeHtml(t(partial ? "shipped.leadAfterPartial" : "shipped.leadAfter"))}
       </div>
 
       <div style="
@@ -172,14 +424,14 @@ Thank you for your purchase!
         padding:14px;
       ">
         <div style="font-size:13px; color:#a8b3c7; margin-bottom:6px;">
-          Carrier
+          ${escapeHtml(t("shipped.carrier"))}
         </div>
         <div style="font-size:15px; font-weight:900; margin-bottom:12px;">
-          ${escapeHtml(carrier)}
+          ${escapeHtml(carrier.name)}
         </div>
 
         <div style="font-size:13px; color:#a8b3c7; margin-bottom:6px;">
-          Tracking number
+          ${escapeHtml(t("shipped.tracking"))}
         </div>
         <div style="
           font-size:15px;
@@ -187,12 +439,34 @@ Thank you for your purchase!
           letter-spacing:.4px;
           word-break:break-word;
         ">
-          ${escapeHtml(tracking)}
+          ${carrier.trackingUrl
+            ? `<a href="${escapeHtml(carrier.trackingUrl)}" style="color:#e9eef7;">${escapeHtml(carrier.trackingNumber || tracking)}</a>`
+            : escapeHtml(carrier.trackingNumber || tracking)}
         </div>
+        ${carrier.trackingUrl ? `
+        <a href="${escapeHtml(carrier.trackingUrl)}" style="
+          display:inline-block;
+          margin-top:14px;
+          padding:10px 16px;
+          border-radius:12px;
+          background:#22c55e;
+          color:#0b0d11;
+          font-weight:900;
+          font-size:14px;
+          text-decoration:none;
+        ">${escapeHtml(t("shipped.trackLink"))} →</a>` : ""}
       </div>
 
+      ${items.length ? `
+      <div style="font-size:13px; color:#a8b3c7; margin:16px 0 6px;">
+        ${escapeHtml(t(partial ? "shipped.parcelItems" : "items"))}
+      </div>
+      <div style="font-size:14px; line-height:1.6;">
+        ${items.map((it) => `${escapeHtml(it.title)} × ${it.qty}`).join("<br/>")}
+      </div>` : ""}
+
       <div style="color:#a8b3c7; font-size:13px; margin-top:16px;">
-        If you have any questions, just reply to this email.
+        ${escapeHtml(t("questions"))}
       </div>
     </div>
 
@@ -204,52 +478,14 @@ Thank you for your purchase!
       font-size:12px;
       text-align:center;
     ">
-      Thank you for your purchase 💚
+      ${escapeHtml(t("footer.thanks"))}
     </div>
 
   </div>
 </div>
 `;
 
-      await sendEmailMailchannels({
-        env,
-        from: env.MAIL_FROM,
-        to: email,
-        replyTo: env.MAIL_REPLY_TO,
-        bcc: env.MAIL_BCC || "",
-        subject,
-        text,
-        html,
-      });
-
-      await airtableUpdate({
-        token: env.AIRTABLE_TOKEN,
-        baseId: env.AIRTABLE_BASE_ID,
-        table: ORDERS_TABLE,
-        recordId: rec.id,
-        fields: { [SHIPPED_FIELD]: true },
-      });
-
-      sent++;
-      results.push({ id: rec.id, orderId: niceOrderId, status: "sent", to: email });
-    } catch (e) {
-      skipped++;
-      results.push({
-        id: rec.id,
-        orderId: niceOrderId,
-        status: "error",
-        error: String(e?.message || e),
-      });
-    }
-  }
-
-  return {
-    table: ORDERS_TABLE,
-    found: (list.records || []).length,
-    sent,
-    skipped,
-    results,
-  };
+  return { subject, text, html };
 }
 
 /* ---------------- Airtable helpers ---------------- */
@@ -268,63 +504,6 @@ async function airtableList({ token, baseId, table, filterByFormula, maxRecords
   return data;
 }
 
-async function airtableUpdate({ token, baseId, table, recordId, fields }) {
-  const url = `https://api.airtable.com/v0/${baseId}/${encodeURIComponent(table)}/${recordId}`;
-
-  const r = await fetch(url, {
-    method: "PATCH",
-    headers: {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({ fields }),
-  });
-
-  const data = await r.json().catch(() => ({}));
-  if (!r.ok) throw new Error(`Airtable update failed: ${r.status} ${JSON.stringify(data)}`);
-  return data;
-}
-
-/* ---------------- MailChannels ---------------- */
-
-async function sendEmailMailchannels({ env, from, to, replyTo, bcc, subject, text, html }) {
-  const personalizations = [
-    {
-      to: [{ email: to }],
-      ...(bcc ? { bcc: [{ email: bcc }] } : {}),
-    },
-  ];
-
-  const payload = {
-    personalizations,
-    from: { email: from },
-    reply_to: { email: replyTo },
-    subject,
-    content: [
-      { type: "text/plain", value: text || "" },
-      { type: "text/html", value: html || "" },
-    ],
-  };
-
-  const headers = {
-    "Content-Type": "application/json",
-  };
-
-  // ✅ API key auth (MailChannels) if you added it
-  if (env.MAILCHANNELS_API_KEY) {
-    headers["X-Api-Key"] = env.MAILCHANNELS_API_KEY;
-  }
-
-  const r = await fetch("https://api.mailchannels.net/tx/v1/send", {
-    method: "POST",
-    headers,
-    body: JSON.stringify(payload),
-  });
-
-  const body = await r.text().catch(() => "");
-  if (!r.ok) throw new Error(`MailChannels failed: ${r.status} ${body}`);
-}
-
 /* ---------------- Utils ---------------- */
 
 function must(v, name) {
@@ -338,11 +517,6 @@ function json(obj, status = 200) {
   });
 }
 
-function escapeHtml(s) {
-  return String(s || "")
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&#039;");
-}
\ No newline at end of file
+function escapeAirtableString(s) {
+  return String(s || "").replaceAll("'", "\\'");
+}